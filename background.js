@@ -4,7 +4,7 @@
  */
 
 // Import storage and Claude client helpers
-importScripts('lib/storage.js', 'lib/claude-client.js');
+importScripts('lib/platforms.js', 'lib/job-identity.js', 'lib/job-db.js', 'lib/storage.js', 'lib/claude-client.js', 'lib/exporter.js');
 
 console.log('Job Hunt Assistant: Background service worker loaded');
 
@@ -67,6 +67,58 @@ chrome.runtime.onInstalled.addListener((details) => {
   }
 });
 
+// Content script for pages publishing a schema.org JobPosting on sites that aren't registered
+// platforms, registered at runtime while the user grants the optional access to all sites
+const STRUCTURED_DATA_SCRIPT_ID = 'structuredDataPages';
+
+// Serializes syncs, since install and permission events can arrive together
+let structuredDataScriptSync = Promise.resolve();
+
+/**
+ * Registers or removes the schema.org content script to match the optional host permission
+ * It is registered afresh each time so an update picks up new platforms and script files
+ * @returns {Promise<void>}
+ */
+function syncStructuredDataScript() {
+  structuredDataScriptSync = structuredDataScriptSync.then(async () => {
+    const manifest = chrome.runtime.getManifest();
+    const origins = manifest.optional_host_permissions;
+    const granted = await chrome.permissions.contains({ origins });
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [STRUCTURED_DATA_SCRIPT_ID] });
+
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [STRUCTURED_DATA_SCRIPT_ID] });
+    }
+    if (!granted) return;
+
+    // The same files the platform pages get; those pages keep their own manifest entry
+    const [platformScript] = manifest.content_scripts;
+    await chrome.scripting.registerContentScripts([{
+      id: STRUCTURED_DATA_SCRIPT_ID,
+      matches: origins,
+      excludeMatches: JobPlatforms.getMatchPatterns(),
+      js: platformScript.js,
+      css: platformScript.css,
+      runAt: 'document_idle'
+    }]);
+    console.log('Job Hunt Assistant: Showing the button on other sites with schema.org JobPosting markup');
+  }).catch(error => {
+    console.error('Error updating the schema.org content script:', error);
+  });
+  return structuredDataScriptSync;
+}
+
+chrome.runtime.onInstalled.addListener(() => syncStructuredDataScript());
+chrome.permissions.onAdded.addListener(() => syncStructuredDataScript());
+chrome.permissions.onRemoved.addListener(() => syncStructuredDataScript());
+
+// Port name for streaming analyses (see lib/analysis-stream.js)
+const ANALYSIS_PORT_NAME = 'analyzeJob';
+// Port name for batches of search results (see AnalysisStream.startBatch)
+const BATCH_PORT_NAME = 'batchAnalysis';
+const BATCH_REQUEST_INTERVAL = 5000; // ms - minimum time between the API requests of a batch
+const MAX_BATCH_SIZE = 25; // postings per batch - one page of LinkedIn results
+
 // Listen for messages from content script and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log('Background received message:', request.action);
@@ -82,23 +134,104 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // Handle different message types
   switch (request.action) {
     case 'analyzeJob':
-      handleAnalyzeJob(request.data)
+      handleAnalyzeJob(request.data, request.options)
         .then(result => sendResponse(result))
         .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
       return true; // Keep channel open for async response
 
+    case 'retryAnalyses':
+      handleRetryAnalyses(request.jobIds)
+        .then(result => sendResponse(result))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
+    case 'compareJobs':
+      handleCompareJobs(request.jobIds, request.budgetAcknowledged)
+        .then(result => sendResponse(result))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
+    case 'chatAboutJob':
+      handleChatAboutJob(request.jobId, request.question, request.budgetAcknowledged)
+        .then(result => sendResponse(result))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
+    case 'clearJobChat':
+      Storage.clearChat(request.jobId)
+        .then(job => sendResponse(job ? { success: true, job } : { success: false, error: 'Could not clear the conversation' }))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
+    case 'generateDocument':
+      handleGenerateDocument(request.jobId, request.options, request.budgetAcknowledged)
+        .then(result => sendResponse(result))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
+    case 'updateJobDocument':
+      Storage.updateJobDocument(request.jobId, request.documentId, request.content)
+        .then(job => sendResponse(job ? { success: true, job } : { success: false, error: 'Could not save your changes' }))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
+    case 'deleteJobDocument':
+      Storage.deleteJobDocument(request.jobId, request.documentId)
+        .then(job => sendResponse(job ? { success: true, job } : { success: false, error: 'Could not delete the version' }))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
     case 'getJobs':
       Storage.getAllJobs()
         .then(jobs => sendResponse({ success: true, jobs }))
         .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
       return true;
 
+    case 'getJob':
+      getJobForRequest(request)
+        .then(job => sendResponse({ success: true, job }))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
+    case 'openPrintView':
+      // Content scripts can't open extension pages themselves
+      chrome.tabs.create({
+        url: chrome.runtime.getURL(`print.html?ids=${(request.jobIds || []).map(encodeURIComponent).join(',')}`)
+      })
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
+    case 'openChat':
+      chrome.tabs.create({ url: chrome.runtime.getURL(`chat.html?id=${encodeURIComponent(request.jobId || '')}`) })
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
+    case 'openWriter':
+      chrome.tabs.create({ url: chrome.runtime.getURL(`writer.html?id=${encodeURIComponent(request.jobId || '')}`) })
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
     case 'deleteJob':
       Storage.deleteJob(request.jobId)
         .then(() => sendResponse({ success: true }))
         .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
       return true;
 
+    case 'clearJobs':
+      Storage.clearAllJobs()
+        .then(success => sendResponse({ success }))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
+    case 'updateJobStatus':
+      Storage.updateJobStatus(request.jobId, request.status, request.notes)
+        .then(job => sendResponse(job ? { success: true, job } : { success: false, error: 'Could not update job status' }))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
     case 'saveApiKey':
       Storage.saveApiKey(request.apiKey)
         .then(() => sendResponse({ success: true }))
@@ -112,7 +245,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return true;
 
     case 'testApiKey':
-      ClaudeClient.testApiKey(request.apiKey)
+      // Settings test each chosen model; a bare key test uses the default one
+      ClaudeClient.testApiKey(request.apiKey, request.model || undefined)
         .then(result => sendResponse({ success: true, isValid: result.isValid, details: result.details }))
         .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
       return true;
@@ -128,6 +262,24 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         .then(() => sendResponse({ success: true }))
         .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
       return true;
+
+    case 'getProfile':
+      Storage.getProfile()
+        .then(profile => sendResponse({ success: true, profile }))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
+    case 'saveProfile':
+      Storage.saveProfile(request.profile)
+        .then(success => sendResponse({ success }))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
+
+    case 'importData':
+      handleImportData(request.text, request.mode)
+        .then(result => sendResponse(result))
+        .catch(error => sendResponse({ success: false, error: sanitizeErrorMessage(error) }));
+      return true;
       
     default:
       sendResponse({ success: false, error: 'Unknown action' });
@@ -136,12 +288,379 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return false;
 });
 
+// Streaming analyses use a long-lived port so text can flow back as it arrives:
+//   page -> worker: { action: 'start', data, options } then optionally { action: 'cancel' }
+//   worker -> page: { type: 'delta', text } ... then { type: 'done', result }
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== ANALYSIS_PORT_NAME) return;
+
+  // Security: Only accept ports from our own extension
+  if (port.sender?.id !== chrome.runtime.id) {
+    console.error('Rejected port from unauthorized sender:', port.sender?.id);
+    port.disconnect();
+    return;
+  }
+
+  const controller = new AbortController();
+  let connected = true;
+  let started = false;
+
+  const post = (message) => {
+    if (connected) port.postMessage(message);
+  };
+
+  // Closing the popup mid-analysis shouldn't throw away the work, so only an
+  // explicit cancel aborts; the result is still saved if the page goes away
+  port.onDisconnect.addListener(() => {
+    connected = false;
+  });
+
+  port.onMessage.addListener((message) => {
+    if (message?.action === 'cancel') {
+      console.log('Background: Analysis cancelled by user');
+      controller.abort();
+      return;
+    }
+
+    if (message?.action !== 'start' || started) return;
+    started = true;
+
+    const { duplicateAction, duplicateOf, depth, budgetAcknowledged, auto } = message.options || {};
+    const streamOptions = {
+      signal: controller.signal,
+      onText: text => post({ type: 'delta', text })
+    };
+
+    (auto
+      ? handleAutoAnalyze(message.data, streamOptions)
+      : handleAnalyzeJob(message.data, { duplicateAction, duplicateOf, depth, budgetAcknowledged, ...streamOptions }))
+      .then(result => post({ type: 'done', result }))
+      .catch(error => post({
+        type: 'done',
+        result: { success: false, cancelled: controller.signal.aborted, error: sanitizeErrorMessage(error) }
+      }));
+  });
+});
+
+// Batches run their postings one at a time over a port:
+//   page -> worker: { action: 'add', key, data } ..., { action: 'budget', proceed }, { action: 'cancel' }
+//   worker -> page: { type: 'progress', key, state, jobId, score, error } ..., { type: 'overBudget', overBudget }
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== BATCH_PORT_NAME) return;
+
+  // Security: Only accept ports from our own extension
+  if (port.sender?.id !== chrome.runtime.id) {
+    console.error('Rejected port from unauthorized sender:', port.sender?.id);
+    port.disconnect();
+    return;
+  }
+
+  runBatchAnalysis(port);
+});
+
+/**
+ * Analyzes the postings sent over a batch port in order, spacing out API requests
+ * by BATCH_REQUEST_INTERVAL. Saved postings are reported rather than re-analyzed, and
+ * past the monthly budget in 'warn' mode the page is asked once whether to continue.
+ * Like single analyses, the one in flight still finishes if the page goes away, but
+ * postings not yet started are dropped
+ * @param {chrome.runtime.Port} port - Port from the content script
+ */
+function runBatchAnalysis(port) {
+  const controller = new AbortController();
+  const pending = [];
+  let connected = true;
+  let running = false;
+  let added = 0;
+  let lastRequestAt = 0;
+  let budgetAcknowledged = false;
+  let answerBudget = null; // resolves the open overBudget question, if any
+
+  const post = (message) => {
+    if (connected) port.postMessage(message);
+  };
+
+  const progress = (key, state, details = {}) => post({ type: 'progress', key, state, ...details });
+
+  const cancelPending = () => {
+    pending.splice(0).forEach(({ key }) => progress(key, 'cancelled'));
+  };
+
+  const askAboutBudget = (overBudget) => new Promise(resolve => {
+    answerBudget = resolve;
+    post({ type: 'overBudget', overBudget });
+  });
+
+  // Cancelling ends the wait early
+  const waitForRequestSlot = () => new Promise(resolve => {
+    const wait = lastRequestAt + BATCH_REQUEST_INTERVAL - Date.now();
+    if (wait <= 0 || controller.signal.aborted) {
+      resolve();
+      return;
+    }
+
+    const timer = setTimeout(resolve, wait);
+    controller.signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+
+  const analyze = async ({ key, data }) => {
+    progress(key, 'analyzing');
+
+    try {
+      await waitForRequestSlot();
+      if (controller.signal.aborted) {
+        progress(key, 'cancelled');
+        return;
+      }
+
+      let result = await handleAnalyzeJob(data, { budgetAcknowledged, signal: controller.signal, onText: () => {} });
+
+      // Past the budget in 'warn' mode - one answer covers the rest of the batch
+      if (result.overBudget) {
+        if (!(await askAboutBudget(result.overBudget))) {
+          progress(key, 'cancelled');
+          cancelPending();
+          return;
+        }
+        budgetAcknowledged = true;
+        result = await handleAnalyzeJob(data, { budgetAcknowledged, signal: controller.signal, onText: () => {} });
+      }
+
+      if (result.duplicate) {
+        progress(key, 'saved', { jobId: result.duplicate.job.id });
+        return;
+      }
+
+      lastRequestAt = Date.now();
+
+      if (result.success) {
+        progress(key, 'done', { jobId: result.jobId, score: result.analysis?.matchScore?.score ?? null });
+      } else if (result.queued) {
+        progress(key, 'retrying', { jobId: result.jobId, error: result.error });
+      } else {
+        progress(key, 'error', { error: result.error || 'Analysis failed' });
+      }
+    } catch (error) {
+      lastRequestAt = Date.now();
+      if (controller.signal.aborted) {
+        progress(key, 'cancelled');
+      } else {
+        console.error('Background: Batch analysis failed for', data?.url, error);
+        progress(key, 'error', { error: sanitizeErrorMessage(error) });
+      }
+    }
+  };
+
+  const drain = async () => {
+    if (running) return;
+    running = true;
+
+    while (pending.length > 0) {
+      await analyze(pending.shift());
+    }
+
+    running = false;
+  };
+
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    pending.length = 0;
+    answerBudget?.(false);
+  });
+
+  port.onMessage.addListener((message) => {
+    if (message?.action === 'cancel') {
+      console.log('Background: Batch analysis cancelled by user');
+      controller.abort();
+      answerBudget?.(false);
+      cancelPending();
+      return;
+    }
+
+    if (message?.action === 'budget') {
+      const answer = answerBudget;
+      answerBudget = null;
+      answer?.(Boolean(message.proceed));
+      return;
+    }
+
+    if (message?.action !== 'add' || !message.key) return;
+
+    if (controller.signal.aborted) {
+      progress(message.key, 'cancelled');
+    } else if (added >= MAX_BATCH_SIZE) {
+      progress(message.key, 'error', { error: `Batches are limited to ${MAX_BATCH_SIZE} postings` });
+    } else {
+      added++;
+      pending.push({ key: message.key, data: message.data });
+      progress(message.key, 'pending');
+      drain();
+    }
+  });
+}
+
+/**
+ * Restores data from an exported JSON bundle
+ * The file is parsed and validated here too, so the worker never trusts the caller's copy
+ * @param {string} text - Export file contents
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Promise<Object>} Response with import summary
+ */
+async function handleImportData(text, mode) {
+  const bundle = JobExporter.parseBundle(String(text || ''));
+  const summary = await Storage.importData(bundle, mode);
+  return { success: true, summary: { ...summary, skipped: bundle.skipped.length } };
+}
+
+/**
+ * Looks up one saved job by ID, or by the posting URL (matching alternate URLs too)
+ * @param {Object} request - { jobId } or { url }
+ * @returns {Promise<Object|null>} Saved job, or null if there is none
+ */
+async function getJobForRequest(request) {
+  if (request.jobId) {
+    return Storage.getJob(request.jobId);
+  }
+
+  if (!request.url) return null;
+  const { exact } = await Storage.findDuplicates({ url: request.url });
+  return exact;
+}
+
+/**
+ * Loads the stored API key and checks its format
+ * @returns {Promise<string>} API key
+ * @throws {Error} When no key is configured or the format is invalid
+ */
+async function getValidatedApiKey() {
+  // Get API key from storage
+  const apiKey = await Storage.getApiKey();
+
+  if (!apiKey) {
+    throw new Error('No API key configured. Please set your Claude API key in the extension popup.');
+  }
+
+  // Validate API key format
+  if (!ClaudeClient.validateApiKey(apiKey)) {
+    throw new Error('Invalid API key format. Please check your Claude API key.');
+  }
+
+  return apiKey;
+}
+
+/**
+ * Checks this month's estimated API cost against the monthly budget setting
+ * In 'block' mode a reached budget throws; in 'warn' mode it is returned so the
+ * caller can ask the user before spending more
+ * @param {Object} settings - Extension settings
+ * @returns {Promise<Object|null>} { spent, budget } once the budget is reached, otherwise null
+ * @throws {Error} When the budget is reached and budgetAction is 'block'
+ */
+async function checkMonthlyBudget(settings) {
+  const budget = Number(settings.monthlyBudget) || 0;
+  if (budget <= 0) return null;
+
+  const { month } = await Storage.getUsageTotals();
+  if (month.cost < budget) return null;
+
+  if (settings.budgetAction === 'block') {
+    throw new Error(`This month's estimated API cost ($${month.cost.toFixed(2)}) has reached your $${budget.toFixed(2)} budget. Raise the budget in Settings to keep analyzing.`);
+  }
+
+  return { spent: month.cost, budget };
+}
+
+/**
+ * Adds a request's token usage to the running totals
+ * A failure here is logged rather than failing the analysis it belongs to
+ * @param {Object} usage - From ClaudeClient.buildUsage()
+ */
+async function recordUsage(usage) {
+  try {
+    await Storage.recordUsage(usage);
+  } catch (error) {
+    console.error('Background: Error recording usage:', error);
+  }
+}
+
+/**
+ * Finds the custom prompt template selected in settings
+ * @param {Object} settings - Extension settings
+ * @returns {Object|null} { id, name, template }, or null to use the built-in prompt
+ */
+function getActivePromptTemplate(settings) {
+  const templates = Array.isArray(settings.promptTemplates) ? settings.promptTemplates : [];
+  const active = templates.find(item => item && item.id === settings.activePromptTemplate);
+  return active && typeof active.template === 'string' && active.template.trim() ? active : null;
+}
+
+/**
+ * Summarizes a saved job for the duplicate prompt shown to the user
+ * @param {Object} job - Saved job
+ * @returns {Object} Fields needed to describe the match
+ */
+function describeDuplicate(job) {
+  return {
+    id: job.id,
+    jobTitle: job.jobTitle,
+    company: job.company,
+    location: job.location,
+    platform: job.platform,
+    analyzedAt: job.analyzedAt
+  };
+}
+
 /**
  * Handles job analysis request
+ * Before calling Claude, postings that are already saved are reported back as
+ * `duplicate` so the caller can ask the user how to proceed, then retry with
+ * options.duplicateAction:
+ *   'reanalyze' - analyze again and update the saved job (keeps its stage history)
+ *   'merge'     - skip analysis and link this URL to the saved job
+ *   'separate'  - save as a new job (only offered for fuzzy matches)
+ * Once the monthly budget is reached in 'warn' mode, `overBudget` is reported the
+ * same way and the caller retries with options.budgetAcknowledged
  * @param {Object} jobData - Extracted job data
+ * @param {Object} [options] - { duplicateAction, duplicateOf, budgetAcknowledged }, { depth } to override
+ *   the analysisDepth setting, and { onText, signal } to stream the response and allow cancelling it
  * @returns {Promise<Object>} Analysis result
  */
-async function handleAnalyzeJob(jobData) {
+async function handleAnalyzeJob(jobData, options = {}) {
+  const { duplicateAction, duplicateOf, depth, budgetAcknowledged, onText, signal } = options;
+  const existing = duplicateOf && duplicateAction !== 'separate' ? await Storage.getJob(duplicateOf) : null;
+
+  if (!duplicateAction) {
+    const { exact, similar } = await Storage.findDuplicates(jobData);
+    const match = exact || similar[0];
+
+    if (match) {
+      console.log('Background: Posting matches saved job', match.id, exact ? '(same URL)' : '(similar)');
+      return {
+        success: false,
+        duplicate: { matchType: exact ? 'exact' : 'similar', job: describeDuplicate(match) }
+      };
+    }
+  } else if (duplicateAction !== 'separate' && !existing) {
+    throw new Error('The saved job no longer exists. Please try again.');
+  }
+
+  if (duplicateAction === 'merge') {
+    await Storage.addAlternateUrl(existing.id, jobData.url);
+    console.log('Background: Linked posting to saved job', existing.id);
+    return { success: true, analysis: existing.analysis, jobId: existing.id, merged: true };
+  }
+
+  // Past the monthly budget, 'warn' asks first (the caller retries with budgetAcknowledged)
+  const settings = await Storage.getSettings();
+  const overBudget = await checkMonthlyBudget(settings);
+  if (overBudget && !budgetAcknowledged) {
+    console.log('Background: Monthly budget reached, asking before analyzing');
+    return { success: false, overBudget };
+  }
+
   try {
     console.log('Background: Starting job analysis');
     console.log('Background: Received job data:', {
@@ -154,30 +673,58 @@ async function handleAnalyzeJob(jobData) {
       url: jobData?.url
     });
 
-    // Get API key from storage
-    const apiKey = await Storage.getApiKey();
-    
-    if (!apiKey) {
-      throw new Error('No API key configured. Please set your Claude API key in the extension popup.');
-    }
-    
-    // Validate API key format
-    if (!ClaudeClient.validateApiKey(apiKey)) {
-      throw new Error('Invalid API key format. Please check your Claude API key.');
-    }
+    const apiKey = await getValidatedApiKey();
     
+    // Personalize the match score when the user has filled in a profile
+    const profile = await Storage.getProfile();
+    const hasProfile = Storage.hasProfile(profile);
+
+    // A depth picked for this analysis wins over the Settings preset
+    const analysisDepth = ClaudeClient.getAnalysisDepth(depth || settings.analysisDepth);
+    const promptTemplate = getActivePromptTemplate(settings);
+    const parameters = ClaudeClient.getRequestParameters(settings, analysisDepth);
+
     // Call Claude API for analysis
-    console.log('Background: Calling Claude API...');
-    const analysisResult = await ClaudeClient.analyzeJob(apiKey, jobData);
+    console.log('Background: Calling Claude API...', {
+      personalized: hasProfile,
+      depth: analysisDepth,
+      template: promptTemplate?.name || 'default',
+      ...parameters
+    });
+    const analysisResult = await ClaudeClient.analyzeJob(apiKey, jobData, {
+      profile: hasProfile ? profile : null,
+      depth: analysisDepth,
+      template: promptTemplate?.template,
+      ...parameters,
+      onText,
+      signal
+    });
     
+    if (promptTemplate) {
+      analysisResult.analysis.promptTemplate = promptTemplate.name;
+    }
+
+    await recordUsage(analysisResult.analysis.usage);
+
     // Save the analyzed job to storage
     const jobToSave = {
       ...jobData,
       analysis: analysisResult.analysis,
-      analyzedAt: analysisResult.analyzedAt
+      analyzedAt: analysisResult.analyzedAt,
+      analysisError: null
     };
+
+    // Re-analyzing updates the saved job in place (keeping its stage history)
+    if (existing) {
+      jobToSave.id = existing.id;
+    }
     
     await Storage.saveJob(jobToSave);
+
+    // For a cross-post the new posting becomes primary and the old URL is kept as an alternate
+    if (existing?.url) {
+      await Storage.addAlternateUrl(existing.id, existing.url);
+    }
     
     console.log('Background: Job analysis complete and saved');
     
@@ -193,27 +740,455 @@ async function handleAnalyzeJob(jobData) {
   } catch (error) {
     console.error('Background: Error analyzing job:', error);
 
+    // A failed re-analysis leaves the saved job and its earlier analysis untouched,
+    // and a cancelled analysis isn't a failure worth recording
+    if (existing || signal?.aborted) {
+      throw error;
+    }
+
     // Still save the job data even if analysis fails
+    const failedJob = {
+      ...jobData,
+      analysisError: sanitizeErrorMessage(error) // Sanitize before storing
+    };
+    let saved = false;
     try {
-      await Storage.saveJob({
-        ...jobData,
-        analysisError: sanitizeErrorMessage(error) // Sanitize before storing
-      });
+      // Data that already has an id belongs to a saved job, which may have been deleted
+      // since; only a posting seen for the first time is saved as a new job
+      saved = jobData.id
+        ? Boolean(await Storage.updateJob(jobData.id, { analysisError: failedJob.analysisError }))
+        : await Storage.saveJob(failedJob);
     } catch (saveError) {
       console.error('Background: Error saving job after failed analysis:', saveError);
     }
 
+    // Timeouts, rate limits, overload and network drops are retried in the background
+    if (saved && ClaudeClient.isRetryableError(error)) {
+      await queueAnalysisRetry(failedJob.id, { depth, error, attempts: 1 });
+      return { success: false, error: failedJob.analysisError, jobId: failedJob.id, queued: true };
+    }
+
     throw error;
   }
 }
 
+// Serializes daily-limit checks so tabs auto-analyzing at once can't overshoot the limit
+let autoAnalyzeLock = Promise.resolve();
+
+// Canonical URLs being auto-analyzed, so the same posting open in two tabs is analyzed once
+const autoAnalyzeInFlight = new Set();
+
+/**
+ * Counts an auto-analysis against today's limit if there is room left
+ * @param {number} limit - Daily limit from settings
+ * @returns {Promise<boolean>} Whether the analysis may go ahead
+ */
+function reserveAutoAnalysis(limit) {
+  const reservation = autoAnalyzeLock.then(async () => {
+    if ((await Storage.getAutoAnalyzeCount()) >= limit) return false;
+    await Storage.recordAutoAnalysis();
+    return true;
+  });
+
+  autoAnalyzeLock = reservation.catch(() => {});
+  return reservation;
+}
+
+/**
+ * Handles an analysis the content script started on its own for a newly opened posting
+ * Settings are checked here rather than trusted from the page. Postings that are
+ * already saved, or that fall outside the allowlist or daily limit, resolve with
+ * `skipped` ('disabled', 'platform', 'duplicate', 'in-progress', 'budget' or 'limit') instead of calling Claude
+ * Auto-analysis stops once the monthly budget is reached, even in 'warn' mode, since nobody is there to confirm
+ * @param {Object} jobData - Extracted job data
+ * @param {Object} streamOptions - { onText, signal } passed through to handleAnalyzeJob
+ * @returns {Promise<Object>} Analysis result, or { success: false, skipped }
+ */
+async function handleAutoAnalyze(jobData, streamOptions) {
+  const settings = await Storage.getSettings();
+  const skip = (reason) => {
+    console.log('Background: Skipping auto-analysis:', reason);
+    return { success: false, skipped: reason };
+  };
+
+  if (!settings.autoAnalyze) return skip('disabled');
+
+  const platforms = Array.isArray(settings.autoAnalyzePlatforms) ? settings.autoAnalyzePlatforms : [];
+  if (!jobData?.platform || !platforms.includes(jobData.platform)) return skip('platform');
+
+  // Similar postings are skipped too - the user decides whether they're the same job
+  const { exact, similar } = await Storage.findDuplicates(jobData);
+  if (exact || similar.length > 0) return skip('duplicate');
+
+  const url = JobIdentity.normalizeUrl(jobData.url);
+  if (autoAnalyzeInFlight.has(url)) return skip('in-progress');
+
+  try {
+    if (await checkMonthlyBudget(settings)) return skip('budget');
+  } catch (error) {
+    return skip('budget');
+  }
+
+  const limit = Math.min(Math.max(Number(settings.autoAnalyzeDailyLimit) || 0, 0), Storage.MAX_AUTO_ANALYZE_DAILY_LIMIT);
+
+  autoAnalyzeInFlight.add(url);
+  try {
+    if (!(await reserveAutoAnalysis(limit))) return skip('limit');
+
+    // Duplicates and the budget were checked above, so save as a new job without asking again
+    return await handleAnalyzeJob(jobData, { ...streamOptions, duplicateAction: 'separate', budgetAcknowledged: true });
+  } finally {
+    autoAnalyzeInFlight.delete(url);
+  }
+}
+
+// Failed analyses wait in storage (Storage.ANALYSIS_QUEUE_KEY) and an alarm wakes the
+// worker to retry them, so retries survive the service worker being stopped
+const ANALYSIS_QUEUE_ALARM = 'analysisQueue';
+const RETRY_BASE_DELAY = 30 * 1000; // ms before the first retry - chrome.alarms can't fire sooner
+const RETRY_MAX_DELAY = 60 * 60 * 1000; // ms - longest backoff between retries (retry-after can ask for more)
+const MAX_RETRY_ATTEMPTS = 6; // tries, counting the first, before a job is left for the user to retry
+
+// Serializes queue writes, like autoAnalyzeLock
+let analysisQueueLock = Promise.resolve();
+
+// The running processAnalysisQueue(), so an alarm and a manual retry don't process the queue twice
+let analysisQueueRun = null;
+
+/**
+ * Applies a change to the stored retry queue
+ * @param {Function} update - Receives the queue and returns the new one
+ * @returns {Promise<Array<Object>>} Updated queue
+ */
+function updateAnalysisQueue(update) {
+  const result = analysisQueueLock.then(async () => {
+    const queue = update(await Storage.getAnalysisQueue());
+    await Storage.saveAnalysisQueue(queue);
+    return queue;
+  });
+
+  analysisQueueLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Works out how long to wait before the next try
+ * Doubles from RETRY_BASE_DELAY with each failed attempt, and never retries
+ * sooner than the API's retry-after asked for
+ * @param {number} attempts - Failed attempts so far
+ * @param {Error} [error] - Last error, with retryAfter in seconds when the API sent one
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempts, error) {
+  const backoff = Math.min(RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY);
+  return Math.max(backoff, (Number(error?.retryAfter) || 0) * 1000);
+}
+
+/**
+ * Adds a failed analysis to the retry queue (or reschedules it if already there)
+ * @param {string} jobId - Saved job to analyze
+ * @param {Object} options - { depth, error, attempts } for automatic retries, or
+ *   { manual: true } to retry right away at the user's request
+ * @returns {Promise<void>}
+ */
+async function queueAnalysisRetry(jobId, { depth = null, error = null, attempts = 0, manual = false } = {}) {
+  const entry = {
+    jobId,
+    attempts,
+    nextAttemptAt: manual ? Date.now() : Date.now() + getRetryDelay(attempts, error),
+    depth,
+    manual,
+    lastError: error ? sanitizeErrorMessage(error) : null
+  };
+
+  await updateAnalysisQueue(queue => [...queue.filter(item => item.jobId !== jobId), entry]);
+  console.log('Background: Queued analysis retry', jobId, new Date(entry.nextAttemptAt).toISOString());
+  await scheduleAnalysisQueue();
+}
+
+/**
+ * Sets the queue alarm for the next due retry, or clears it when the queue is empty
+ * @returns {Promise<void>}
+ */
+async function scheduleAnalysisQueue() {
+  const queue = await Storage.getAnalysisQueue();
+
+  if (queue.length === 0) {
+    await chrome.alarms.clear(ANALYSIS_QUEUE_ALARM);
+    return;
+  }
+
+  const when = Math.min(...queue.map(item => item.nextAttemptAt));
+  await chrome.alarms.create(ANALYSIS_QUEUE_ALARM, { when: Math.max(when, Date.now() + 1000) });
+}
+
+/**
+ * Retries the queued analyses that are due, one at a time
+ * Each entry is rescheduled before its attempt, so if the worker is stopped
+ * mid-request the alarm still brings it back
+ * @returns {Promise<void>}
+ */
+function processAnalysisQueue() {
+  if (!analysisQueueRun) {
+    analysisQueueRun = runAnalysisQueue().finally(() => {
+      analysisQueueRun = null;
+    });
+  }
+  return analysisQueueRun;
+}
+
+/**
+ * Does the work of processAnalysisQueue()
+ * @returns {Promise<void>}
+ */
+async function runAnalysisQueue() {
+  try {
+    while (true) {
+      const now = Date.now();
+      const due = (await Storage.getAnalysisQueue())
+        .filter(item => item.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+      if (due.length === 0) break;
+
+      // Offline attempts would only use up retries, so wait without counting them
+      if (navigator.onLine === false) {
+        console.log('Background: Offline, postponing queued analyses');
+        const dueIds = new Set(due.map(item => item.jobId));
+        await updateAnalysisQueue(queue => queue.map(item => (
+          dueIds.has(item.jobId) ? { ...item, nextAttemptAt: now + RETRY_BASE_DELAY } : item
+        )));
+        break;
+      }
+
+      const entry = due[0];
+      const attempts = entry.attempts + 1;
+      await updateAnalysisQueue(queue => queue.map(item => (
+        item.jobId === entry.jobId ? { ...item, nextAttemptAt: now + getRetryDelay(attempts) } : item
+      )));
+      await scheduleAnalysisQueue();
+
+      await retryQueuedAnalysis(entry, attempts);
+    }
+  } catch (error) {
+    console.error('Background: Error processing analysis queue:', error);
+  } finally {
+    await scheduleAnalysisQueue();
+  }
+}
+
+/**
+ * Makes one attempt at a queued analysis and updates the queue with the outcome
+ * @param {Object} entry - Queue entry
+ * @param {number} attempts - Attempts including this one
+ * @returns {Promise<void>}
+ */
+async function retryQueuedAnalysis(entry, attempts) {
+  const removeEntry = () => updateAnalysisQueue(queue => queue.filter(item => item.jobId !== entry.jobId));
+  const job = await Storage.getJob(entry.jobId);
+
+  // Deleted, or analyzed some other way in the meantime
+  if (!job || job.analysis) {
+    await removeEntry();
+    return;
+  }
+
+  console.log('Background: Retrying analysis', job.id, `(attempt ${attempts})`);
+
+  try {
+    // Streamed so long analyses get the idle timeout rather than a fixed one; there's no page to show it
+    const result = await handleAnalyzeJob(job, {
+      duplicateAction: 'reanalyze',
+      duplicateOf: job.id,
+      depth: entry.depth,
+      budgetAcknowledged: entry.manual,
+      onText: () => {}
+    });
+
+    if (result.overBudget) {
+      await Storage.updateJob(job.id, { analysisError: 'Monthly API budget reached. Retry it from the popup to analyze anyway.' });
+    }
+
+    await removeEntry();
+  } catch (error) {
+    // Save the error before touching the queue, so pages refreshing on queue changes see it
+    // (unless the job was deleted while the retry was running)
+    const analysisError = sanitizeErrorMessage(error);
+    await Storage.updateJob(job.id, { analysisError });
+
+    if (ClaudeClient.isRetryableError(error) && attempts < MAX_RETRY_ATTEMPTS) {
+      const nextAttemptAt = Date.now() + getRetryDelay(attempts, error);
+      console.log('Background: Retry failed, trying again', new Date(nextAttemptAt).toISOString());
+      await updateAnalysisQueue(queue => queue.map(item => (
+        item.jobId === entry.jobId ? { ...item, attempts, nextAttemptAt, lastError: analysisError } : item
+      )));
+    } else {
+      console.log('Background: Giving up on queued analysis', job.id);
+      await removeEntry();
+    }
+  }
+}
+
+/**
+ * Handles a request from the popup to retry failed analyses now
+ * Retries run in the background; the popup sees the results as the jobs change
+ * @param {Array<string>} jobIds - IDs of saved jobs whose analysis failed
+ * @returns {Promise<Object>} { success, queued } with the number of jobs queued
+ */
+async function handleRetryAnalyses(jobIds) {
+  const jobs = await Promise.all((Array.isArray(jobIds) ? jobIds : []).map(id => Storage.getJob(String(id))));
+  const failed = jobs.filter(job => job && !job.analysis);
+
+  for (const job of failed) {
+    await queueAnalysisRetry(job.id, { manual: true });
+  }
+
+  processAnalysisQueue();
+  return { success: true, queued: failed.length };
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === ANALYSIS_QUEUE_ALARM) {
+    processAnalysisQueue();
+  }
+});
+
+// Retry as soon as the connection comes back rather than waiting for the alarm
+self.addEventListener('online', () => processAnalysisQueue());
+
+/**
+ * Handles a request to rank saved jobs against each other
+ * @param {Array<string>} jobIds - IDs of the jobs to compare
+ * @param {boolean} [budgetAcknowledged] - The user chose to go past the monthly budget
+ * @returns {Promise<Object>} Comparison result, or { success: false, overBudget } to confirm first
+ */
+async function handleCompareJobs(jobIds, budgetAcknowledged = false) {
+  const apiKey = await getValidatedApiKey();
+  const settings = await Storage.getSettings();
+
+  const overBudget = await checkMonthlyBudget(settings);
+  if (overBudget && !budgetAcknowledged) {
+    return { success: false, overBudget };
+  }
+
+  const jobs = (await Promise.all((jobIds || []).map(id => Storage.getJob(id)))).filter(Boolean);
+  if (jobs.length !== (jobIds || []).length) {
+    throw new Error('Some of the selected jobs no longer exist. Please reselect and try again.');
+  }
+
+  const profile = await Storage.getProfile();
+  // Comparisons use the Detailed preset's model
+  const { model, temperature } = ClaudeClient.getRequestParameters(settings, 'detailed');
+
+  console.log('Background: Comparing jobs...', { count: jobs.length, model });
+  const comparison = await ClaudeClient.compareJobs(apiKey, jobs, {
+    profile: Storage.hasProfile(profile) ? profile : null,
+    model,
+    temperature
+  });
+  await recordUsage(comparison.usage);
+
+  return { success: true, comparison };
+}
+
+/**
+ * Answers a follow-up question about a saved job and adds both to its conversation
+ * Like comparisons, follow-ups use the Detailed preset's model and settings
+ * @param {string} jobId - Saved job ID
+ * @param {string} question - The user's question
+ * @param {boolean} [budgetAcknowledged] - Ask even though the monthly budget is reached ('warn' mode)
+ * @returns {Promise<Object>} { success, reply, job } or { success: false, overBudget }
+ */
+async function handleChatAboutJob(jobId, question, budgetAcknowledged = false) {
+  const job = await Storage.getJob(jobId);
+  if (!job) {
+    throw new Error('This job is no longer saved.');
+  }
+
+  const settings = await Storage.getSettings();
+  const overBudget = await checkMonthlyBudget(settings);
+  if (overBudget && !budgetAcknowledged) {
+    return { success: false, overBudget };
+  }
+
+  const apiKey = await getValidatedApiKey();
+  const profile = await Storage.getProfile();
+  const parameters = ClaudeClient.getRequestParameters(settings, 'detailed');
+
+  console.log('Background: Asking follow-up question...', { jobId, model: parameters.model });
+  const askedAt = new Date().toISOString();
+  const result = await ClaudeClient.chatAboutJob(apiKey, job, job.chat, question, {
+    profile: Storage.hasProfile(profile) ? profile : null,
+    ...parameters
+  });
+  await recordUsage(result.usage);
+
+  if (!result.reply) {
+    throw new Error('Claude returned an empty reply. Please try again.');
+  }
+
+  const updated = await Storage.addChatMessages(jobId, [
+    { role: 'user', content: String(question).trim(), at: askedAt },
+    { role: 'assistant', content: result.reply, at: result.answeredAt, usage: result.usage }
+  ]);
+
+  return { success: true, reply: result.reply, job: updated || job };
+}
+
+/**
+ * Writes a cover letter or tailored resume bullets for a saved job and saves it as a new version
+ * Uses the Detailed preset's model and temperature, like comparisons and follow-ups
+ * @param {string} jobId - Saved job ID
+ * @param {Object} options - { type, tone, length, bullets } (see ClaudeClient.generateDocument)
+ * @param {boolean} [budgetAcknowledged] - Generate even though the monthly budget is reached ('warn' mode)
+ * @returns {Promise<Object>} { success, document, job } or { success: false, overBudget }
+ */
+async function handleGenerateDocument(jobId, options = {}, budgetAcknowledged = false) {
+  const job = await Storage.getJob(jobId);
+  if (!job) {
+    throw new Error('This job is no longer saved.');
+  }
+
+  const settings = await Storage.getSettings();
+  const overBudget = await checkMonthlyBudget(settings);
+  if (overBudget && !budgetAcknowledged) {
+    return { success: false, overBudget };
+  }
+
+  const apiKey = await getValidatedApiKey();
+  const profile = await Storage.getProfile();
+  const { model, temperature } = ClaudeClient.getRequestParameters(settings, 'detailed');
+
+  console.log('Background: Generating document...', { jobId, type: options?.type, model });
+  const result = await ClaudeClient.generateDocument(apiKey, job, {
+    type: options?.type,
+    tone: options?.tone,
+    length: options?.length,
+    bullets: options?.bullets,
+    profile: Storage.hasProfile(profile) ? profile : null,
+    model,
+    temperature
+  });
+  await recordUsage(result.usage);
+
+  if (!result.content) {
+    throw new Error('Claude returned an empty draft. Please try again.');
+  }
+
+  const { generatedAt, ...document } = result;
+  const saved = await Storage.addJobDocument(jobId, document);
+  if (!saved) {
+    throw new Error('The draft was written but could not be saved. Please try again.');
+  }
+
+  return { success: true, document: saved.document, job: saved.job };
+}
+
 /**
  * Updates the extension badge with job count
  */
 async function updateBadge() {
   try {
-    const jobs = await Storage.getAllJobs();
-    const count = jobs.length;
+    const count = await Storage.countJobs();
     
     if (count > 0) {
       chrome.action.setBadgeText({ text: count.toString() });
@@ -229,9 +1204,8 @@ async function updateBadge() {
 // Update badge when extension loads
 updateBadge();
 
-// Listen for storage changes to update badge
-chrome.storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === 'local' && changes.jobs) {
-    updateBadge();
-  }
-});
+// Keep the badge in sync with job changes from any context
+Storage.onJobsChanged(updateBadge);
+
+// Pick up retries that came due while the worker or browser wasn't running
+processAnalysisQueue();
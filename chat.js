@@ -0,0 +1,251 @@
+/**
+ * Chat Script
+ * Follow-up questions about one saved job, answered by Claude with the posting
+ * and its analysis as context. The conversation is saved with the job
+ * Opened from the popup or the on-page panel as chat.html?id=<jobId>
+ */
+
+// Starting points shown while the conversation is empty
+const SUGGESTED_QUESTIONS = [
+  'How should I pitch my experience for this role?',
+  'Draft a question to ask about on-call and working hours.',
+  'What should I prepare for the interviews?',
+  'Write a short message to the recruiter.'
+];
+
+const jobId = new URLSearchParams(window.location.search).get('id');
+
+// The saved job, refreshed after every change
+let chatJob = null;
+let isSending = false;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log('Chat page loaded');
+
+  document.getElementById('chat-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    sendQuestion();
+  });
+
+  document.getElementById('chat-question').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      sendQuestion();
+    }
+  });
+
+  document.getElementById('clear-chat').addEventListener('click', clearConversation);
+  document.getElementById('open-posting').addEventListener('click', () => {
+    if (chatJob?.url && isSafeUrl(chatJob.url)) {
+      chrome.tabs.create({ url: chatJob.url });
+    }
+  });
+
+  // Questions asked about this job in another tab show up here too
+  Storage.onJobsChanged(() => {
+    if (!isSending) loadJob();
+  });
+
+  await loadJob();
+});
+
+/**
+ * Loads the job and renders its conversation
+ */
+async function loadJob() {
+  const log = document.getElementById('chat-log');
+
+  try {
+    const response = jobId ? await chrome.runtime.sendMessage({ action: 'getJob', jobId }) : null;
+
+    if (response && !response.success) {
+      throw new Error(response.error || 'Failed to load job');
+    }
+
+    if (!response?.job) {
+      chatJob = null;
+      document.getElementById('chat-subtitle').textContent = 'Job not found';
+      log.innerHTML = '<div class="page-message">This job is no longer saved. Open a job from the popup to ask about it.</div>';
+      setFormEnabled(false);
+      return;
+    }
+
+    chatJob = response.job;
+    document.title = `Ask About ${chatJob.jobTitle || 'This Job'} - Job Hunt Assistant`;
+    document.getElementById('chat-title').textContent = chatJob.jobTitle || 'Untitled Job';
+    document.getElementById('chat-subtitle').textContent = chatJob.company || 'Unknown Company';
+    document.getElementById('open-posting').disabled = !(chatJob.url && isSafeUrl(chatJob.url));
+    setFormEnabled(!isSending);
+    renderConversation();
+  } catch (error) {
+    console.error('Error loading job:', error);
+    log.innerHTML = '<div class="page-message">Error loading job</div>';
+  }
+}
+
+/**
+ * Renders the saved conversation, or suggested questions when there is none
+ * All values are inserted with textContent to prevent XSS
+ */
+function renderConversation() {
+  const log = document.getElementById('chat-log');
+  const messages = chatJob?.chat || [];
+  log.innerHTML = '';
+
+  document.getElementById('clear-chat').disabled = messages.length === 0 || isSending;
+
+  if (messages.length === 0) {
+    const suggestions = document.createElement('div');
+    suggestions.className = 'suggestions';
+
+    const intro = document.createElement('p');
+    intro.textContent = chatJob.analysis
+      ? 'Ask anything about this job. Claude already has the posting and its analysis. For example:'
+      : 'Ask anything about this job. Claude already has the posting. For example:';
+    suggestions.appendChild(intro);
+
+    SUGGESTED_QUESTIONS.forEach(question => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = question;
+      button.addEventListener('click', () => {
+        const input = document.getElementById('chat-question');
+        input.value = question;
+        input.focus();
+      });
+      suggestions.appendChild(button);
+    });
+
+    log.appendChild(suggestions);
+    return;
+  }
+
+  messages.forEach(message => log.appendChild(createMessageElement(message)));
+}
+
+/**
+ * Creates the bubble for one message
+ * @param {Object} message - { role, content, at, usage }
+ * @returns {HTMLElement} Message element
+ */
+function createMessageElement(message) {
+  const element = document.createElement('div');
+  element.className = `message message-${message.role}`;
+  element.textContent = message.content;
+
+  const meta = document.createElement('span');
+  meta.className = 'message-meta';
+  const cost = message.usage?.cost ? ` • ${formatCost(message.usage.cost)}` : '';
+  meta.textContent = `${formatDate(message.at)}${cost}`;
+  element.appendChild(meta);
+
+  return element;
+}
+
+/**
+ * Sends the question in the text box and shows Claude's reply
+ */
+async function sendQuestion() {
+  const input = document.getElementById('chat-question');
+  const question = input.value.trim();
+  const status = document.getElementById('chat-status');
+
+  if (!question || !chatJob || isSending) return;
+
+  isSending = true;
+  setFormEnabled(false);
+  status.innerHTML = '';
+
+  // Show the question straight away; the saved copy replaces it with the reply
+  const log = document.getElementById('chat-log');
+  log.querySelector('.suggestions')?.remove();
+  log.appendChild(createMessageElement({ role: 'user', content: question, at: new Date().toISOString() }));
+  const pending = document.createElement('div');
+  pending.className = 'message message-assistant message-pending';
+  pending.textContent = 'Thinking...';
+  log.appendChild(pending);
+  pending.scrollIntoView({ block: 'end' });
+
+  try {
+    const request = { action: 'chatAboutJob', jobId: chatJob.id, question };
+    let response = await chrome.runtime.sendMessage(request);
+
+    // Past the monthly budget (in warn mode) - only spend more if the user says so
+    if (response.overBudget) {
+      const { spent, budget } = response.overBudget;
+      if (!confirm(`You've spent about ${formatCost(spent)} of your ${formatCost(budget)} monthly API budget. Ask anyway?`)) {
+        renderConversation();
+        return;
+      }
+      response = await chrome.runtime.sendMessage({ ...request, budgetAcknowledged: true });
+    }
+
+    if (response.success) {
+      input.value = '';
+      chatJob = response.job;
+      renderConversation();
+      log.lastElementChild?.scrollIntoView({ block: 'end' });
+    } else {
+      // Keep the question in the text box so it can be sent again
+      renderConversation();
+      showError(status, response.error || 'Claude could not answer. Please try again.');
+    }
+  } catch (error) {
+    console.error('Error sending question:', error);
+    renderConversation();
+    showError(status, 'Error communicating with extension. Please try again.');
+  } finally {
+    isSending = false;
+    setFormEnabled(Boolean(chatJob));
+    document.getElementById('clear-chat').disabled = !chatJob?.chat?.length;
+    input.focus();
+  }
+}
+
+/**
+ * Deletes the conversation after confirmation
+ */
+async function clearConversation() {
+  if (!chatJob || !confirm('Delete this conversation? The job and its analysis are kept.')) {
+    return;
+  }
+
+  const status = document.getElementById('chat-status');
+  status.innerHTML = '';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'clearJobChat', jobId: chatJob.id });
+
+    if (response.success) {
+      chatJob = response.job;
+      renderConversation();
+    } else {
+      showError(status, response.error || 'Could not clear the conversation');
+    }
+  } catch (error) {
+    console.error('Error clearing conversation:', error);
+    showError(status, 'Error communicating with extension. Please try again.');
+  }
+}
+
+/**
+ * Enables or disables the question box and send button
+ * @param {boolean} enabled - Whether questions can be sent
+ */
+function setFormEnabled(enabled) {
+  document.getElementById('chat-question').disabled = !enabled;
+  document.getElementById('send-question').disabled = !enabled;
+  document.getElementById('send-question').textContent = isSending ? 'Sending...' : 'Send';
+}
+
+/**
+ * Show an error message
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} message - Error message
+ */
+function showError(container, message) {
+  const div = document.createElement('div');
+  div.className = 'status-error';
+  div.textContent = message; // Use textContent to prevent XSS
+  container.appendChild(div);
+}
@@ -0,0 +1,235 @@
+/**
+ * Compare Script
+ * Side-by-side comparison of 2-4 saved jobs, with an optional ranking from Claude
+ * Opened from the popup as compare.html?ids=<jobId>,<jobId>,...
+ */
+
+// Jobs being compared, in the order they were selected
+let compareJobs = [];
+
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log('Compare page loaded');
+
+  document.getElementById('ask-claude').addEventListener('click', askClaudeToCompare);
+  await loadComparison();
+});
+
+/**
+ * Load the selected jobs and render the comparison table
+ */
+async function loadComparison() {
+  const container = document.getElementById('compare-table-container');
+  const summary = document.getElementById('compare-summary');
+  const ids = (new URLSearchParams(window.location.search).get('ids') || '').split(',').filter(Boolean);
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getJobs' });
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load jobs');
+    }
+
+    // Keep selection order rather than storage order
+    compareJobs = ids.map(id => response.jobs.find(job => job.id === id)).filter(Boolean);
+
+    if (compareJobs.length < 2) {
+      summary.textContent = 'Nothing to compare';
+      container.innerHTML = '<div class="page-message">Select at least two jobs in the popup to compare them.</div>';
+      document.getElementById('ask-claude').disabled = true;
+      return;
+    }
+
+    summary.textContent = `Comparing ${compareJobs.length} jobs`;
+    renderComparisonTable(container);
+  } catch (error) {
+    console.error('Error loading comparison:', error);
+    container.innerHTML = '<div class="page-message">Error loading jobs</div>';
+  }
+}
+
+/**
+ * Returns a job's structured analysis, or null for missing/legacy/unparsed analyses
+ * @param {Object} job - Saved job
+ * @returns {Object|null} Structured analysis
+ */
+function getStructuredAnalysis(job) {
+  const analysis = job.analysis;
+  return analysis && typeof analysis === 'object' && !analysis.rawText ? analysis : null;
+}
+
+/**
+ * Renders a list of strings as an escaped <ul>, or a muted dash when empty
+ * @param {Array<string>} items - Items to render
+ * @param {Set<string>} [highlight] - Lowercased items to emphasize
+ * @returns {string} HTML
+ */
+function listHtml(items, highlight = null) {
+  if (!items || items.length === 0) {
+    return '<span class="muted">-</span>';
+  }
+
+  const lis = items.map(item => {
+    const safe = escapeHtml(item);
+    return highlight?.has(item.toLowerCase()) ? `<li class="shared-tech">${safe}</li>` : `<li>${safe}</li>`;
+  }).join('');
+
+  return `<ul>${lis}</ul>`;
+}
+
+/**
+ * Render the side-by-side table: one column per job, one row per attribute
+ * @param {HTMLElement} container - Element to render into
+ */
+function renderComparisonTable(container) {
+  const analyses = compareJobs.map(getStructuredAnalysis);
+
+  // Tech used by every job is highlighted so the differences stand out
+  const techLists = compareJobs.map((job, index) => analyses[index]?.techStack?.length ? analyses[index].techStack : (job.techStack || []));
+  const sharedTech = new Set(
+    techLists[0]
+      .map(tech => tech.toLowerCase())
+      .filter(tech => techLists.every(list => list.some(item => item.toLowerCase() === tech)))
+  );
+
+  const text = (value) => value ? escapeHtml(value) : '<span class="muted">-</span>';
+
+  const rows = [
+    ['Company', compareJobs.map(job => text(job.company))],
+    ['Location', compareJobs.map(job => text(job.location))],
+    ['Stage', compareJobs.map(job => escapeHtml(Storage.getStatusLabel(Storage.getJobStatus(job))))],
+    ['Match Score', analyses.map(analysis => {
+      const score = analysis?.matchScore?.score;
+      return score ? `<span class="score">${score}/10</span>` : '<span class="muted">Not scored</span>';
+    })],
+    ['Experience Level', analyses.map(analysis => text(formatExperienceLevel(analysis?.experienceLevel)))],
+    ['Salary', compareJobs.map(job => text(job.salary?.text))],
+    ['Tech Stack', techLists.map(list => listHtml(list, sharedTech))],
+    ['Green Flags', analyses.map(analysis => listHtml(analysis?.greenFlags))],
+    ['Red Flags', analyses.map(analysis => listHtml(analysis?.redFlags))],
+    ['Skills Gap', analyses.map(analysis => listHtml(analysis?.skillsGap?.missing))],
+    ['Summary', analyses.map(analysis => text(analysis?.summary))]
+  ];
+
+  const headerCells = compareJobs.map(job => `<th>${escapeHtml(job.jobTitle || 'Untitled Job')}</th>`).join('');
+  const bodyRows = rows.map(([label, cells]) =>
+    `<tr><th>${label}</th>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`
+  ).join('');
+
+  container.innerHTML = `
+    <table class="compare-table">
+      <thead><tr><th></th>${headerCells}</tr></thead>
+      <tbody>${bodyRows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Ask Claude for a ranked recommendation across the compared jobs
+ */
+async function askClaudeToCompare() {
+  const button = document.getElementById('ask-claude');
+  const result = document.getElementById('claude-result');
+
+  button.disabled = true;
+  button.textContent = 'Comparing...';
+  result.innerHTML = '';
+
+  try {
+    const request = { action: 'compareJobs', jobIds: compareJobs.map(job => job.id) };
+    let response = await chrome.runtime.sendMessage(request);
+
+    // Past the monthly budget (in warn mode) - only spend more if the user says so
+    if (response.overBudget) {
+      const { spent, budget } = response.overBudget;
+      if (!confirm(`You've spent about ${formatCost(spent)} of your ${formatCost(budget)} monthly API budget. Compare anyway?`)) {
+        return;
+      }
+      response = await chrome.runtime.sendMessage({ ...request, budgetAcknowledged: true });
+    }
+
+    if (response.success) {
+      renderClaudeComparison(result, response.comparison);
+    } else {
+      showError(result, response.error || 'Comparison failed');
+    }
+  } catch (error) {
+    console.error('Error comparing jobs:', error);
+    showError(result, 'Error communicating with extension. Please try again.');
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Ask Claude to compare these';
+  }
+}
+
+/**
+ * Render Claude's ranking and recommendation
+ * All values are inserted with textContent to prevent XSS
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} comparison - Result from ClaudeClient.compareJobs
+ */
+function renderClaudeComparison(container, comparison) {
+  if (comparison.rawText) {
+    const para = document.createElement('p');
+    para.style.whiteSpace = 'pre-wrap';
+    para.textContent = comparison.rawText;
+    container.appendChild(para);
+    return;
+  }
+
+  if (comparison.recommendation) {
+    const heading = document.createElement('h3');
+    heading.textContent = 'Recommendation';
+    const para = document.createElement('p');
+    para.textContent = comparison.recommendation;
+    container.appendChild(heading);
+    container.appendChild(para);
+  }
+
+  if (comparison.ranking.length > 0) {
+    const heading = document.createElement('h3');
+    heading.textContent = 'Ranking';
+    const list = document.createElement('ol');
+
+    comparison.ranking.forEach(entry => {
+      const job = compareJobs.find(j => j.id === entry.jobId);
+      const item = document.createElement('li');
+      const name = document.createElement('strong');
+      name.textContent = `${job?.jobTitle || 'Untitled Job'} at ${job?.company || 'Unknown Company'}`;
+      item.appendChild(name);
+      if (entry.reasoning) {
+        item.appendChild(document.createTextNode(` - ${entry.reasoning}`));
+      }
+      list.appendChild(item);
+    });
+
+    container.appendChild(heading);
+    container.appendChild(list);
+  }
+
+  if (comparison.tradeoffs.length > 0) {
+    const heading = document.createElement('h3');
+    heading.textContent = 'Tradeoffs';
+    const list = document.createElement('ul');
+
+    comparison.tradeoffs.forEach(tradeoff => {
+      const item = document.createElement('li');
+      item.textContent = tradeoff;
+      list.appendChild(item);
+    });
+
+    container.appendChild(heading);
+    container.appendChild(list);
+  }
+}
+
+/**
+ * Show an error message
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} message - Error message
+ */
+function showError(container, message) {
+  const div = document.createElement('div');
+  div.className = 'status-error';
+  div.textContent = message; // Use textContent to prevent XSS
+  container.appendChild(div);
+}
@@ -13,8 +13,29 @@
   const NOTIFICATION_SHOW_DELAY = 10; // ms - delay before showing notification
   const NOTIFICATION_HIDE_DELAY = 4000; // ms - how long notification stays visible
   const NOTIFICATION_FADE_DELAY = 300; // ms - fade out animation duration
-  const MESSAGE_TIMEOUT = 90000; // ms - max wait time for background script response (API timeout is 60s)
   const RATE_LIMIT_COOLDOWN = 2000; // ms - minimum time between analyze requests
+  const NAVIGATION_SETTLE_DELAY = 1000; // ms - wait after an in-page URL change before reading the new posting
+  const POSTING_POLL_INTERVAL = 500; // ms - how often to check whether the new posting has rendered
+  const POSTING_POLL_ATTEMPTS = 10; // give up on auto-analysis if the posting hasn't rendered by then
+
+  // Analysis presets offered from the button's context menu (see ClaudeClient.ANALYSIS_DEPTHS)
+  const DEPTH_OPTIONS = [
+    { id: 'quick', label: 'Quick analysis', hint: 'Summary, flags and score' },
+    { id: 'detailed', label: 'Detailed analysis', hint: 'The full breakdown' },
+    { id: 'deep', label: 'Deep analysis', hint: 'Adds company research, salary and interview prep' }
+  ];
+
+  // Labels for the badges shown on search results while a batch runs (see AnalysisStream.startBatch)
+  const BATCH_BADGE_LABELS = {
+    reading: 'Reading...',
+    pending: 'Queued',
+    analyzing: 'Analyzing...',
+    done: 'Analyzed',
+    saved: 'Already saved',
+    retrying: 'Will retry',
+    error: 'Failed',
+    cancelled: 'Cancelled'
+  };
 
   console.log('Job Hunt Assistant: Content script loaded');
 
@@ -22,29 +43,80 @@
   let isProcessing = false;
   let lastAnalyzeTime = 0;
   let isInitialized = false; // Prevent init race condition
+  let currentUrl = window.location.href;
+  let navigationTimer = null;
+  let lastPostingDescription = ''; // description seen on the previous posting, to tell when a new one has rendered
+  let batch = null; // { total, cancel } while a page of search results is being analyzed
+  const batchStates = new Map(); // job id -> latest batch progress for each search result
 
   /**
-   * Sends message to background script with timeout protection
-   * @param {Object} message - Message to send
-   * @param {number} timeout - Timeout in milliseconds
+   * Runs an analysis in the background script, showing Claude's response as it streams in
+   * The worker enforces the API timeout, so no extra timeout is needed here
+   * @param {Object} jobData - Extracted job data
+   * @param {Object} [options] - { duplicateAction, duplicateOf, budgetAcknowledged }
    * @returns {Promise<Object>} Response from background script
    */
-  function sendMessageWithTimeout(message, timeout = MESSAGE_TIMEOUT) {
-    return new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        reject(new Error('Background script communication timeout'));
-      }, timeout);
+  async function streamAnalysis(jobData, options = {}) {
+    let panel = null;
+    const stream = window.AnalysisStream.start(jobData, options, (text) => {
+      panel = panel || showStreamPanel(() => stream.cancel());
+      panel.append(text);
+    });
 
-      chrome.runtime.sendMessage(message, (response) => {
-        clearTimeout(timeoutId);
+    try {
+      return await stream.promise;
+    } finally {
+      panel?.remove();
+    }
+  }
 
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(response);
-        }
-      });
+  /**
+   * Shows a panel above the analyze button with the response text so far
+   * @param {Function} onCancel - Called when the user clicks Cancel
+   * @returns {{append: Function, remove: Function}} Panel controls
+   */
+  function showStreamPanel(onCancel) {
+    document.getElementById('jh-stream-panel')?.remove();
+
+    const panel = document.createElement('div');
+    panel.id = 'jh-stream-panel';
+    panel.className = 'jh-stream-panel';
+
+    const header = document.createElement('div');
+    header.className = 'jh-stream-header';
+
+    const title = document.createElement('span');
+    title.textContent = 'Claude is analyzing this job...';
+    header.appendChild(title);
+
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => {
+      cancelButton.disabled = true;
+      cancelButton.textContent = 'Cancelling...';
+      onCancel();
     });
+    header.appendChild(cancelButton);
+    panel.appendChild(header);
+
+    // Response text is inserted with textContent to prevent XSS
+    const output = document.createElement('pre');
+    output.className = 'jh-stream-output';
+    panel.appendChild(output);
+
+    document.body.appendChild(panel);
+
+    return {
+      append(text) {
+        // Only follow the text if the user hasn't scrolled up to read
+        const atBottom = output.scrollHeight - output.scrollTop - output.clientHeight < 20;
+        output.textContent += text;
+        if (atBottom) output.scrollTop = output.scrollHeight;
+      },
+      remove() {
+        panel.remove();
+      }
+    };
   }
   
   /**
@@ -70,7 +142,13 @@
       </div>
     `;
     
-    button.addEventListener('click', handleAnalyzeClick);
+    button.addEventListener('click', () => handleAnalyzeClick());
+
+    // Right-click picks a depth for this analysis only
+    button.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      showDepthMenu(e.clientX, e.clientY);
+    });
     
     document.body.appendChild(button);
     analyzeButton = button;
@@ -80,8 +158,10 @@
   
   /**
    * Handles click on the analyze button
+   * @param {Object} [options] - { reanalyzeJob } to re-analyze a saved job in place (from the
+   *   side panel), { depth } to override the analysisDepth setting for this analysis
    */
-  async function handleAnalyzeClick() {
+  async function handleAnalyzeClick({ reanalyzeJob = null, depth = null } = {}) {
     if (isProcessing) {
       console.log('Job Hunt Assistant: Already processing...');
       return;
@@ -128,22 +208,47 @@
         return;
       }
 
-      // Send data to background script for processing with timeout protection
+      // Send data to background script for processing, streaming the response back
       try {
-        const response = await sendMessageWithTimeout({
-          action: 'analyzeJob',
-          data: jobData
-        });
+        const depthOption = depth ? { depth } : {};
+        let options = reanalyzeJob
+          ? { ...depthOption, duplicateAction: 'reanalyze', duplicateOf: reanalyzeJob.id }
+          : depthOption;
+        let response = await streamAnalysis(jobData, options);
 
-        if (response && response.success) {
-          console.log('Job Hunt Assistant: Analysis complete');
-          showNotification('Job analyzed successfully! Check the extension popup.', 'success');
-          updateButtonState('success');
-        } else {
-          console.error('Job Hunt Assistant: Analysis failed:', response?.error);
-          showNotification(response?.error || 'Analysis failed', 'error');
-          updateButtonState('error');
+        // Already saved - let the user choose instead of creating a duplicate
+        if (response?.duplicate) {
+          const duplicateAction = await askAboutDuplicate(response.duplicate);
+
+          if (!duplicateAction) {
+            showNotification('Kept the saved analysis.', 'info');
+            updateButtonState('default');
+            await showJobPanel({ jobId: response.duplicate.job.id });
+            return;
+          }
+
+          updateButtonState('processing');
+          options = {
+            ...depthOption,
+            duplicateAction,
+            duplicateOf: response.duplicate.job.id
+          };
+          response = await streamAnalysis(jobData, options);
+        }
+
+        // Past the monthly budget (in warn mode) - only spend more if the user says so
+        if (response?.overBudget) {
+          if (!(await askAboutBudget(response.overBudget))) {
+            showNotification('Analysis cancelled', 'info');
+            updateButtonState('default');
+            return;
+          }
+
+          updateButtonState('processing');
+          response = await streamAnalysis(jobData, { ...options, budgetAcknowledged: true });
         }
+
+        await showAnalysisResult(response, jobData.url);
       } catch (commError) {
         console.error('Job Hunt Assistant: Communication error:', commError);
         showNotification('Error communicating with extension. Please try again.', 'error');
@@ -163,6 +268,668 @@
     }
   }
   
+  /**
+   * Reports a finished analysis on the button, in a notification and in the side panel
+   * @param {Object} response - Response from the background script
+   * @param {string} url - URL the analysis was started on
+   * @param {string} [successMessage] - Notification for a successful analysis
+   */
+  async function showAnalysisResult(response, url, successMessage = 'Job analyzed successfully!') {
+    if (response?.cancelled) {
+      console.log('Job Hunt Assistant: Analysis cancelled');
+      showNotification('Analysis cancelled', 'info');
+      updateButtonState('default');
+    } else if (response && response.success) {
+      console.log('Job Hunt Assistant: Analysis complete');
+      showNotification(response.merged ? 'Linked to your saved job.' : successMessage, 'success');
+      updateButtonState('success');
+
+      // On single-page boards the user may have moved to another posting meanwhile
+      if (window.location.href === url) {
+        await showJobPanel({ jobId: response.jobId });
+      }
+    } else if (response?.queued) {
+      console.warn('Job Hunt Assistant: Analysis failed, queued for retry:', response.error);
+      showNotification(`${response.error} The job is saved and will be analyzed again automatically.`, 'info');
+      updateButtonState('error');
+    } else {
+      console.error('Job Hunt Assistant: Analysis failed:', response?.error);
+      showNotification(response?.error || 'Analysis failed', 'error');
+      updateButtonState('error');
+    }
+  }
+
+  /**
+   * Analyzes the posting on screen without a click, if the autoAnalyze setting allows it
+   * The background script re-checks the setting, allowlist, daily limit and saved jobs
+   * @param {string} platform - Detected platform id
+   */
+  async function autoAnalyze(platform) {
+    const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' }).catch(() => null);
+    const settings = settingsResponse?.settings;
+    if (!settings?.autoAnalyze || !(settings.autoAnalyzePlatforms || []).includes(platform)) return;
+
+    const jobData = await waitForPosting();
+    if (!jobData) {
+      console.log('Job Hunt Assistant: Posting did not render in time, skipping auto-analysis');
+      return;
+    }
+
+    // A click or an auto-analysis of the previous posting is still running
+    if (isProcessing) {
+      console.log('Job Hunt Assistant: Busy with another analysis, skipping auto-analysis');
+      return;
+    }
+
+    isProcessing = true;
+    updateButtonState('processing');
+    console.log('Job Hunt Assistant: Auto-analyzing', jobData.url);
+
+    try {
+      const response = await streamAnalysis(jobData, { auto: true });
+
+      if (response?.skipped) {
+        console.log('Job Hunt Assistant: Auto-analysis skipped:', response.skipped);
+        if (response.skipped === 'limit') {
+          showNotification('Daily auto-analysis limit reached. Click the button to analyze this job.', 'info');
+        } else if (response.skipped === 'budget') {
+          showNotification('Monthly API budget reached, so auto-analysis is paused. Click the button to analyze this job.', 'info');
+        }
+        updateButtonState('default');
+        return;
+      }
+
+      await showAnalysisResult(response, jobData.url, 'Job analyzed automatically');
+    } catch (error) {
+      console.error('Job Hunt Assistant: Auto-analysis error:', error);
+      updateButtonState('error');
+    } finally {
+      setTimeout(() => {
+        isProcessing = false;
+        updateButtonState('default');
+      }, BUTTON_RESET_DELAY);
+    }
+  }
+
+  /**
+   * Waits for the current posting to render after navigation
+   * Single-page boards like LinkedIn change the URL before swapping in the new
+   * description, so a description matching the previous posting means "not yet"
+   * @returns {Promise<Object|null>} Extracted job data, or null if it never appeared
+   */
+  async function waitForPosting() {
+    for (let attempt = 0; attempt < POSTING_POLL_ATTEMPTS; attempt++) {
+      const jobData = window.JobExtractor?.extract();
+      const description = jobData?.description?.trim();
+
+      if (description && description !== lastPostingDescription) {
+        return jobData;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, POSTING_POLL_INTERVAL));
+    }
+
+    return null;
+  }
+
+  /**
+   * Sets up the page for the posting at the current URL: the analyze button,
+   * the saved analysis (if any) and auto-analysis
+   */
+  async function handlePageChange() {
+    // A batch opens each search result in turn; the page is set up again once it finishes
+    if (batch) return;
+
+    // Check if we're on a supported platform, or any page publishing a schema.org JobPosting
+    const platform = window.JobExtractor?.detectPlatform();
+    const hasStructuredData = !platform && window.JobExtractor?.hasStructuredData();
+
+    if (!platform && !hasStructuredData) {
+      console.log('Job Hunt Assistant: Not on a supported job platform');
+      analyzeButton?.remove();
+      analyzeButton = null;
+      updateBatchButton();
+      window.SidePanel.close();
+      return;
+    }
+
+    console.log(`Job Hunt Assistant: Detected ${platform || 'schema.org JobPosting'} job page`);
+    createAnalyzeButton();
+    updateBatchButton();
+
+    // Postings analyzed before open straight into their saved analysis
+    if (await showJobPanel({ url: window.location.href })) {
+      console.log('Job Hunt Assistant: Showing saved analysis for this page');
+    } else {
+      // The panel belongs to the previous posting
+      window.SidePanel.close();
+
+      // Schema.org-only pages have no platform to allowlist, so they're never auto-analyzed
+      if (platform) {
+        await autoAnalyze(platform);
+      }
+    }
+
+    // Remember what this posting looks like so the next navigation can tell when it has changed
+    lastPostingDescription = window.JobExtractor?.extract()?.description?.trim() || lastPostingDescription;
+  }
+
+  /**
+   * Watches for in-page navigation between postings (e.g. LinkedIn's job list)
+   * Pages can change the URL with history.pushState, which fires no event the
+   * content script can hear, so DOM mutations are used as the cue to re-check it
+   */
+  function watchNavigation() {
+    const checkUrl = () => {
+      if (window.location.href === currentUrl) return;
+      currentUrl = window.location.href;
+
+      clearTimeout(navigationTimer);
+      navigationTimer = setTimeout(handlePageChange, NAVIGATION_SETTLE_DELAY);
+    };
+
+    new MutationObserver(checkUrl).observe(document.body, { childList: true, subtree: true });
+    window.addEventListener('popstate', checkUrl);
+  }
+
+  /**
+   * Shows the "Analyze all results" button on search result pages, and removes it elsewhere
+   */
+  function updateBatchButton() {
+    const existing = document.getElementById('jh-batch-button');
+
+    if (!window.JobExtractor?.isSearchResultsPage()) {
+      existing?.remove();
+      return;
+    }
+
+    if (existing) return;
+
+    const button = document.createElement('div');
+    button.id = 'jh-batch-button';
+    button.className = 'jh-floating-button jh-batch-button';
+    button.title = `Analyze up to ${window.AnalysisStream.BATCH_LIMIT} results on this page, one at a time`;
+
+    const content = document.createElement('div');
+    content.className = 'jh-button-content';
+    const label = document.createElement('span');
+    label.textContent = 'Analyze all results';
+    content.appendChild(label);
+    button.appendChild(content);
+
+    button.addEventListener('click', () => analyzeSearchResults());
+    document.body.appendChild(button);
+  }
+
+  /**
+   * Analyzes every result in the search result list
+   * Each card is opened in the detail pane and read like a single posting, then handed
+   * to the background script, which analyzes them one at a time so a page of results
+   * doesn't run into API rate limits. Progress is shown as a badge on each card
+   */
+  async function analyzeSearchResults() {
+    if (isProcessing || batch) {
+      showNotification('Wait for the current analysis to finish first', 'info');
+      return;
+    }
+
+    const results = window.JobExtractor.getSearchResults().slice(0, window.AnalysisStream.BATCH_LIMIT);
+    if (results.length === 0) {
+      showNotification('Could not find any search results on this page', 'error');
+      return;
+    }
+
+    console.log(`Job Hunt Assistant: Analyzing ${results.length} search results`);
+    isProcessing = true;
+    const originalJobId = window.JobExtractor.getSelectedSearchResult();
+    let cancelled = false;
+
+    const stream = window.AnalysisStream.startBatch(
+      (update) => setBatchState(update.key, update),
+      (overBudget) => askAboutBudget(overBudget)
+    );
+
+    batch = {
+      total: results.length,
+      cancel: () => {
+        cancelled = true;
+        stream.cancel();
+      }
+    };
+    batchStates.clear();
+    document.querySelectorAll('.jh-batch-badge').forEach(badge => badge.remove());
+    document.getElementById('jh-batch-button')?.remove();
+    window.SidePanel.close();
+    showBatchPanel();
+
+    try {
+      for (const { jobId } of results) {
+        if (cancelled) break;
+
+        setBatchState(jobId, { state: 'reading' });
+        const jobData = await readSearchResult(jobId);
+
+        if (cancelled) break;
+
+        if (jobData) {
+          stream.add(jobId, jobData);
+        } else {
+          setBatchState(jobId, { state: 'error', error: 'The posting did not load' });
+        }
+      }
+
+      // Results the walk never reached (or was reading when cancelled) won't be analyzed
+      results.forEach(({ jobId }) => {
+        const state = batchStates.get(jobId)?.state;
+        if (!state || state === 'reading') {
+          setBatchState(jobId, { state: 'cancelled' });
+        }
+      });
+
+      stream.end();
+      await stream.promise;
+      showNotification(describeBatch([...batchStates.values()].map(({ state }) => state)), 'success');
+    } catch (error) {
+      console.error('Job Hunt Assistant: Batch analysis error:', error);
+      showNotification('An error occurred while analyzing the search results', 'error');
+    } finally {
+      batch = null;
+      isProcessing = false;
+      document.getElementById('jh-batch-panel')?.remove();
+
+      // Put back the posting the user was looking at, then set the page up for it
+      if (originalJobId && window.JobExtractor.getSelectedSearchResult() !== originalJobId) {
+        const original = window.JobExtractor.getSearchResults().find(result => result.jobId === originalJobId);
+        original?.element.scrollIntoView({ block: 'center' });
+        window.JobExtractor.openSearchResult(original);
+      }
+
+      clearTimeout(navigationTimer);
+      navigationTimer = setTimeout(handlePageChange, NAVIGATION_SETTLE_DELAY);
+    }
+  }
+
+  /**
+   * Opens a search result in the detail pane and extracts it once it has rendered
+   * @param {string} jobId - Job id of the result card
+   * @returns {Promise<Object|null>} Extracted job data, or null if it never appeared
+   */
+  async function readSearchResult(jobId) {
+    const extractor = window.JobExtractor;
+    const alreadyOpen = extractor.getSelectedSearchResult() === jobId;
+    const previousDescription = extractor.extract()?.description?.trim();
+    let opened = alreadyOpen;
+
+    for (let attempt = 0; attempt < POSTING_POLL_ATTEMPTS; attempt++) {
+      // Cards off screen are rendered lazily, so the link may only appear once scrolled to
+      if (!opened) {
+        const result = extractor.getSearchResults().find(item => item.jobId === jobId);
+        result?.element.scrollIntoView({ block: 'center' });
+        opened = extractor.openSearchResult(result);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, POSTING_POLL_INTERVAL));
+
+      // The URL changes before the pane does, so wait for a new description too
+      if (opened && extractor.getSelectedSearchResult() === jobId) {
+        const jobData = extractor.extract();
+        const description = jobData?.description?.trim();
+        if (description && (alreadyOpen || description !== previousDescription)) {
+          return jobData;
+        }
+      }
+    }
+
+    console.warn('Job Hunt Assistant: Search result did not load:', jobId);
+    return null;
+  }
+
+  /**
+   * Records a search result's batch progress and updates its badge and the batch panel
+   * @param {string} jobId - Job id of the result card
+   * @param {Object} update - { state, jobId, score, error }
+   */
+  function setBatchState(jobId, update) {
+    batchStates.set(jobId, update);
+    renderBatchBadges();
+    updateBatchPanel();
+  }
+
+  /**
+   * Adds or refreshes the progress badge on every result card with a batch state
+   * The result list re-renders cards as it scrolls, so badges are re-applied by job id
+   */
+  function renderBatchBadges() {
+    window.JobExtractor.getSearchResults().forEach(({ jobId, element }) => {
+      const update = batchStates.get(jobId);
+      if (!update) return;
+
+      let badge = element.querySelector('.jh-batch-badge');
+      if (!badge) {
+        badge = document.createElement('span');
+        element.appendChild(badge);
+      }
+
+      badge.className = `jh-batch-badge jh-batch-${update.state}`;
+      badge.textContent = update.state === 'done' && update.score
+        ? `Score ${update.score}/10`
+        : BATCH_BADGE_LABELS[update.state] || update.state;
+      badge.title = update.error || '';
+    });
+  }
+
+  /**
+   * Shows the batch progress panel with a cancel button
+   */
+  function showBatchPanel() {
+    document.getElementById('jh-batch-panel')?.remove();
+
+    const panel = document.createElement('div');
+    panel.id = 'jh-batch-panel';
+    panel.className = 'jh-batch-panel';
+
+    const status = document.createElement('span');
+    status.className = 'jh-batch-status';
+    panel.appendChild(status);
+
+    const cancel = document.createElement('button');
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', () => {
+      cancel.disabled = true;
+      cancel.textContent = 'Cancelling...';
+      batch?.cancel();
+    });
+    panel.appendChild(cancel);
+
+    document.body.appendChild(panel);
+    updateBatchPanel();
+  }
+
+  /**
+   * Updates the batch panel's count of finished results
+   */
+  function updateBatchPanel() {
+    const status = document.querySelector('#jh-batch-panel .jh-batch-status');
+    if (!status || !batch) return;
+
+    const finished = [...batchStates.values()]
+      .filter(({ state }) => window.AnalysisStream.BATCH_FINAL_STATES.includes(state))
+      .length;
+    status.textContent = `Analyzing results: ${finished} of ${batch.total} finished`;
+  }
+
+  /**
+   * Summarizes a finished batch for the closing notification
+   * @param {Array<string>} states - Final state of each result
+   * @returns {string} Summary
+   */
+  function describeBatch(states) {
+    const count = (state) => states.filter(item => item === state).length;
+    const parts = [
+      [count('done'), 'analyzed'],
+      [count('saved'), 'already saved'],
+      [count('retrying'), 'queued for retry'],
+      [count('error'), 'failed'],
+      [count('cancelled'), 'cancelled']
+    ].filter(([number]) => number > 0);
+
+    return `Search results done: ${parts.map(([number, label]) => `${number} ${label}`).join(', ')}`;
+  }
+
+  /**
+   * Shows the analysis depth menu at the pointer
+   * @param {number} x - Viewport x coordinate
+   * @param {number} y - Viewport y coordinate
+   */
+  function showDepthMenu(x, y) {
+    document.getElementById('jh-depth-menu')?.remove();
+
+    const menu = document.createElement('div');
+    menu.id = 'jh-depth-menu';
+    menu.className = 'jh-depth-menu';
+
+    const close = () => {
+      menu.remove();
+      document.removeEventListener('mousedown', closeOnOutsideClick, true);
+      document.removeEventListener('keydown', closeOnEscape, true);
+    };
+    const closeOnOutsideClick = (e) => {
+      if (!menu.contains(e.target)) close();
+    };
+    const closeOnEscape = (e) => {
+      if (e.key === 'Escape') close();
+    };
+
+    DEPTH_OPTIONS.forEach(({ id, label, hint }) => {
+      const item = document.createElement('button');
+      item.textContent = label;
+
+      const detail = document.createElement('span');
+      detail.textContent = hint;
+      item.appendChild(detail);
+
+      item.addEventListener('click', () => {
+        close();
+        handleAnalyzeClick({ depth: id });
+      });
+      menu.appendChild(item);
+    });
+
+    document.body.appendChild(menu);
+
+    // Keep the menu on screen - the button sits in the bottom-right corner
+    const rect = menu.getBoundingClientRect();
+    menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - rect.width - 8))}px`;
+    menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - rect.height - 8))}px`;
+
+    document.addEventListener('mousedown', closeOnOutsideClick, true);
+    document.addEventListener('keydown', closeOnEscape, true);
+  }
+
+  /**
+   * Asks the user what to do with a posting that is already saved
+   * @param {Object} duplicate - { matchType: 'exact'|'similar', job } from the background script
+   * @returns {Promise<string|null>} 'reanalyze', 'merge', 'separate', or null to cancel
+   */
+  function askAboutDuplicate(duplicate) {
+    const { job, matchType } = duplicate;
+    const name = `${job.jobTitle || 'Untitled Job'} at ${job.company || 'Unknown Company'}`;
+    const when = job.analyzedAt ? ` on ${new Date(job.analyzedAt).toLocaleDateString()}` : '';
+    const message = matchType === 'exact'
+      ? `You already analyzed this job${when}.`
+      : `This looks like "${name}"${job.platform ? ` from ${job.platform}` : ''}, which you saved${when}.`;
+
+    const choices = matchType === 'exact'
+      ? [['reanalyze', 'Re-analyze'], [null, 'Cancel']]
+      : [['merge', 'Same job - link it'], ['reanalyze', 'Same job - re-analyze'], ['separate', 'Different job'], [null, 'Cancel']];
+
+    return askChoice(message, choices);
+  }
+
+  /**
+   * Asks the user whether to analyze past the monthly budget
+   * @param {Object} overBudget - { spent, budget } from the background script
+   * @returns {Promise<boolean>} Whether to go ahead
+   */
+  async function askAboutBudget(overBudget) {
+    const message = `You've spent about ${formatCost(overBudget.spent)} of your ${formatCost(overBudget.budget)} monthly API budget.`;
+    return Boolean(await askChoice(message, [['continue', 'Analyze anyway'], [null, 'Cancel']]));
+  }
+
+  /**
+   * Shows a prompt above the button and waits for one of its choices
+   * The message is inserted with textContent to prevent XSS
+   * @param {string} text - Message to show
+   * @param {Array<[string|null, string]>} choices - [value, label] pairs; the first is highlighted
+   * @returns {Promise<string|null>} Value of the clicked choice
+   */
+  function askChoice(text, choices) {
+    return new Promise(resolve => {
+      document.getElementById('jh-duplicate-prompt')?.remove();
+
+      const prompt = document.createElement('div');
+      prompt.id = 'jh-duplicate-prompt';
+      prompt.className = 'jh-duplicate-prompt';
+
+      const message = document.createElement('p');
+      message.textContent = text;
+      prompt.appendChild(message);
+
+      choices.forEach(([action, label]) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', () => {
+          prompt.remove();
+          resolve(action);
+        });
+        prompt.appendChild(button);
+      });
+
+      document.body.appendChild(prompt);
+    });
+  }
+
+  /**
+   * Shows a saved job in the side panel
+   * @param {Object} query - { jobId } or { url }
+   * @param {Object} [options] - Passed to SidePanel.show
+   * @returns {Promise<boolean>} Whether a job was found and shown
+   */
+  async function showJobPanel(query, options = {}) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getJob', ...query });
+      if (!response?.success || !response.job) return false;
+
+      // Looking up by page URL should only surface jobs that have an analysis to show
+      if (query.url && !response.job.analysis) return false;
+
+      window.SidePanel.show(response.job, {
+        onStatusChange: changeJobStatus,
+        onReanalyze: (job) => {
+          window.SidePanel.setCollapsed(true); // keep the live output visible
+          handleAnalyzeClick({ reanalyzeJob: job });
+        },
+        onChat: (job) => openJobPage('openChat', job),
+        onWrite: (job) => openJobPage('openWriter', job),
+        onExport: exportJob,
+        onDelete: deleteJob
+      }, options);
+      return true;
+    } catch (error) {
+      console.error('Job Hunt Assistant: Error loading saved job:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Reloads the job shown in the side panel after a change from any extension context
+   */
+  async function refreshJobPanel() {
+    const job = window.SidePanel.getJob();
+    if (!job) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getJob', jobId: job.id });
+      if (!response?.success) return;
+
+      if (response.job) {
+        window.SidePanel.update(response.job);
+      } else {
+        window.SidePanel.close(); // deleted elsewhere
+      }
+    } catch (error) {
+      console.error('Job Hunt Assistant: Error refreshing side panel:', error);
+    }
+  }
+
+  /**
+   * Moves a job to another application stage, asking for optional notes
+   * @param {Object} job - Saved job
+   * @param {string} status - New status id
+   * @param {HTMLSelectElement} select - Stage dropdown, reset if the change is cancelled
+   */
+  async function changeJobStatus(job, status, select) {
+    const previousStatus = window.Storage.getJobStatus(job);
+    if (status === previousStatus) return;
+
+    const notes = prompt(`Notes for moving to "${window.Storage.getStatusLabel(status)}" (optional):`, '');
+
+    // Cancel leaves the job where it was
+    if (notes === null) {
+      select.value = previousStatus;
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'updateJobStatus', jobId: job.id, status, notes });
+
+      if (response?.success) {
+        window.SidePanel.update(response.job);
+      } else {
+        select.value = previousStatus;
+        showNotification(response?.error || 'Failed to update job status', 'error');
+      }
+    } catch (error) {
+      console.error('Job Hunt Assistant: Error updating job status:', error);
+      select.value = previousStatus;
+      showNotification('Error updating job status', 'error');
+    }
+  }
+
+  /**
+   * Opens the follow-up chat or the cover letter writer for a job from the side panel
+   * @param {string} action - 'openChat' or 'openWriter'
+   * @param {Object} job - Saved job
+   */
+  async function openJobPage(action, job) {
+    // These are extension pages, so the background script opens them
+    const response = await chrome.runtime.sendMessage({ action, jobId: job.id }).catch(() => null);
+    if (!response?.success) showNotification('Could not open the page', 'error');
+  }
+
+  /**
+   * Exports a job from the side panel
+   * @param {Object} job - Saved job
+   * @param {string} format - 'markdown', 'json' or 'pdf'
+   */
+  async function exportJob(job, format) {
+    const exporter = window.JobExporter;
+
+    if (format === 'pdf') {
+      // The print page is an extension page, so the background script opens it
+      const response = await chrome.runtime.sendMessage({ action: 'openPrintView', jobIds: [job.id] }).catch(() => null);
+      if (!response?.success) showNotification('Could not open the print view', 'error');
+    } else if (format === 'markdown') {
+      exporter.download(exporter.toMarkdown([job]), exporter.getFileName([job], 'md'), 'text/markdown');
+    } else if (format === 'json') {
+      exporter.download(exporter.toJson([job]), exporter.getFileName([job], 'json'), 'application/json');
+    }
+  }
+
+  /**
+   * Deletes the job shown in the side panel
+   * @param {Object} job - Saved job
+   */
+  async function deleteJob(job) {
+    if (!confirm('Are you sure you want to delete this job?')) {
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'deleteJob', jobId: job.id });
+
+      if (response?.success) {
+        window.SidePanel.close();
+        showNotification('Job deleted', 'info');
+      } else {
+        showNotification('Failed to delete job', 'error');
+      }
+    } catch (error) {
+      console.error('Job Hunt Assistant: Error deleting job:', error);
+      showNotification('Error deleting job', 'error');
+    }
+  }
+
   /**
    * Updates the button visual state
    * @param {string} state - 'default', 'processing', 'success', or 'error'
@@ -234,17 +1001,25 @@
 
     isInitialized = true;
 
-    // Check if we're on a supported platform
-    const platform = window.JobExtractor?.detectPlatform();
-
-    if (platform) {
-      console.log(`Job Hunt Assistant: Detected ${platform} job page`);
+    // Other sites only get this script once the user allows it, and then only pages
+    // publishing a JobPosting are set up, once. The navigation observer runs on every
+    // DOM change, so it is kept to registered platforms (the only ones auto-analyze allows)
+    if (!window.JobPlatforms?.detect(window.location.href)) {
+      if (!window.JobExtractor?.hasStructuredData()) {
+        console.log('Job Hunt Assistant: Not on a supported job platform');
+        return;
+      }
 
-      // Create the analyze button after a short delay to ensure DOM is ready
-      setTimeout(createAnalyzeButton, BUTTON_CREATE_DELAY);
-    } else {
-      console.log('Job Hunt Assistant: Not on a supported job platform');
+      setTimeout(handlePageChange, BUTTON_CREATE_DELAY);
+      window.Storage.onJobsChanged(refreshJobPanel);
+      return;
     }
+
+    // Set up for the first posting after a short delay to ensure DOM is ready,
+    // then again whenever the page switches postings without reloading
+    setTimeout(handlePageChange, BUTTON_CREATE_DELAY);
+    watchNavigation();
+    window.Storage.onJobsChanged(refreshJobPanel);
   }
   
   // Start initialization
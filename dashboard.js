@@ -0,0 +1,201 @@
+/**
+ * Dashboard Script
+ * Full-page kanban board of saved jobs grouped by application status
+ */
+
+// Jobs currently on the board, looked up by card for drag-and-drop
+let boardJobs = [];
+
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log('Dashboard loaded');
+
+  setupBoardListeners();
+  await loadBoard();
+
+  // Keep the board in sync with changes made from the popup or other tabs
+  Storage.onJobsChanged(loadBoard);
+});
+
+/**
+ * Setup board event listeners
+ * Listeners are attached once to the board container (event delegation)
+ */
+function setupBoardListeners() {
+  const board = document.getElementById('board');
+
+  document.getElementById('refresh-board').addEventListener('click', loadBoard);
+
+  board.addEventListener('dragstart', (e) => {
+    const card = e.target.closest('.board-card');
+    if (!card) return;
+
+    e.dataTransfer.setData('text/plain', card.dataset.jobId);
+    e.dataTransfer.effectAllowed = 'move';
+    card.classList.add('dragging');
+  });
+
+  board.addEventListener('dragend', (e) => {
+    e.target.closest('.board-card')?.classList.remove('dragging');
+  });
+
+  board.addEventListener('dragover', (e) => {
+    const column = e.target.closest('.column');
+    if (!column) return;
+
+    // Allow dropping on columns
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    column.classList.add('drag-over');
+  });
+
+  board.addEventListener('dragleave', (e) => {
+    const column = e.target.closest('.column');
+    if (column && !column.contains(e.relatedTarget)) {
+      column.classList.remove('drag-over');
+    }
+  });
+
+  board.addEventListener('drop', (e) => {
+    const column = e.target.closest('.column');
+    if (!column) return;
+
+    e.preventDefault();
+    column.classList.remove('drag-over');
+
+    const jobId = e.dataTransfer.getData('text/plain');
+    const job = boardJobs.find(j => j.id === jobId);
+    if (job) {
+      moveJob(job, column.dataset.status);
+    }
+  });
+
+  board.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('open-job')) return;
+
+    const card = e.target.closest('.board-card');
+    const job = card && boardJobs.find(j => j.id === card.dataset.jobId);
+
+    // Validate URL to prevent XSS via javascript: or data: URLs
+    if (job?.url && isSafeUrl(job.url)) {
+      chrome.tabs.create({ url: job.url });
+    } else if (job?.url) {
+      console.error('Blocked unsafe URL:', job.url);
+      alert('Cannot open job: invalid or unsafe URL');
+    }
+  });
+}
+
+/**
+ * Load jobs and render the board
+ */
+async function loadBoard() {
+  const board = document.getElementById('board');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getJobs' });
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load jobs');
+    }
+
+    boardJobs = response.jobs;
+    renderBoard();
+  } catch (error) {
+    console.error('Error loading board:', error);
+    board.innerHTML = '<div class="board-message">Error loading jobs</div>';
+  }
+}
+
+/**
+ * Render one column per application status
+ */
+function renderBoard() {
+  const board = document.getElementById('board');
+  const summary = document.getElementById('board-summary');
+
+  summary.textContent = `${boardJobs.length} saved job${boardJobs.length === 1 ? '' : 's'} - drag cards between columns to update their stage`;
+
+  if (boardJobs.length === 0) {
+    board.innerHTML = '<div class="board-message">No jobs yet. Analyze a job posting to add it to the board.</div>';
+    return;
+  }
+
+  board.innerHTML = Storage.APPLICATION_STATUSES.map(stage => {
+    const jobs = boardJobs.filter(job => Storage.getJobStatus(job) === stage.id);
+    const cardsHtml = jobs.length > 0
+      ? jobs.map(renderCard).join('')
+      : '<div class="column-empty">Drop jobs here</div>';
+
+    // Status ids come from the fixed APPLICATION_STATUSES list - no escaping needed
+    return `
+      <div class="column" data-status="${stage.id}">
+        <div class="column-header">
+          <span>${escapeHtml(stage.label)}</span>
+          <span class="column-count">${jobs.length}</span>
+        </div>
+        ${cardsHtml}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render a single job card
+ * @param {Object} job - Saved job
+ * @returns {string} Card HTML
+ */
+function renderCard(job) {
+  // Escape all user-controlled data to prevent XSS
+  const title = escapeHtml(job.jobTitle || 'Untitled Job');
+  const company = escapeHtml(job.company || 'Unknown Company');
+  const location = job.location ? ` • ${escapeHtml(job.location)}` : '';
+  const since = escapeHtml(formatDate(job.statusUpdatedAt || job.analyzedAt || job.extractedAt));
+  const score = job.analysis?.matchScore?.score;
+  const scoreText = score ? ` • ${score}/10` : '';
+  const lastNotes = job.statusHistory?.[job.statusHistory.length - 1]?.notes;
+  const notesHtml = lastNotes ? `<div class="notes">${escapeHtml(lastNotes)}</div>` : '';
+  const openHtml = job.url ? '<button class="btn open-job">Open Job</button>' : '';
+
+  // Job IDs are internal identifiers, not user data - no escaping needed
+  return `
+    <div class="board-card" draggable="true" data-job-id="${job.id}">
+      <h4>${title}</h4>
+      <div class="company">${company}</div>
+      <div class="meta">${since}${location}${scoreText}</div>
+      ${notesHtml}
+      ${openHtml}
+    </div>
+  `;
+}
+
+/**
+ * Move a job to another column, asking for optional notes
+ * @param {Object} job - Job being moved
+ * @param {string} status - Target status id
+ */
+async function moveJob(job, status) {
+  if (Storage.getJobStatus(job) === status) return;
+
+  const notes = prompt(`Notes for moving to "${Storage.getStatusLabel(status)}" (optional):`, '');
+
+  // Cancel leaves the job where it was
+  if (notes === null) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'updateJobStatus',
+      jobId: job.id,
+      status,
+      notes
+    });
+
+    if (!response.success) {
+      alert(response.error || 'Failed to update job status');
+    }
+
+    // Storage.onJobsChanged re-renders the board on success
+  } catch (error) {
+    console.error('Error moving job:', error);
+    alert('Error updating job status');
+  }
+}
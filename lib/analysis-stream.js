@@ -0,0 +1,144 @@
+/**
+ * Analysis Stream
+ * Runs a job analysis over a long-lived port to the background worker so the
+ * response text can be shown while Claude is still writing it
+ * Shared by the content script and the popup; batches of search results use
+ * a second port so their progress can be reported posting by posting
+ */
+
+const AnalysisStream = {
+
+  PORT_NAME: 'analyzeJob', // Must match ANALYSIS_PORT_NAME in background.js
+  BATCH_PORT_NAME: 'batchAnalysis', // Must match BATCH_PORT_NAME in background.js
+  BATCH_LIMIT: 25, // Must match MAX_BATCH_SIZE in background.js
+
+  // Batch states after which a posting needs nothing more from the worker
+  BATCH_FINAL_STATES: ['done', 'saved', 'retrying', 'error', 'cancelled'],
+
+  /**
+   * Starts a streaming analysis
+   * Resolves with the same response the 'analyzeJob' message returns (including
+   * `duplicate` when the posting is already saved, or `overBudget` past the monthly
+   * budget); a cancelled analysis resolves with { success: false, cancelled: true }
+   * @param {Object} jobData - Extracted job data
+   * @param {Object} [options] - { duplicateAction, duplicateOf, budgetAcknowledged }
+   * @param {Function} [onText] - Called with each fragment of response text
+   * @returns {{promise: Promise<Object>, cancel: Function}} Result and a way to abort it
+   */
+  start(jobData, options = {}, onText = () => {}) {
+    const port = chrome.runtime.connect({ name: this.PORT_NAME });
+    let finished = false;
+
+    const promise = new Promise((resolve, reject) => {
+      port.onMessage.addListener((message) => {
+        if (message?.type === 'delta') {
+          onText(message.text);
+        } else if (message?.type === 'done') {
+          finished = true;
+          port.disconnect();
+          resolve(message.result);
+        }
+      });
+
+      // The worker can be stopped or the extension reloaded mid-analysis
+      port.onDisconnect.addListener(() => {
+        if (!finished) {
+          finished = true;
+          reject(new Error(chrome.runtime.lastError?.message || 'Lost connection to the extension'));
+        }
+      });
+    });
+
+    port.postMessage({ action: 'start', data: jobData, options });
+
+    return {
+      promise,
+      cancel: () => {
+        if (!finished) port.postMessage({ action: 'cancel' });
+      }
+    };
+  },
+
+  /**
+   * Starts a batch of analyses that the worker runs one at a time, spaced out to
+   * stay under API rate limits. Postings can be added while earlier ones are running
+   * Progress is reported per posting as { key, state, jobId, score, error }, where state is
+   * 'pending', 'analyzing', or one of BATCH_FINAL_STATES ('saved' means it was already saved,
+   * 'retrying' that it failed and was queued to be analyzed again automatically)
+   * @param {Function} onProgress - Called with each progress update
+   * @param {Function} onOverBudget - Called with { spent, budget } once the monthly budget is
+   *   reached in 'warn' mode; resolves to true to keep going or false to cancel the rest
+   * @returns {{promise: Promise<Map>, add: Function, end: Function, cancel: Function}} A promise for
+   *   the final state of every posting by key, add(key, jobData), end() once nothing more will be
+   *   added, and a way to cancel whatever hasn't finished
+   */
+  startBatch(onProgress, onOverBudget) {
+    const port = chrome.runtime.connect({ name: this.BATCH_PORT_NAME });
+    const states = new Map();
+    let ended = false;
+    let finished = false;
+    let resolveBatch;
+
+    const promise = new Promise(resolve => {
+      resolveBatch = resolve;
+    });
+
+    const isSettled = () => [...states.values()].every(({ state }) => this.BATCH_FINAL_STATES.includes(state));
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      port.disconnect();
+      resolveBatch(states);
+    };
+
+    port.onMessage.addListener((message) => {
+      if (message?.type === 'progress') {
+        states.set(message.key, message);
+        onProgress(message);
+        if (ended && isSettled()) finish();
+      } else if (message?.type === 'overBudget') {
+        Promise.resolve(onOverBudget(message.overBudget))
+          .catch(() => false)
+          .then(proceed => {
+            if (!finished) port.postMessage({ action: 'budget', proceed: Boolean(proceed) });
+          });
+      }
+    });
+
+    // The worker can be stopped or the extension reloaded mid-batch
+    port.onDisconnect.addListener(() => {
+      if (finished) return;
+      const error = chrome.runtime.lastError?.message || 'Lost connection to the extension';
+      states.forEach(({ state }, key) => {
+        if (!this.BATCH_FINAL_STATES.includes(state)) {
+          const update = { key, state: 'error', error };
+          states.set(key, update);
+          onProgress(update);
+        }
+      });
+      finish();
+    });
+
+    return {
+      promise,
+      add: (key, jobData) => {
+        if (finished) return;
+        states.set(key, { key, state: 'pending' });
+        port.postMessage({ action: 'add', key, data: jobData });
+      },
+      end: () => {
+        ended = true;
+        if (isSettled()) finish();
+      },
+      cancel: () => {
+        if (!finished) port.postMessage({ action: 'cancel' });
+      }
+    };
+  }
+};
+
+// Make available globally for content scripts and extension pages
+if (typeof window !== 'undefined') {
+  window.AnalysisStream = AnalysisStream;
+}
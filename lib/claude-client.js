@@ -6,9 +6,87 @@
 const ClaudeClient = {
 
   API_URL: 'https://api.anthropic.com/v1/messages',
-  MODEL: 'claude-sonnet-4-5-20250929', // Claude Sonnet 4.5 (active until Sept 2026+)
+  MODEL: 'claude-sonnet-4-5-20250929', // Claude Sonnet 4.5 (active until Sept 2026+) - used unless Settings pick another
   MAX_TOKENS: 4096,
+  // Models offered in Settings; any other claude-* id still works if it was saved before
+  // Prices are USD per million tokens, used for cost estimates only; maxOutputTokens is
+  // the most the model can be asked to write, which caps the max tokens setting. Both are
+  // from the models overview at https://docs.anthropic.com/en/docs/about-claude/models
+  MODELS: [
+    { id: 'claude-haiku-4-5-20251001', label: 'Claude Haiku 4.5 - fastest, cheapest', inputPrice: 1, outputPrice: 5, maxOutputTokens: 64000 },
+    { id: 'claude-sonnet-4-5-20250929', label: 'Claude Sonnet 4.5 - balanced (default)', inputPrice: 3, outputPrice: 15, maxOutputTokens: 64000 },
+    { id: 'claude-opus-4-5-20251101', label: 'Claude Opus 4.5 - most capable, priciest', inputPrice: 5, outputPrice: 25, maxOutputTokens: 64000 }
+  ],
+  MIN_MAX_TOKENS: 256,
+  DEFAULT_TEMPERATURE: 1, // the API's default
   FETCH_TIMEOUT: 60000, // 60 seconds timeout for API calls
+  RETRYABLE_STATUSES: [408, 429, 500, 502, 503, 504, 529], // timeouts, rate limits, server errors and overload
+  RETRYABLE_STREAM_ERRORS: ['rate_limit_error', 'api_error', 'overloaded_error'],
+  ANALYSIS_SCHEMA_VERSION: 1, // bump when the analysis object shape changes
+  MAX_COMPARE_JOBS: 4, // most jobs that can be compared at once
+  MAX_COMPARE_DESCRIPTION_LENGTH: 6000, // characters per job description in comparison prompts
+  MAX_CHAT_QUESTION_LENGTH: 4000, // characters - longest follow-up question
+  MAX_CHAT_HISTORY: 20, // earlier messages sent with each follow-up question
+  MAX_SOURCE_BULLETS_LENGTH: 8000, // characters - resume bullets pasted in for rewriting
+
+  // Application materials that can be generated for a saved job (see generateDocument)
+  DOCUMENT_TYPES: {
+    coverLetter: { label: 'Cover letter' },
+    resumeBullets: { label: 'Resume bullets' }
+  },
+  DOCUMENT_TONES: {
+    professional: { label: 'Professional', instruction: 'polished and professional' },
+    friendly: { label: 'Friendly', instruction: 'warm and personable while still professional' },
+    enthusiastic: { label: 'Enthusiastic', instruction: 'energetic and clearly excited about the role, without gushing' },
+    direct: { label: 'Direct', instruction: 'plain and direct, with no filler or cliches' }
+  },
+  DOCUMENT_LENGTHS: {
+    short: { label: 'Short', coverLetter: 'about 150 words', resumeBullets: 'one line each', maxTokens: 1024 },
+    medium: { label: 'Medium', coverLetter: 'about 250-300 words', resumeBullets: 'one to two lines each', maxTokens: 2048 },
+    long: { label: 'Long', coverLetter: 'about 400 words', resumeBullets: 'up to three lines each', maxTokens: 3072 }
+  },
+  DEFAULT_DOCUMENT_TONE: 'professional',
+  DEFAULT_DOCUMENT_LENGTH: 'medium',
+  // Analysis presets, chosen in Settings or per analysis from the on-page button
+  ANALYSIS_DEPTHS: {
+    quick: { label: 'Quick', maxTokens: 1024 }, // summary, flags and score
+    detailed: { label: 'Detailed', maxTokens: 4096 }, // the full nine-section analysis
+    deep: { label: 'Deep', maxTokens: 8192 } // detailed plus company research, salary negotiation and interview prep
+  },
+  DEFAULT_ANALYSIS_DEPTH: 'detailed',
+  MAX_PROMPT_TEMPLATE_LENGTH: 20000, // characters - longest custom prompt template
+
+  // Placeholders custom prompt templates can use, as {{name}}
+  PROMPT_VARIABLES: [
+    { name: 'jobTitle', description: 'Job title' },
+    { name: 'company', description: 'Company name' },
+    { name: 'location', description: 'Job location' },
+    { name: 'platform', description: 'Job board the posting came from' },
+    { name: 'postingDetails', description: 'Salary, employment type and dates, when the page lists them' },
+    { name: 'description', description: 'Full job description' },
+    { name: 'techStack', description: 'Technologies detected in the description' },
+    { name: 'profile', description: 'Your profile and resume (empty if not filled in)' },
+    { name: 'analysisScope', description: 'Wording for the selected depth, e.g. "a brief analysis"' },
+    { name: 'outputFormat', description: 'JSON format instructions for the selected depth. Without it, the response is shown as plain text' }
+  ],
+
+  DEFAULT_PROMPT_TEMPLATE: `You are a career advisor helping someone analyze a job posting. Please provide {{analysisScope}} of the following job posting:
+
+**Job Title:** {{jobTitle}}
+**Company:** {{company}}
+**Location:** {{location}}
+**Platform:** {{platform}}
+{{postingDetails}}
+**Job Description:**
+{{description}}
+
+**Detected Tech Stack:** {{techStack}}
+
+{{profile}}
+
+{{outputFormat}}`,
+
+  EXPERIENCE_LEVELS: ['intern', 'entry', 'mid', 'senior', 'staff', 'principal', 'manager', 'executive', 'unknown'],
 
   /**
    * Fetches with timeout protection
@@ -31,19 +109,230 @@ const ClaudeClient = {
     } catch (error) {
       clearTimeout(timeoutId);
       if (error.name === 'AbortError') {
-        throw new Error('Request timeout - Claude API took too long to respond');
+        throw this.createTimeoutError();
       }
       throw error;
     }
   },
 
+  /**
+   * Sends a request to the Messages API and returns the parsed response body
+   * @param {string} apiKey - Claude API key
+   * @param {Object} body - Request body (model defaults to MODEL)
+   * @returns {Promise<Object>} Messages API response
+   */
+  async createMessage(apiKey, body) {
+    const response = await this.fetchWithTimeout(this.API_URL, {
+      method: 'POST',
+      headers: this.getHeaders(apiKey),
+      body: JSON.stringify({
+        model: this.MODEL,
+        ...body
+      })
+    });
+
+    if (!response.ok) {
+      throw await this.createResponseError(response);
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Builds the error for a failed API response
+   * Rate limits, overload and server errors are marked `retryable`, with the
+   * retry-after header (in seconds) when the API sent one
+   * @param {Response} response - Failed fetch response
+   * @returns {Promise<Error>} Error with status, retryable and retryAfter
+   */
+  async createResponseError(response) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.error?.message || `API request failed with status ${response.status}`);
+    error.status = response.status;
+    error.retryable = this.RETRYABLE_STATUSES.includes(response.status);
+
+    // retry-after is either a number of seconds or an HTTP date
+    const retryAfter = response.headers?.get('retry-after');
+    if (retryAfter) {
+      const seconds = /^\d+$/.test(retryAfter.trim())
+        ? Number(retryAfter)
+        : (Date.parse(retryAfter) - Date.now()) / 1000;
+      if (seconds > 0) error.retryAfter = seconds;
+    }
+
+    return error;
+  },
+
+  /**
+   * Builds the error for a request that got no response in time
+   * @returns {Error} Retryable timeout error
+   */
+  createTimeoutError() {
+    const error = new Error('Request timeout - Claude API took too long to respond');
+    error.retryable = true;
+    return error;
+  },
+
+  /**
+   * Checks whether a failed request is worth retrying later
+   * Covers errors marked `retryable` and fetch's network failures (e.g. offline)
+   * @param {Error} error - Error thrown by a request
+   * @returns {boolean} Whether the failure is transient
+   */
+  isRetryableError(error) {
+    if (error?.retryable) return true;
+    return error instanceof TypeError && /fetch|network/i.test(error.message);
+  },
+
+  /**
+   * Returns the request headers for the Messages API
+   * @param {string} apiKey - Claude API key
+   * @returns {Object} Headers
+   */
+  getHeaders(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+  },
+
+  /**
+   * Sends a streaming request to the Messages API, reporting text as it arrives
+   * FETCH_TIMEOUT applies to silence between events rather than the whole response,
+   * so long analyses aren't cut off while tokens are still flowing
+   * @param {string} apiKey - Claude API key
+   * @param {Object} body - Request body (model defaults to MODEL)
+   * @param {Object} [options] - Streaming options
+   * @param {Function} [options.onText] - Called with each text fragment
+   * @param {AbortSignal} [options.signal] - Aborts the request (e.g. user cancel)
+   * @returns {Promise<Object>} { text, stopReason, usage }
+   */
+  async streamMessage(apiKey, body, options = {}) {
+    const { onText = () => {}, signal } = options;
+    const controller = new AbortController();
+    let idleTimer = null;
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => controller.abort(), this.FETCH_TIMEOUT);
+    };
+
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+    if (signal?.aborted) controller.abort();
+
+    try {
+      resetIdleTimer();
+      const response = await fetch(this.API_URL, {
+        method: 'POST',
+        headers: this.getHeaders(apiKey),
+        body: JSON.stringify({
+          model: this.MODEL,
+          ...body,
+          stream: true
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw await this.createResponseError(response);
+      }
+
+      const result = { text: '', stopReason: null, usage: {} };
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        resetIdleTimer();
+        buffer += decoder.decode(value, { stream: true });
+
+        // Server-sent events are separated by a blank line
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+        events.forEach(event => this.handleStreamEvent(event, result, onText));
+      }
+
+      if (buffer.trim()) {
+        this.handleStreamEvent(buffer, result, onText);
+      }
+
+      return result;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw signal?.aborted ? new Error('Analysis cancelled') : this.createTimeoutError();
+      }
+      throw error;
+    } finally {
+      clearTimeout(idleTimer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  },
+
+  /**
+   * Applies one server-sent event from a streaming response
+   * @param {string} event - Raw event block ("event: ...\ndata: {...}")
+   * @param {Object} result - Accumulated { text, stopReason, usage }, updated in place
+   * @param {Function} onText - Called with each text fragment
+   */
+  handleStreamEvent(event, result, onText) {
+    const dataLine = event.split(/\r?\n/).find(line => line.startsWith('data:'));
+    if (!dataLine) return;
+
+    let data;
+    try {
+      data = JSON.parse(dataLine.slice(5));
+    } catch (error) {
+      console.warn('Skipping malformed stream event');
+      return;
+    }
+
+    switch (data.type) {
+      case 'message_start':
+        Object.assign(result.usage, data.message?.usage);
+        break;
+      case 'content_block_delta':
+        if (data.delta?.type === 'text_delta' && data.delta.text) {
+          result.text += data.delta.text;
+          onText(data.delta.text);
+        }
+        break;
+      case 'message_delta':
+        result.stopReason = data.delta?.stop_reason || result.stopReason;
+        Object.assign(result.usage, data.usage);
+        break;
+      case 'error': {
+        // The API reports overload mid-stream as an event rather than a status code
+        const error = new Error(data.error?.message || 'Claude API stream error');
+        error.retryable = this.RETRYABLE_STREAM_ERRORS.includes(data.error?.type);
+        throw error;
+      }
+      default:
+        // ping, content_block_start/stop, message_stop carry nothing we need
+        break;
+    }
+  },
+
   /**
    * Analyzes a job posting using Claude API
    * @param {string} apiKey - Claude API key
    * @param {Object} jobData - Extracted job data
+   * @param {Object} [options] - Analysis options
+   * @param {Object} [options.profile] - User profile for personalized fit scoring
+   * @param {string} [options.depth] - One of ANALYSIS_DEPTHS (defaults to DEFAULT_ANALYSIS_DEPTH)
+   * @param {string} [options.template] - Custom prompt template (see PROMPT_VARIABLES)
+   * @param {string} [options.model] - Model id (defaults to MODEL)
+   * @param {number} [options.maxTokens] - Response length limit (defaults to the depth preset's)
+   * @param {number} [options.temperature] - Sampling temperature, 0-1 (defaults to the API's)
+   * @param {Function} [options.onText] - Called with each text fragment as the response streams in
+   * @param {AbortSignal} [options.signal] - Cancels the analysis
    * @returns {Promise<Object>} Analysis result
    */
-  async analyzeJob(apiKey, jobData) {
+  async analyzeJob(apiKey, jobData, options = {}) {
     if (!apiKey) {
       throw new Error('API key is required');
     }
@@ -53,41 +342,45 @@ const ClaudeClient = {
     }
     
     try {
-      const prompt = this.buildAnalysisPrompt(jobData);
+      const depth = this.getAnalysisDepth(options.depth);
+      const prompt = this.buildAnalysisPrompt(jobData, options.profile, depth, options.template);
+      const model = options.model || this.MODEL;
 
-      const response = await this.fetchWithTimeout(this.API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
-        body: JSON.stringify({
-          model: this.MODEL,
-          max_tokens: this.MAX_TOKENS,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ]
-        })
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error?.message || `API request failed with status ${response.status}`);
+      const body = {
+        model,
+        max_tokens: options.maxTokens || this.ANALYSIS_DEPTHS[depth].maxTokens,
+        ...(typeof options.temperature === 'number' && { temperature: options.temperature }),
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ]
+      };
+
+      // Always streamed: max tokens can be set up to the model's output limit, which a
+      // single FETCH_TIMEOUT for the whole response would cut off
+      const { text: analysisText, usage } = await this.streamMessage(apiKey, body, { onText: options.onText, signal: options.signal });
+
+      // Extract the analysis from Claude's response and validate its structure
+      const analysis = this.parseAnalysis(analysisText);
+      analysis.depth = depth;
+      analysis.model = model;
+      analysis.usage = this.buildUsage(usage, model);
+
+      if (options.profile) {
+        // Back the model's skills gap with a deterministic keyword comparison
+        // so detected tech is never silently dropped from either list
+        analysis.skillsGap = this.mergeSkillsGap(
+          analysis.skillsGap,
+          this.computeSkillsGap(jobData.techStack, options.profile)
+        );
+        analysis.matchScore.basis = 'profile';
       }
       
-      const data = await response.json();
-      
-      // Extract the analysis from Claude's response
-      const analysisText = data.content?.[0]?.text || '';
-      
       return {
         success: true,
-        analysis: analysisText,
+        analysis,
         jobData: jobData,
         analyzedAt: new Date().toISOString()
       };
@@ -98,6 +391,418 @@ const ClaudeClient = {
     }
   },
   
+  /**
+   * Asks Claude to rank several saved jobs against each other
+   * @param {string} apiKey - Claude API key
+   * @param {Array<Object>} jobs - Saved jobs to compare (2 to MAX_COMPARE_JOBS)
+   * @param {Object} [options] - Comparison options
+   * @param {Object} [options.profile] - User profile to rank against
+   * @param {string} [options.model] - Model id (defaults to MODEL)
+   * @param {number} [options.temperature] - Sampling temperature, 0-1 (defaults to the API's)
+   * @returns {Promise<Object>} { ranking: [{ jobId, rank, reasoning }], recommendation, tradeoffs, usage, comparedAt }
+   */
+  async compareJobs(apiKey, jobs, options = {}) {
+    if (!apiKey) {
+      throw new Error('API key is required');
+    }
+
+    if (!Array.isArray(jobs) || jobs.length < 2 || jobs.length > this.MAX_COMPARE_JOBS) {
+      throw new Error(`Select between 2 and ${this.MAX_COMPARE_JOBS} jobs to compare`);
+    }
+
+    try {
+      const model = options.model || this.MODEL;
+      const data = await this.createMessage(apiKey, {
+        model,
+        max_tokens: this.MAX_TOKENS,
+        ...(typeof options.temperature === 'number' && { temperature: options.temperature }),
+        messages: [
+          {
+            role: 'user',
+            content: this.buildComparisonPrompt(jobs, options.profile)
+          }
+        ]
+      });
+
+      const text = data.content?.[0]?.text || '';
+      return {
+        ...this.parseComparison(text, jobs),
+        usage: this.buildUsage(data.usage, model),
+        comparedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error calling Claude API for comparison:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Builds the job comparison prompt
+   * Jobs are labelled A, B, C... so the response can be mapped back to job ids
+   * @param {Array<Object>} jobs - Saved jobs to compare
+   * @param {Object} [profile] - User profile
+   * @returns {string} Formatted prompt
+   */
+  buildComparisonPrompt(jobs, profile = null) {
+    const jobSections = jobs.map((job, index) => {
+      const label = String.fromCharCode(65 + index);
+      const analysis = job.analysis && typeof job.analysis === 'object' ? job.analysis : null;
+      const lines = [
+        `### Job ${label}`,
+        `**Job Title:** ${this.sanitizeUserInput(job.jobTitle || 'Not specified')}`,
+        `**Company:** ${this.sanitizeUserInput(job.company || 'Not specified')}`,
+        `**Location:** ${this.sanitizeUserInput(job.location || 'Not specified')}`
+      ];
+      const details = this.buildPostingDetails(job).trim();
+      if (details) lines.push(details);
+
+      if (analysis && !analysis.rawText) {
+        const facts = [
+          ['Prior Analysis Summary', analysis.summary],
+          ['Experience Level', analysis.experienceLevel !== 'unknown' && analysis.experienceLevel],
+          ['Tech Stack', analysis.techStack.join(', ')],
+          ['Green Flags', analysis.greenFlags.join('; ')],
+          ['Red Flags', analysis.redFlags.join('; ')],
+          ['Match Score', analysis.matchScore.score && `${analysis.matchScore.score}/10`]
+        ];
+        facts
+          .filter(([, value]) => value)
+          .forEach(([name, value]) => lines.push(`**${name}:** ${this.sanitizeUserInput(String(value))}`));
+      }
+
+      // Keep each description short enough that four of them fit comfortably
+      const description = this.sanitizeUserInput(job.description || '').substring(0, this.MAX_COMPARE_DESCRIPTION_LENGTH);
+      lines.push('', '**Job Description:**', description);
+
+      return lines.join('\n');
+    });
+
+    const labels = jobs.map((job, index) => String.fromCharCode(65 + index));
+
+    return `You are a career advisor helping someone choose between ${jobs.length} job postings. Compare them and rank them from best to worst choice${profile ? ' for this candidate' : ''}.
+
+${jobSections.join('\n\n')}
+${profile ? `\n${this.buildProfileSection(profile)}\n` : ''}
+Respond with a single JSON object and nothing else (no markdown fences, no commentary). Use exactly this shape:
+
+{
+  "ranking": [
+    { "job": "${labels[0]}", "rank": 1, "reasoning": "Why this job is ranked here, 2-3 sentences" }
+  ],
+  "recommendation": "Which job to prioritize and why, 2-4 sentences",
+  "tradeoffs": ["Key tradeoffs between the jobs"]
+}
+
+Include every job (${labels.join(', ')}) exactly once in "ranking", ordered by rank.`;
+  },
+
+  /**
+   * Parses a comparison response and maps job labels back to job ids
+   * @param {string} text - Raw response text
+   * @param {Array<Object>} jobs - Jobs in the order they were labelled
+   * @returns {Object} { ranking, recommendation, tradeoffs } with rawText/parseError on failure
+   */
+  parseComparison(text, jobs) {
+    const rawText = (text || '').trim();
+
+    try {
+      const parsed = this.extractJsonObject(rawText);
+      const seen = new Set();
+
+      const ranking = (Array.isArray(parsed.ranking) ? parsed.ranking : [])
+        .map(entry => {
+          const index = String(entry?.job || '').trim().toUpperCase().charCodeAt(0) - 65;
+          const job = jobs[index];
+          if (!job || seen.has(job.id)) return null;
+          seen.add(job.id);
+          return {
+            jobId: job.id,
+            rank: Number(entry.rank) || 0,
+            reasoning: typeof entry.reasoning === 'string' ? entry.reasoning.trim() : ''
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.rank - b.rank)
+        .map((entry, index) => ({ ...entry, rank: index + 1 }));
+
+      return {
+        ranking,
+        recommendation: typeof parsed.recommendation === 'string' ? parsed.recommendation.trim() : '',
+        tradeoffs: (Array.isArray(parsed.tradeoffs) ? parsed.tradeoffs : [])
+          .filter(item => typeof item === 'string' && item.trim())
+          .map(item => item.trim())
+      };
+    } catch (error) {
+      console.warn('Could not parse structured comparison, falling back to raw text:', error.message);
+      return { ranking: [], recommendation: '', tradeoffs: [], rawText, parseError: error.message };
+    }
+  },
+
+  /**
+   * Answers a follow-up question about a saved job
+   * The posting and its prior analysis go in the system prompt, so every turn of
+   * the conversation is grounded in the same job
+   * @param {string} apiKey - Claude API key
+   * @param {Object} job - Saved job
+   * @param {Array<Object>} history - Earlier messages, [{ role: 'user'|'assistant', content }]
+   * @param {string} question - The new question
+   * @param {Object} [options] - Chat options
+   * @param {Object} [options.profile] - User profile, so answers can draw on the candidate's experience
+   * @param {string} [options.model] - Model id (defaults to MODEL)
+   * @param {number} [options.maxTokens] - Response length limit (defaults to MAX_TOKENS)
+   * @param {number} [options.temperature] - Sampling temperature, 0-1 (defaults to the API's)
+   * @returns {Promise<Object>} { reply, usage, answeredAt }
+   */
+  async chatAboutJob(apiKey, job, history, question, options = {}) {
+    if (!apiKey) {
+      throw new Error('API key is required');
+    }
+
+    const text = String(question || '').trim();
+    if (!text) {
+      throw new Error('Please enter a question');
+    }
+    if (text.length > this.MAX_CHAT_QUESTION_LENGTH) {
+      throw new Error(`Questions can be at most ${this.MAX_CHAT_QUESTION_LENGTH} characters`);
+    }
+
+    try {
+      const model = options.model || this.MODEL;
+      // Streamed like analyses, since the Detailed preset's max tokens can allow replies
+      // that take longer than FETCH_TIMEOUT to write
+      const { text: reply, usage } = await this.streamMessage(apiKey, {
+        model,
+        max_tokens: options.maxTokens || this.MAX_TOKENS,
+        ...(typeof options.temperature === 'number' && { temperature: options.temperature }),
+        system: this.buildChatSystemPrompt(job, options.profile),
+        messages: [...this.buildChatHistory(history), { role: 'user', content: text }]
+      });
+
+      return {
+        reply: reply.trim(),
+        usage: this.buildUsage(usage, model),
+        answeredAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error calling Claude API for follow-up:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Trims a saved conversation to the most recent MAX_CHAT_HISTORY messages
+   * The Messages API needs turns to alternate starting with the user, so unanswered
+   * questions (from failed requests) are dropped along with a leading reply
+   * @param {Array<Object>} history - Saved messages, oldest first
+   * @returns {Array<Object>} [{ role, content }] ready to send
+   */
+  buildChatHistory(history) {
+    const turns = [];
+
+    (Array.isArray(history) ? history : []).forEach(message => {
+      if (!message?.content || (message.role !== 'user' && message.role !== 'assistant')) return;
+
+      if (turns.length > 0 && turns[turns.length - 1].role === message.role) {
+        turns.pop();
+      }
+      turns.push({ role: message.role, content: message.content });
+    });
+
+    if (turns[turns.length - 1]?.role === 'user') turns.pop();
+
+    const recent = turns.slice(-this.MAX_CHAT_HISTORY);
+    return recent[0]?.role === 'assistant' ? recent.slice(1) : recent;
+  },
+
+  /**
+   * Builds the system prompt for follow-up questions: the posting, its prior analysis
+   * and the candidate's profile
+   * @param {Object} job - Saved job
+   * @param {Object} [profile] - User profile
+   * @returns {string} System prompt
+   */
+  buildChatSystemPrompt(job, profile = null) {
+    const analysis = job.analysis;
+    let analysisText = '';
+
+    if (typeof analysis === 'string' || analysis?.rawText) {
+      analysisText = typeof analysis === 'string' ? analysis : analysis.rawText;
+    } else if (analysis && typeof analysis === 'object') {
+      // Bookkeeping fields mean nothing to the conversation
+      const { usage, model, depth, promptTemplate, schemaVersion, ...content } = analysis;
+      analysisText = JSON.stringify(content, null, 2);
+    }
+
+    const lines = [
+      'You are a career advisor helping someone with a job they are considering. Answer their follow-up questions about the posting below. Be specific to this job and, when a profile is given, to the candidate. Keep answers concise and practical, and write drafts (messages, questions, talking points) ready to use.',
+      '',
+      `**Job Title:** ${this.sanitizeUserInput(job.jobTitle || 'Not specified')}`,
+      `**Company:** ${this.sanitizeUserInput(job.company || 'Not specified')}`,
+      `**Location:** ${this.sanitizeUserInput(job.location || 'Not specified')}`
+    ];
+
+    const details = this.buildPostingDetails(job).trim();
+    if (details) lines.push(details);
+
+    lines.push('', '**Job Description:**', this.sanitizeUserInput(job.description || 'Not available'));
+
+    if (analysisText) {
+      lines.push('', '**Your Earlier Analysis of This Job:**', this.sanitizeUserInput(analysisText));
+    }
+
+    if (profile) {
+      lines.push('', this.buildProfileSection(profile));
+    }
+
+    return lines.join('\n');
+  },
+
+  /**
+   * Writes a cover letter, or rewrites resume bullets, for a saved job
+   * @param {string} apiKey - Claude API key
+   * @param {Object} job - Saved job
+   * @param {Object} options - Generation options
+   * @param {string} options.type - A key of DOCUMENT_TYPES
+   * @param {string} [options.tone] - A key of DOCUMENT_TONES (defaults to DEFAULT_DOCUMENT_TONE)
+   * @param {string} [options.length] - A key of DOCUMENT_LENGTHS (defaults to DEFAULT_DOCUMENT_LENGTH)
+   * @param {Object} [options.profile] - User profile; cover letters need one
+   * @param {string} [options.bullets] - Resume bullets to rewrite (defaults to picking them from the resume)
+   * @param {string} [options.model] - Model id (defaults to MODEL)
+   * @param {number} [options.temperature] - Sampling temperature, 0-1 (defaults to the API's)
+   * @returns {Promise<Object>} { type, tone, length, content, model, usage, generatedAt }
+   */
+  async generateDocument(apiKey, job, options = {}) {
+    if (!apiKey) {
+      throw new Error('API key is required');
+    }
+
+    const type = options.type;
+    if (!this.DOCUMENT_TYPES[type]) {
+      throw new Error(`Unknown document type: ${type}`);
+    }
+
+    const tone = this.DOCUMENT_TONES[options.tone] ? options.tone : this.DEFAULT_DOCUMENT_TONE;
+    const length = this.DOCUMENT_LENGTHS[options.length] ? options.length : this.DEFAULT_DOCUMENT_LENGTH;
+    const bullets = String(options.bullets || '').trim();
+
+    if (bullets.length > this.MAX_SOURCE_BULLETS_LENGTH) {
+      throw new Error(`Resume bullets can be at most ${this.MAX_SOURCE_BULLETS_LENGTH} characters`);
+    }
+    if (type === 'coverLetter' && !options.profile) {
+      throw new Error('Fill in your profile in Settings first, so the cover letter can draw on your experience.');
+    }
+    if (type === 'resumeBullets' && !bullets && !options.profile?.resumeText) {
+      throw new Error('Paste the bullets to rewrite, or add your resume to your profile in Settings.');
+    }
+
+    try {
+      const model = options.model || this.MODEL;
+      const data = await this.createMessage(apiKey, {
+        model,
+        max_tokens: this.DOCUMENT_LENGTHS[length].maxTokens,
+        ...(typeof options.temperature === 'number' && { temperature: options.temperature }),
+        messages: [
+          {
+            role: 'user',
+            content: this.buildDocumentPrompt(job, { type, tone, length, profile: options.profile, bullets })
+          }
+        ]
+      });
+
+      const content = (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('')
+        .trim();
+
+      return {
+        type,
+        tone,
+        length,
+        content,
+        model,
+        usage: this.buildUsage(data.usage, model),
+        generatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error calling Claude API for document generation:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Builds the prompt for a cover letter or resume bullets
+   * Technologies the job and the candidate share are listed so the draft leads with them
+   * @param {Object} job - Saved job
+   * @param {Object} options - { type, tone, length, profile, bullets } as resolved by generateDocument
+   * @returns {string} Formatted prompt
+   */
+  buildDocumentPrompt(job, { type, tone, length, profile = null, bullets = '' }) {
+    const analysis = job.analysis && typeof job.analysis === 'object' && !job.analysis.rawText ? job.analysis : null;
+    const techStack = analysis?.techStack?.length ? analysis.techStack : (job.techStack || []);
+    const matched = profile ? this.computeSkillsGap(techStack, profile).matched : [];
+
+    const lines = [
+      `**Job Title:** ${this.sanitizeUserInput(job.jobTitle || 'Not specified')}`,
+      `**Company:** ${this.sanitizeUserInput(job.company || 'Not specified')}`,
+      `**Location:** ${this.sanitizeUserInput(job.location || 'Not specified')}`
+    ];
+    const details = this.buildPostingDetails(job).trim();
+    if (details) lines.push(details);
+
+    lines.push('', '**Job Description:**', this.sanitizeUserInput(job.description || 'Not available'));
+
+    if (analysis) {
+      const facts = [
+        ['Role Summary', analysis.summary],
+        ['Key Responsibilities', analysis.responsibilities.join('; ')],
+        ['What Stands Out About the Role', analysis.greenFlags.join('; ')]
+      ];
+      facts
+        .filter(([, value]) => value)
+        .forEach(([name, value]) => lines.push(`**${name}:** ${this.sanitizeUserInput(value)}`));
+    }
+
+    if (techStack.length > 0) {
+      lines.push(`**Job Tech Stack:** ${this.sanitizeUserInput(techStack.join(', '))}`);
+    }
+    if (matched.length > 0) {
+      lines.push(`**Tech the Candidate Already Has:** ${this.sanitizeUserInput(matched.join(', '))}`);
+    }
+
+    if (profile) {
+      lines.push('', this.buildProfileSection(profile));
+    }
+
+    const toneText = this.DOCUMENT_TONES[tone].instruction;
+    const lengthText = this.DOCUMENT_LENGTHS[length][type];
+    const truthful = 'Only use experience, employers, titles, numbers and skills found in the candidate\'s profile and resume. Never invent any.';
+
+    if (type === 'coverLetter') {
+      return `You are a career coach writing a cover letter for the candidate below, for this job posting:
+
+${lines.join('\n')}
+
+Write a cover letter that is ${toneText}, ${lengthText} long. Open with why this role at this company, connect the candidate's most relevant experience to the job's main responsibilities${matched.length ? ' (leading with the shared tech stack)' : ''}, and close with a short call to action. ${truthful} Address it to the hiring manager unless the posting names someone.
+
+Respond with the letter only, as plain text ready to paste: no subject line, no markdown and no commentary.`;
+    }
+
+    const source = bullets
+      ? `Rewrite these resume bullets from the candidate:\n\n${this.sanitizeUserInput(bullets)}\n\nKeep one bullet for each of the originals, in the same order.`
+      : 'Pick the 5-8 achievements from the candidate\'s resume that are most relevant to this job and write a resume bullet for each.';
+
+    return `You are a career coach tailoring a resume to this job posting:
+
+${lines.join('\n')}
+
+${source}
+
+Make the bullets ${toneText}, ${lengthText}. Start each with a strong verb, emphasize experience relevant to the job${matched.length ? `, especially ${this.sanitizeUserInput(matched.join(', '))}` : ''}, and keep any numbers the original has. ${truthful}
+
+Respond with the bullets only, one per line, each starting with "- ". No headings and no commentary.`;
+  },
+
   /**
    * Sanitizes user input to prevent prompt injection attacks
    * @param {string} text - User-provided text
@@ -145,45 +850,428 @@ const ClaudeClient = {
     return sanitized;
   },
 
+  /**
+   * Resolves an analysis depth, falling back to the default for unknown values
+   * @param {string} depth - Requested depth
+   * @returns {string} A key of ANALYSIS_DEPTHS
+   */
+  getAnalysisDepth(depth) {
+    return Object.prototype.hasOwnProperty.call(this.ANALYSIS_DEPTHS, depth) ? depth : this.DEFAULT_ANALYSIS_DEPTH;
+  },
+
+  /**
+   * Resolves the model and request parameters for a depth from saved settings
+   * Missing or out-of-range values fall back to the defaults, so a bad setting
+   * never reaches the API
+   * @param {Object} settings - Extension settings
+   * @param {string} [depth] - One of ANALYSIS_DEPTHS
+   * @returns {Object} { model, maxTokens, temperature }
+   */
+  getRequestParameters(settings, depth = this.DEFAULT_ANALYSIS_DEPTH) {
+    const preset = this.ANALYSIS_DEPTHS[this.getAnalysisDepth(depth)];
+    const saved = settings?.analysisModels?.[this.getAnalysisDepth(depth)] || {};
+    const model = this.isValidModelId(saved.model) ? saved.model : this.MODEL;
+    const maxTokens = Number(saved.maxTokens);
+    const temperature = Number(settings?.temperature);
+
+    return {
+      model,
+      maxTokens: this.isValidMaxTokens(maxTokens, model) ? maxTokens : preset.maxTokens,
+      temperature: Number.isFinite(temperature) && temperature >= 0 && temperature <= 1
+        ? temperature
+        : this.DEFAULT_TEMPERATURE
+    };
+  },
+
+  /**
+   * Finds the MODELS entry that describes a model
+   * Models not in MODELS are treated like the offered model of the same family
+   * (haiku, sonnet or opus), and anything else like MODEL
+   * @param {string} model - Model id
+   * @returns {Object} Entry from MODELS
+   */
+  getModelInfo(model) {
+    const family = String(model || '').match(/haiku|sonnet|opus/)?.[0];
+    return this.MODELS.find(item => item.id === model)
+      || (family && this.MODELS.find(item => item.id.includes(family)))
+      || this.MODELS.find(item => item.id === this.MODEL);
+  },
+
+  /**
+   * Returns the prices used to estimate a model's cost
+   * @param {string} model - Model id
+   * @returns {Object} { inputPrice, outputPrice } in USD per million tokens
+   */
+  getModelPricing(model) {
+    const { inputPrice, outputPrice } = this.getModelInfo(model);
+    return { inputPrice, outputPrice };
+  },
+
+  /**
+   * Returns the largest max tokens setting a model accepts
+   * @param {string} model - Model id
+   * @returns {number} Output token limit
+   */
+  getMaxOutputTokens(model) {
+    return this.getModelInfo(model).maxOutputTokens;
+  },
+
+  /**
+   * Checks a max tokens setting against the limits of the model it will be sent to
+   * @param {number} maxTokens - Requested max tokens
+   * @param {string} model - Model id
+   * @returns {boolean} Whether the value can be used
+   */
+  isValidMaxTokens(maxTokens, model) {
+    return Number.isInteger(maxTokens) && maxTokens >= this.MIN_MAX_TOKENS && maxTokens <= this.getMaxOutputTokens(model);
+  },
+
+  /**
+   * Converts the API's usage block into what is stored with analyses and usage totals
+   * @param {Object} [usage] - Messages API usage ({ input_tokens, output_tokens, ... })
+   * @param {string} model - Model the request used
+   * @returns {Object} { model, inputTokens, outputTokens, cost } with cost as estimated USD
+   */
+  buildUsage(usage, model) {
+    const inputTokens = Number(usage?.input_tokens) || 0;
+    const outputTokens = Number(usage?.output_tokens) || 0;
+    const { inputPrice, outputPrice } = this.getModelPricing(model);
+
+    return {
+      model,
+      inputTokens,
+      outputTokens,
+      cost: (inputTokens * inputPrice + outputTokens * outputPrice) / 1000000
+    };
+  },
+
+  /**
+   * Checks that a model id looks like a Claude model
+   * Whether the account can use it is checked by testApiKey()
+   * @param {string} model - Model id
+   * @returns {boolean} Whether the id is well-formed
+   */
+  isValidModelId(model) {
+    return typeof model === 'string' && /^claude-[a-z0-9.-]+$/.test(model) && model.length <= 100;
+  },
+
   /**
    * Builds the analysis prompt for Claude
    * @param {Object} jobData - Extracted job data
+   * @param {Object} [profile] - User profile; when present the match score is personalized
+   * @param {string} [depth] - One of ANALYSIS_DEPTHS
+   * @param {string} [template] - Custom prompt template (defaults to DEFAULT_PROMPT_TEMPLATE)
    * @returns {string} Formatted prompt
    */
-  buildAnalysisPrompt(jobData) {
-    // Sanitize all user-provided inputs to prevent prompt injection
-    const safeJobTitle = this.sanitizeUserInput(jobData.jobTitle || 'Not specified');
-    const safeCompany = this.sanitizeUserInput(jobData.company || 'Not specified');
-    const safeLocation = this.sanitizeUserInput(jobData.location || 'Not specified');
-    const safeDescription = this.sanitizeUserInput(jobData.description);
+  buildAnalysisPrompt(jobData, profile = null, depth = this.DEFAULT_ANALYSIS_DEPTH, template = null) {
+    const source = typeof template === 'string' && template.trim()
+      ? template.substring(0, this.MAX_PROMPT_TEMPLATE_LENGTH)
+      : this.DEFAULT_PROMPT_TEMPLATE;
 
-    return `You are a career advisor helping someone analyze a job posting. Please provide a comprehensive analysis of the following job posting:
+    return this.renderPromptTemplate(source, this.getPromptVariables(jobData, profile, depth));
+  },
 
-**Job Title:** ${safeJobTitle}
-**Company:** ${safeCompany}
-**Location:** ${safeLocation}
-**Platform:** ${jobData.platform || 'Unknown'}
+  /**
+   * Builds the values for every PROMPT_VARIABLES entry
+   * Job-supplied fields go through sanitizeUserInput here, so custom templates
+   * can't bypass prompt injection filtering
+   * @param {Object} jobData - Extracted job data
+   * @param {Object} [profile] - User profile
+   * @param {string} [depth] - One of ANALYSIS_DEPTHS
+   * @returns {Object} Variable name -> text
+   */
+  getPromptVariables(jobData, profile = null, depth = this.DEFAULT_ANALYSIS_DEPTH) {
+    const techStack = Array.isArray(jobData.techStack) ? jobData.techStack : [];
 
-**Job Description:**
-${safeDescription}
+    return {
+      jobTitle: this.sanitizeUserInput(jobData.jobTitle || 'Not specified'),
+      company: this.sanitizeUserInput(jobData.company || 'Not specified'),
+      location: this.sanitizeUserInput(jobData.location || 'Not specified'),
+      platform: this.sanitizeUserInput(jobData.platform || 'Unknown'),
+      postingDetails: this.buildPostingDetails(jobData),
+      description: this.sanitizeUserInput(jobData.description || ''),
+      techStack: techStack.length > 0 ? this.sanitizeUserInput(techStack.join(', ')) : 'None detected',
+      profile: profile ? this.buildProfileSection(profile) : '',
+      analysisScope: {
+        quick: 'a brief analysis',
+        detailed: 'a comprehensive analysis',
+        deep: 'an in-depth analysis, including preparation advice,'
+      }[this.getAnalysisDepth(depth)],
+      outputFormat: this.buildJsonInstructions(Boolean(profile), this.getAnalysisDepth(depth))
+    };
+  },
+
+  /**
+   * Replaces {{variable}} placeholders in a template
+   * Runs in a single pass, so placeholder-like text inside a job description is
+   * never expanded. Unknown placeholders are left as written
+   * @param {string} template - Prompt template
+   * @param {Object} variables - Variable name -> text
+   * @returns {string} Rendered prompt
+   */
+  renderPromptTemplate(template, variables) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+      Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : placeholder);
+  },
+
+  /**
+   * Builds prompt lines for optional posting details (from schema.org markup)
+   * @param {Object} jobData - Extracted job data
+   * @returns {string} Detail lines, each ending in a newline, or empty string
+   */
+  buildPostingDetails(jobData) {
+    const details = [
+      ['Salary', jobData.salary?.text],
+      ['Employment Type', jobData.employmentType],
+      ['Date Posted', jobData.datePosted],
+      ['Apply By', jobData.validThrough]
+    ];
+
+    return details
+      .filter(([, value]) => value)
+      .map(([label, value]) => `**${label}:** ${this.sanitizeUserInput(value)}\n`)
+      .join('');
+  },
+
+  /**
+   * Builds the candidate profile section of the prompt
+   * @param {Object} profile - User profile from Storage
+   * @returns {string} Profile section
+   */
+  buildProfileSection(profile) {
+    const lines = ['**Candidate Profile:**'];
 
-${jobData.techStack && jobData.techStack.length > 0 ? `**Detected Tech Stack:** ${jobData.techStack.join(', ')}` : ''}
+    if (profile.targetRoles?.length) {
+      lines.push(`- Target roles: ${this.sanitizeUserInput(profile.targetRoles.join(', '))}`);
+    }
+    if (profile.yearsOfExperience != null) {
+      lines.push(`- Years of experience: ${Number(profile.yearsOfExperience)}`);
+    }
+    if (profile.preferredStack?.length) {
+      lines.push(`- Preferred stack: ${this.sanitizeUserInput(profile.preferredStack.join(', '))}`);
+    }
+    if (profile.dealbreakers?.length) {
+      lines.push(`- Dealbreakers: ${this.sanitizeUserInput(profile.dealbreakers.join('; '))}`);
+    }
+    if (profile.resumeText) {
+      lines.push('', '**Candidate Resume:**', this.sanitizeUserInput(profile.resumeText));
+    }
 
-Please provide:
+    return lines.join('\n');
+  },
 
-1. **Summary:** A brief 2-3 sentence overview of the role
-2. **Key Responsibilities:** List the main responsibilities mentioned
-3. **Required Skills:** List hard and soft skills required
-4. **Tech Stack:** Technologies mentioned (programming languages, frameworks, tools)
-5. **Experience Level:** Estimate the experience level (entry, mid, senior, etc.)
-6. **Red Flags:** Any concerning aspects (if any)
-7. **Green Flags:** Positive aspects of the role
-8. **Questions to Ask:** 3-5 important questions to ask during the interview
-9. **Match Score:** On a scale of 1-10, how well does this align with typical career progression (provide reasoning)
+  /**
+   * Builds the output format instructions shared by all analysis prompts
+   * @param {boolean} [hasProfile] - Whether a candidate profile was included
+   * @param {string} [depth] - One of ANALYSIS_DEPTHS; quick asks for fewer fields, deep for more
+   * @returns {string} JSON response instructions
+   */
+  buildJsonInstructions(hasProfile = false, depth = this.DEFAULT_ANALYSIS_DEPTH) {
+    const scoreReasoning = hasProfile
+      ? 'Why this score - on a scale of 1-10, how well the candidate profile fits this role. Treat any dealbreaker hit as a strong negative'
+      : 'Why this score - on a scale of 1-10, how well does this align with typical career progression';
+    const skillsGap = hasProfile
+      ? `,
+  "skillsGap": {
+    "matched": ["Job requirements the candidate clearly has"],
+    "missing": ["Job requirements the candidate's resume does not show"]
+  }`
+      : '';
+    const matchScore = `
+  "matchScore": {
+    "score": 7,
+    "reasoning": "${scoreReasoning}"
+  }`;
 
-Format your response in clear sections with headers.`;
+    if (depth === 'quick') {
+      return `Respond with a single JSON object and nothing else (no markdown fences, no commentary). Keep it short. Use exactly this shape:
+
+{
+  "summary": "A 1-2 sentence overview of the role",
+  "redFlags": ["The most concerning aspects, empty array if none"],
+  "greenFlags": ["The most positive aspects of the role"],${matchScore}
+}`;
+    }
+
+    const deepFields = depth === 'deep'
+      ? `,
+  "companyResearch": ["4-6 questions to research about the company before applying or interviewing"],
+  "salaryNegotiation": ["Advice for negotiating pay on this role, using any salary information in the posting"],
+  "interviewPrep": ["Likely interview topics or questions for this role and how to prepare for each"]`
+      : '';
+
+    return `Respond with a single JSON object and nothing else (no markdown fences, no commentary). Use exactly this shape:
+
+{
+  "summary": "A brief 2-3 sentence overview of the role",
+  "responsibilities": ["Main responsibilities mentioned"],
+  "requiredSkills": {
+    "hard": ["Technical / hard skills required"],
+    "soft": ["Soft skills required"]
   },
-  
+  "techStack": ["Technologies mentioned (programming languages, frameworks, tools)"],
+  "experienceLevel": "One of: ${this.EXPERIENCE_LEVELS.join(', ')}",
+  "redFlags": ["Concerning aspects, empty array if none"],
+  "greenFlags": ["Positive aspects of the role"],
+  "questions": ["3-5 important questions to ask during the interview"],${matchScore}${skillsGap}${deepFields}
+}`;
+  },
+
+  /**
+   * Parses the JSON object out of a model response
+   * Models occasionally wrap JSON in ```json fences or add a preamble,
+   * so this parses the outermost {...} block rather than the whole string
+   * @param {string} text - Raw response text
+   * @returns {Object} Parsed object
+   * @throws {Error} When no JSON object can be parsed
+   */
+  extractJsonObject(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('No JSON object found in response');
+    }
+
+    const parsed = JSON.parse(text.substring(start, end + 1));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Response JSON is not an object');
+    }
+
+    return parsed;
+  },
+
+  /**
+   * Parses Claude's response text into a validated analysis object
+   * Falls back to an empty analysis carrying the raw text when the
+   * response is not valid JSON, so nothing the model said is lost
+   * @param {string} text - Raw response text from Claude
+   * @returns {Object} Normalized analysis object
+   */
+  parseAnalysis(text) {
+    const rawText = (text || '').trim();
+
+    try {
+      return this.normalizeAnalysis(this.extractJsonObject(rawText));
+    } catch (error) {
+      console.warn('Could not parse structured analysis, falling back to raw text:', error.message);
+      return {
+        ...this.normalizeAnalysis({}),
+        rawText,
+        parseError: error.message
+      };
+    }
+  },
+
+  /**
+   * Coerces an arbitrary object into the analysis schema
+   * Unknown keys are dropped and missing or mistyped fields get safe defaults
+   * @param {Object} data - Parsed JSON from Claude
+   * @returns {Object} Analysis object matching the schema
+   */
+  normalizeAnalysis(data) {
+    const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+    const toList = (value) => (Array.isArray(value) ? value : [])
+      .filter(item => typeof item === 'string' && item.trim())
+      .map(item => item.trim());
+
+    const skills = data.requiredSkills;
+    const requiredSkills = Array.isArray(skills)
+      ? { hard: toList(skills), soft: [] }
+      : { hard: toList(skills?.hard), soft: toList(skills?.soft) };
+
+    const level = toText(data.experienceLevel).toLowerCase();
+    const experienceLevel = this.EXPERIENCE_LEVELS.includes(level) ? level : 'unknown';
+
+    // Accept either { score, reasoning } or a bare number
+    const match = typeof data.matchScore === 'object' && data.matchScore !== null
+      ? data.matchScore
+      : { score: data.matchScore };
+    const rawScore = Number(match.score);
+    const score = Number.isFinite(rawScore)
+      ? Math.min(10, Math.max(1, Math.round(rawScore)))
+      : null;
+
+    const analysis = {
+      schemaVersion: this.ANALYSIS_SCHEMA_VERSION,
+      summary: toText(data.summary),
+      responsibilities: toList(data.responsibilities),
+      requiredSkills,
+      techStack: toList(data.techStack),
+      experienceLevel,
+      redFlags: toList(data.redFlags),
+      greenFlags: toList(data.greenFlags),
+      questions: toList(data.questions),
+      matchScore: {
+        score,
+        reasoning: toText(match.reasoning),
+        basis: 'general'
+      }
+    };
+
+    if (data.skillsGap && typeof data.skillsGap === 'object') {
+      analysis.skillsGap = {
+        matched: toList(data.skillsGap.matched),
+        missing: toList(data.skillsGap.missing)
+      };
+    }
+
+    // Only deep analyses ask for these
+    ['companyResearch', 'salaryNegotiation', 'interviewPrep'].forEach(key => {
+      if (Array.isArray(data[key])) {
+        analysis[key] = toList(data[key]);
+      }
+    });
+
+    return analysis;
+  },
+
+  /**
+   * Compares the job's detected tech stack against the user's resume and preferred stack
+   * @param {Array<string>} techStack - Technologies detected in the job posting
+   * @param {Object} profile - User profile
+   * @returns {Object} Skills gap with matched and missing arrays
+   */
+  computeSkillsGap(techStack, profile) {
+    const haystack = [profile.resumeText || '', ...(profile.preferredStack || [])].join('\n');
+    const matched = [];
+    const missing = [];
+
+    (techStack || []).forEach(tech => {
+      // Bound the match so short names like "Go" don't match inside "Google"
+      const escaped = tech.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`, 'i');
+      (pattern.test(haystack) ? matched : missing).push(tech);
+    });
+
+    return { matched, missing };
+  },
+
+  /**
+   * Merges two skills gap objects, de-duplicating case-insensitively
+   * A skill listed as matched in either source is never reported as missing
+   * @param {Object} [primary] - Skills gap from Claude
+   * @param {Object} secondary - Skills gap from keyword comparison
+   * @returns {Object} Merged skills gap
+   */
+  mergeSkillsGap(primary, secondary) {
+    const unique = (items) => {
+      const seen = new Set();
+      return items.filter(item => {
+        const key = item.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    };
+
+    const matched = unique([...(primary?.matched || []), ...secondary.matched]);
+    const matchedKeys = new Set(matched.map(item => item.toLowerCase()));
+    const missing = unique([...(primary?.missing || []), ...secondary.missing])
+      .filter(item => !matchedKeys.has(item.toLowerCase()));
+
+    return { matched, missing };
+  },
+
   /**
    * Validates API key format
    * @param {string} apiKey - API key to validate
@@ -200,10 +1288,16 @@ Format your response in clear sections with headers.`;
   
   /**
    * Tests API key by making a simple request
+   * Also confirms the key can use a model, since not every account has every model
    * @param {string} apiKey - API key to test
+   * @param {string} [model] - Model id to test with (defaults to MODEL)
    * @returns {Promise<Object>} Object with isValid and details
    */
-  async testApiKey(apiKey) {
+  async testApiKey(apiKey, model = this.MODEL) {
+    if (!this.isValidModelId(model)) {
+      return { isValid: false, details: 'Invalid model ID' };
+    }
+
     try {
       const response = await this.fetchWithTimeout(this.API_URL, {
         method: 'POST',
@@ -214,7 +1308,7 @@ Format your response in clear sections with headers.`;
           'anthropic-dangerous-direct-browser-access': 'true'
         },
         body: JSON.stringify({
-          model: this.MODEL,
+          model,
           max_tokens: 100,
           messages: [
             {
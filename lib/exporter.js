@@ -0,0 +1,316 @@
+/**
+ * Job Exporter
+ * Builds Markdown and JSON exports of saved jobs and their analyses
+ * Markdown rendering requires lib/storage.js and lib/ui-utils.js to be loaded first
+ */
+
+const JobExporter = {
+
+  EXPORT_FORMAT: 'job-hunt-assistant-export', // identifies our JSON bundles
+  EXPORT_VERSION: 1, // bump when the bundle shape changes
+
+  /**
+   * Lists the displayable sections of a structured analysis, in display order
+   * Shared by the popup modal, the print page and Markdown export so they stay consistent
+   * @param {Object} analysis - Normalized analysis object
+   * @returns {Array<{heading: string, content: string|Array<string>}>} Non-empty sections
+   */
+  getAnalysisSections(analysis) {
+    const score = analysis.matchScore?.score;
+    const scoreText = score ? `${score}/10` : 'Not scored';
+    const scoreHeading = analysis.matchScore?.basis === 'profile' ? 'Fit Score' : 'Match Score';
+    const sections = [
+      { heading: scoreHeading, content: [scoreText, analysis.matchScore?.reasoning].filter(Boolean).join(' - ') },
+      { heading: 'Summary', content: analysis.summary },
+      { heading: 'Experience Level', content: formatExperienceLevel(analysis.experienceLevel) },
+      { heading: 'Key Responsibilities', content: analysis.responsibilities },
+      { heading: 'Required Skills', content: analysis.requiredSkills?.hard },
+      { heading: 'Soft Skills', content: analysis.requiredSkills?.soft },
+      { heading: 'Tech Stack', content: analysis.techStack },
+      { heading: 'Skills You Have', content: analysis.skillsGap?.matched },
+      { heading: 'Skills Gap', content: analysis.skillsGap?.missing },
+      { heading: 'Red Flags', content: analysis.redFlags },
+      { heading: 'Green Flags', content: analysis.greenFlags },
+      { heading: 'Questions to Ask', content: analysis.questions },
+      { heading: 'Company Research', content: analysis.companyResearch },
+      { heading: 'Salary Negotiation', content: analysis.salaryNegotiation },
+      { heading: 'Interview Prep', content: analysis.interviewPrep }
+    ];
+
+    return sections.filter(({ content }) => Array.isArray(content) ? content.length > 0 : Boolean(content));
+  },
+
+  /**
+   * Lists the extracted posting fields worth showing alongside an analysis
+   * @param {Object} job - Saved job
+   * @returns {Array<[string, string]>} Label/value pairs with empty values removed
+   */
+  getJobDetails(job) {
+    const details = [
+      ['Company', job.company],
+      ['Location', job.location],
+      ['Platform', job.platform],
+      ['Stage', Storage.getStatusLabel(Storage.getJobStatus(job))],
+      ['Salary', job.salary?.text],
+      ['Employment Type', job.employmentType],
+      ['Date Posted', job.datePosted && new Date(job.datePosted).toLocaleDateString()],
+      ['Apply By', job.validThrough && new Date(job.validThrough).toLocaleDateString()],
+      ['Detected Tech Stack', (job.techStack || []).join(', ')],
+      ['Analyzed', job.analyzedAt && new Date(job.analyzedAt).toLocaleString()],
+      ['Analysis Depth', typeof job.analysis?.depth === 'string' && job.analysis.depth.charAt(0).toUpperCase() + job.analysis.depth.slice(1)],
+      ['Model', typeof job.analysis?.model === 'string' && job.analysis.model],
+      ['Tokens', job.analysis?.usage && `${formatTokens(job.analysis.usage.inputTokens)} in, ${formatTokens(job.analysis.usage.outputTokens)} out`],
+      ['Estimated Cost', job.analysis?.usage && formatCost(job.analysis.usage.cost)],
+      ['URL', job.url]
+    ];
+
+    return details.filter(([, value]) => value);
+  },
+
+  /**
+   * Converts one job to Markdown
+   * @param {Object} job - Saved job
+   * @returns {string} Markdown document section
+   */
+  jobToMarkdown(job) {
+    const lines = [`## ${job.jobTitle || 'Untitled Job'}`, ''];
+
+    this.getJobDetails(job).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+
+    const history = job.statusHistory || [];
+    if (history.length > 1) {
+      lines.push('', '### Application History', '');
+      history.forEach(entry => {
+        const notes = entry.notes ? ` - ${entry.notes}` : '';
+        lines.push(`- ${new Date(entry.at).toLocaleString()}: ${Storage.getStatusLabel(entry.to)}${notes}`);
+      });
+    }
+
+    lines.push('', '### Analysis', '');
+    const analysis = job.analysis;
+    if (!analysis) {
+      lines.push(job.analysisError ? `_Analysis failed: ${job.analysisError}_` : '_No analysis available_');
+    } else if (typeof analysis === 'string') {
+      lines.push(analysis);
+    } else if (analysis.rawText) {
+      lines.push(analysis.rawText);
+    } else {
+      this.getAnalysisSections(analysis).forEach(({ heading, content }) => {
+        lines.push(`#### ${heading}`, '');
+        if (Array.isArray(content)) {
+          content.forEach(item => lines.push(`- ${item}`));
+        } else {
+          lines.push(content);
+        }
+        lines.push('');
+      });
+    }
+
+    if (lines[lines.length - 1] !== '') lines.push('');
+    lines.push('### Original Description', '', job.description || '_No description captured_', '');
+    return lines.join('\n');
+  },
+
+  /**
+   * Converts jobs to a single Markdown document
+   * @param {Array<Object>} jobs - Saved jobs
+   * @returns {string} Markdown document
+   */
+  toMarkdown(jobs) {
+    const title = jobs.length === 1
+      ? `# ${jobs[0].jobTitle || 'Untitled Job'} - ${jobs[0].company || 'Unknown Company'}`
+      : `# Job Hunt Assistant Export (${jobs.length} jobs)`;
+
+    return [
+      title,
+      '',
+      `_Exported ${new Date().toLocaleString()}_`,
+      '',
+      jobs.map(job => this.jobToMarkdown(job)).join('\n---\n\n')
+    ].join('\n');
+  },
+
+  /**
+   * Builds a JSON export bundle
+   * Whole-store exports also carry settings and profile so they can be restored as a backup
+   * The API key is never included
+   * @param {Array<Object>} jobs - Saved jobs
+   * @param {Object} [extras] - Optional settings and profile to include
+   * @returns {string} Pretty-printed JSON
+   */
+  toJson(jobs, extras = {}) {
+    const bundle = {
+      format: this.EXPORT_FORMAT,
+      version: this.EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      jobs
+    };
+
+    if (extras.settings) bundle.settings = extras.settings;
+    if (extras.profile) bundle.profile = extras.profile;
+
+    return JSON.stringify(bundle, null, 2);
+  },
+
+  /**
+   * Parses and validates an exported JSON bundle
+   * Malformed jobs are skipped and reported rather than failing the whole import
+   * @param {string} text - File contents
+   * @returns {{jobs: Array<Object>, settings: Object|null, profile: Object|null, exportedAt: string|null, skipped: Array<{index: number, reason: string}>}}
+   * @throws {Error} If the file is not a valid export bundle
+   */
+  parseBundle(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(data) || data.format !== this.EXPORT_FORMAT) {
+      throw new Error('File is not a Job Hunt Assistant export');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > this.EXPORT_VERSION) {
+      throw new Error(`Unsupported export version: ${data.version}`);
+    }
+    if (!Array.isArray(data.jobs)) {
+      throw new Error('Export is missing its jobs list');
+    }
+    if (data.settings !== undefined && !isObject(data.settings)) {
+      throw new Error('Export settings are malformed');
+    }
+    if (data.profile !== undefined && !isObject(data.profile)) {
+      throw new Error('Export profile is malformed');
+    }
+
+    const jobs = [];
+    const skipped = [];
+    const seenIds = new Set();
+
+    data.jobs.forEach((job, index) => {
+      const reason = this.validateJob(job) || (seenIds.has(job.id) ? 'duplicate job id' : null);
+      if (reason) {
+        skipped.push({ index, reason });
+        return;
+      }
+      seenIds.add(job.id);
+      jobs.push(job);
+    });
+
+    return {
+      jobs,
+      settings: data.settings || null,
+      profile: data.profile || null,
+      exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : null,
+      skipped
+    };
+  },
+
+  /**
+   * Checks that an imported job has the shape the extension relies on
+   * @param {*} job - Candidate job record
+   * @returns {string|null} Reason the job is invalid, or null if valid
+   */
+  validateJob(job) {
+    if (job === null || typeof job !== 'object' || Array.isArray(job)) {
+      return 'not an object';
+    }
+    if (typeof job.id !== 'string' || !job.id || job.id.length > 200) {
+      return 'missing or invalid id';
+    }
+
+    const textFields = ['url', 'jobTitle', 'company', 'location', 'description', 'platform', 'status'];
+    const badField = textFields.find(field => job[field] != null && typeof job[field] !== 'string');
+    if (badField) {
+      return `${badField} is not text`;
+    }
+
+    if (job.analysis != null && typeof job.analysis !== 'string' &&
+      (typeof job.analysis !== 'object' || Array.isArray(job.analysis))) {
+      return 'analysis is malformed';
+    }
+
+    // Duplicate detection and the Jobs tab filters read these as lists of text
+    const isTextList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+    const badList = ['techStack', 'alternateUrls'].find(field => job[field] != null && !isTextList(job[field]));
+    if (badList) {
+      return `${badList} is not a list of text`;
+    }
+    if (job.statusHistory != null && !Array.isArray(job.statusHistory)) {
+      return 'statusHistory is not a list';
+    }
+    if (job.chat != null && !Array.isArray(job.chat)) {
+      return 'chat is not a list';
+    }
+    if (job.documents != null && !Array.isArray(job.documents)) {
+      return 'documents is not a list';
+    }
+
+    return null;
+  },
+
+  /**
+   * Converts a generated cover letter or resume bullet list to Markdown
+   * The content is the user's (possibly edited) text, kept as written
+   * @param {Object} job - Saved job the document was written for
+   * @param {Object} document - Saved document
+   * @param {string} title - Document label, e.g. "Cover letter"
+   * @returns {string} Markdown document
+   */
+  documentToMarkdown(job, document, title) {
+    return [
+      `# ${title}: ${job.jobTitle || 'Untitled Job'} - ${job.company || 'Unknown Company'}`,
+      '',
+      `_Written ${formatDate(document.updatedAt || document.createdAt)}_`,
+      '',
+      document.content.trim(),
+      ''
+    ].join('\n');
+  },
+
+  /**
+   * Builds a filesystem-safe export file name
+   * @param {Array<Object>} jobs - Jobs being exported
+   * @param {string} extension - File extension without the dot
+   * @returns {string} File name
+   */
+  getFileName(jobs, extension) {
+    const date = new Date().toISOString().slice(0, 10);
+    const base = jobs.length === 1
+      ? `${jobs[0].jobTitle || 'job'}-${jobs[0].company || ''}`
+      : 'job-hunt-export';
+    const slug = base.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'job';
+    return `${slug}-${date}.${extension}`;
+  },
+
+  /**
+   * Triggers a browser download of text content
+   * @param {string} content - File content
+   * @param {string} fileName - Suggested file name
+   * @param {string} mimeType - MIME type
+   */
+  download(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+};
+
+// Make available globally for extension pages
+if (typeof window !== 'undefined') {
+  window.JobExporter = JobExporter;
+}
+
+// For service worker (import validation)
+if (typeof self !== 'undefined') {
+  self.JobExporter = JobExporter;
+}
@@ -1,6 +1,6 @@
 /**
  * Job Data Extractor
- * Extracts job posting information from various job platforms
+ * Extracts job posting information using the platform definitions in lib/platforms.js
  */
 
 const JobExtractor = {
@@ -24,6 +24,11 @@ const JobExtractor = {
   // Cache lowercase versions for faster matching
   _techKeywordsLower: null,
 
+  // Readability-style extraction for unsupported pages
+  MIN_READABLE_LENGTH: 300, // characters - shorter blocks are unlikely to be a full job description
+  _readableHints: /responsibilit|requirement|qualification|what you.?ll do|about the (role|job|position)|experience with|benefits/gi,
+  _readableNoise: /nav|menu|footer|header|sidebar|cookie|banner|comment|share|social|related|promo|modal/i,
+
   _getTechKeywordsLower() {
     if (!this._techKeywordsLower) {
       this._techKeywordsLower = this._techKeywords.map(tech => tech.toLowerCase());
@@ -36,17 +41,8 @@ const JobExtractor = {
    * @returns {string|null} Platform identifier or null if not on a supported platform
    */
   detectPlatform() {
-    const url = window.location.href;
-    
-    if (url.includes('linkedin.com/jobs')) {
-      return 'linkedin';
-    } else if (url.includes('boards.greenhouse.io')) {
-      return 'greenhouse';
-    } else if (url.includes('jobs.lever.co')) {
-      return 'lever';
-    }
-    
-    return null;
+    const platform = window.JobPlatforms?.detect(window.location.href);
+    return platform ? platform.id : null;
   },
   
   /**
@@ -68,157 +64,473 @@ const JobExtractor = {
   },
 
   /**
-   * Extracts job data from LinkedIn
-   * @returns {Object} Extracted job data
+   * Builds the standard job data object shared by all extractors
+   * @param {string} platform - Platform identifier
+   * @param {Object} fields - Extracted jobTitle, company, description and location
+   * @returns {Object} Job data
    */
-  extractLinkedIn() {
+  _buildJobData(platform, { jobTitle = '', company = '', description = '', location = '' }) {
+    return {
+      platform,
+      jobTitle,
+      company,
+      description,
+      location,
+      techStack: this.extractTechStack(description),
+      url: window.location.href,
+      extractedAt: new Date().toISOString()
+    };
+  },
+
+  /**
+   * Extracts job data using a registered platform definition
+   * @param {Object} platform - Platform definition from JobPlatforms
+   * @returns {Object|null} Extracted job data or null if extraction fails
+   */
+  extractPlatform(platform) {
     try {
-      console.log('Job Hunt Assistant: Starting LinkedIn extraction, URL:', window.location.href);
-
-      // LinkedIn frequently changes class names, so we try multiple selectors
-      // Includes selectors for both direct job view and jobs collection sidebar
-      const jobTitleSelectors = [
-        // Jobs collection/sidebar view
-        '.job-details-jobs-unified-top-card__job-title h1',
-        '.jobs-unified-top-card__job-title h1',
-        'h1.job-details-jobs-unified-top-card__job-title',
-        'h1.jobs-unified-top-card__job-title',
-        // Direct job view
-        'h1.top-card-layout__title',
-        'h1.topcard__title',
-        '.jobs-unified-top-card__job-title',
-        '.job-details-jobs-unified-top-card__job-title',
-        'h1.t-24.t-bold',
-        'h1[class*="job-title"]',
-        // Generic fallbacks
-        '.jobs-details h1',
-        'h1'  // Last resort
-      ];
-
-      const companySelectors = [
-        // Jobs collection/sidebar view
-        '.job-details-jobs-unified-top-card__company-name a',
-        '.jobs-unified-top-card__company-name a',
-        'a.app-aware-link[href*="/company/"]',
-        // Direct job view
-        '.topcard__org-name-link',
-        '.topcard__flavor-row a',
-        '.jobs-unified-top-card__company-name',
-        '.job-details-jobs-unified-top-card__company-name',
-        'a[data-tracking-control-name="public_jobs_topcard-org-name"]',
-        '.jobs-unified-top-card__subtitle-primary-grouping a',
-        'a[class*="company-name"]'
-      ];
-
-      const descriptionSelectors = [
-        // Jobs collection/sidebar view
-        '.jobs-description-content__text',
-        '.jobs-box__html-content',
-        'div[class*="jobs-description"] .jobs-box__html-content',
-        // Common selectors
-        '.show-more-less-html__markup',
-        '.jobs-description__content',
-        '#job-details',
-        '.jobs-description',
-        '.description__text',
-        'article[class*="jobs-description"]',
-        'div[class*="job-description"]'
-      ];
-
-      const locationSelectors = [
-        // Jobs collection/sidebar view
-        '.job-details-jobs-unified-top-card__primary-description-container span',
-        '.jobs-unified-top-card__workplace-type',
-        '.jobs-unified-top-card__bullet',
-        // Direct job view
-        '.topcard__flavor-row .topcard__flavor--bullet',
-        '.job-details-jobs-unified-top-card__primary-description-container',
-        '.jobs-unified-top-card__primary-description',
-        'span[class*="job-location"]'
-      ];
-
-      const jobTitle = this._trySelectors(jobTitleSelectors, 'job title');
-      const company = this._trySelectors(companySelectors, 'company');
-      const description = this._trySelectors(descriptionSelectors, 'description');
-      const location = this._trySelectors(locationSelectors, 'location');
-
-      // Extract tech stack from description (simple keyword matching)
-      const techStack = this.extractTechStack(description);
+      console.log(`Job Hunt Assistant: Starting ${platform.name} extraction, URL:`, window.location.href);
 
-      return {
-        platform: 'linkedin',
-        jobTitle,
-        company,
-        description,
-        location,
-        techStack,
-        url: window.location.href,
-        extractedAt: new Date().toISOString()
+      const fields = {
+        jobTitle: this._trySelectors(platform.selectors.jobTitle, 'job title'),
+        company: this._trySelectors(platform.selectors.company, 'company'),
+        location: this._trySelectors(platform.selectors.location, 'location'),
+        description: this._trySelectors(platform.selectors.description, 'description')
       };
+
+      let jobData = this._buildJobData(platform.id, fields);
+
+      if (typeof platform.postProcess === 'function') {
+        jobData = platform.postProcess(jobData, window.location) || jobData;
+        // Post-processing may change the description, so re-detect the stack
+        jobData.techStack = this.extractTechStack(jobData.description);
+      }
+
+      return jobData;
     } catch (error) {
-      console.error('Error extracting LinkedIn job data:', error);
+      console.error(`Error extracting ${platform.name} job data:`, error);
       return null;
     }
   },
   
   /**
-   * Extracts job data from Greenhouse
-   * @returns {Object} Extracted job data
+   * Checks whether the page publishes a schema.org JobPosting (JSON-LD or microdata)
+   * Cheap enough to run on every page load
+   * @returns {boolean} Whether a JobPosting is present
+   */
+  hasStructuredData() {
+    return Boolean(this._findJsonLdPosting() || document.querySelector('[itemscope][itemtype*="schema.org/JobPosting"]'));
+  },
+
+  /**
+   * Extracts a schema.org JobPosting from JSON-LD, falling back to microdata
+   * @returns {Object|null} Normalized fields (jobTitle, company, location, description,
+   *   salary, employmentType, datePosted, validThrough) or null if the page has none
    */
-  extractGreenhouse() {
+  extractStructuredData() {
     try {
-      const jobTitle = document.querySelector('h1.app-title')?.textContent?.trim() || '';
-      const company = document.querySelector('.company-name')?.textContent?.trim() || '';
-      const description = document.querySelector('#content, .content')?.textContent?.trim() || '';
-      const location = document.querySelector('.location')?.textContent?.trim() || '';
-      
-      const techStack = this.extractTechStack(description);
-      
+      const posting = this._findJsonLdPosting() || this._readMicrodataPosting();
+      if (!posting) return null;
+
+      if (!this._postingMatchesPage(posting)) {
+        console.log('Job Hunt Assistant: Ignoring schema.org JobPosting for a different page');
+        return null;
+      }
+
+      console.log('Job Hunt Assistant: Found schema.org JobPosting markup');
+
       return {
-        platform: 'greenhouse',
-        jobTitle,
-        company,
-        description,
-        location,
-        techStack,
-        url: window.location.href,
-        extractedAt: new Date().toISOString()
+        jobTitle: this._schemaText(posting.title),
+        company: this._schemaText(posting.hiringOrganization?.name ?? posting.hiringOrganization),
+        location: this._formatSchemaLocation(posting),
+        description: this._htmlToText(this._schemaText(posting.description)),
+        salary: this._formatSchemaSalary(posting.baseSalary),
+        employmentType: this._formatEmploymentType(posting.employmentType),
+        datePosted: this._schemaDate(posting.datePosted),
+        validThrough: this._schemaDate(posting.validThrough)
       };
     } catch (error) {
-      console.error('Error extracting Greenhouse job data:', error);
+      console.error('Error extracting structured job data:', error);
       return null;
     }
   },
-  
+
   /**
-   * Extracts job data from Lever
-   * @returns {Object} Extracted job data
+   * Checks that a JobPosting's url, when it has one on this site, is the page being read
+   * Single-page boards leave the first posting's markup in place while the user moves
+   * between postings. Postings pointing at another site are syndicated copies, not stale
+   * @param {Object} posting - Raw JobPosting object
+   * @returns {boolean} Whether the posting can describe this page
    */
-  extractLever() {
+  _postingMatchesPage(posting) {
+    const url = this._schemaText(posting.url);
+    if (!url) return true;
+
+    let postingUrl;
     try {
-      const jobTitle = document.querySelector('.posting-headline h2')?.textContent?.trim() || '';
-      const company = document.querySelector('.main-header-text-item-1')?.textContent?.trim() || '';
-      const description = document.querySelector('.content, .section-wrapper')?.textContent?.trim() || '';
-      const location = document.querySelector('.location, .posting-categories .location')?.textContent?.trim() || '';
-      
-      const techStack = this.extractTechStack(description);
-      
-      return {
-        platform: 'lever',
-        jobTitle,
-        company,
+      postingUrl = new URL(url, window.location.href);
+    } catch (error) {
+      return true;
+    }
+
+    if (postingUrl.hostname !== window.location.hostname) return true;
+
+    // Canonical URLs when JobIdentity is loaded, so tracking parameters don't count as a mismatch
+    const normalize = (href) => {
+      if (window.JobIdentity) return window.JobIdentity.normalizeUrl(href);
+      const parsed = new URL(href);
+      return parsed.origin + parsed.pathname.replace(/\/+$/, '');
+    };
+
+    return normalize(postingUrl.href) === normalize(window.location.href);
+  },
+
+  /**
+   * Finds the first JobPosting object in the page's JSON-LD blocks
+   * Handles top-level arrays, @graph containers and multi-valued @type
+   * @returns {Object|null} Raw JobPosting object
+   */
+  _findJsonLdPosting() {
+    const isPosting = (node) => {
+      const type = node?.['@type'];
+      return Array.isArray(type) ? type.includes('JobPosting') : type === 'JobPosting';
+    };
+
+    const search = (node) => {
+      if (!node || typeof node !== 'object') return null;
+      if (Array.isArray(node)) {
+        for (const item of node) {
+          const found = search(item);
+          if (found) return found;
+        }
+        return null;
+      }
+      if (isPosting(node)) return node;
+      return node['@graph'] ? search(node['@graph']) : null;
+    };
+
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const found = search(JSON.parse(script.textContent));
+        if (found) return found;
+      } catch (error) {
+        // Sites regularly ship invalid JSON-LD; skip that block and keep looking
+        console.warn('Job Hunt Assistant: Skipping unparseable JSON-LD block');
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Reads a microdata JobPosting into the same shape as its JSON-LD equivalent
+   * @returns {Object|null} JobPosting-like object
+   */
+  _readMicrodataPosting() {
+    const root = document.querySelector('[itemscope][itemtype*="schema.org/JobPosting"]');
+    if (!root) return null;
+
+    // Only look at properties that belong to this item, not to nested itemscopes
+    const prop = (scope, name) => {
+      for (const element of scope.querySelectorAll(`[itemprop~="${name}"]`)) {
+        if (element.parentElement?.closest('[itemscope]') === scope) return element;
+      }
+      return null;
+    };
+    const value = (element) => {
+      if (!element) return '';
+      return (element.getAttribute('content') || element.getAttribute('datetime') ||
+        element.getAttribute('value') || element.textContent || '').trim();
+    };
+
+    const organization = prop(root, 'hiringOrganization');
+    const place = prop(root, 'jobLocation');
+    const address = place && (prop(place, 'address') || place);
+    const salary = prop(root, 'baseSalary');
+    const salaryValue = salary && prop(salary, 'value');
+
+    return {
+      title: value(prop(root, 'title')),
+      hiringOrganization: organization?.hasAttribute('itemscope')
+        ? { name: value(prop(organization, 'name')) }
+        : value(organization),
+      jobLocation: address?.hasAttribute('itemscope')
+        ? { address: {
+          addressLocality: value(prop(address, 'addressLocality')),
+          addressRegion: value(prop(address, 'addressRegion')),
+          addressCountry: value(prop(address, 'addressCountry'))
+        } }
+        : value(address),
+      description: prop(root, 'description')?.innerHTML || '',
+      baseSalary: salary?.hasAttribute('itemscope')
+        ? {
+          currency: value(prop(salary, 'currency')),
+          value: salaryValue?.hasAttribute('itemscope')
+            ? {
+              minValue: value(prop(salaryValue, 'minValue')),
+              maxValue: value(prop(salaryValue, 'maxValue')),
+              value: value(prop(salaryValue, 'value')),
+              unitText: value(prop(salaryValue, 'unitText'))
+            }
+            : value(salaryValue)
+        }
+        : value(salary),
+      url: prop(root, 'url')?.getAttribute('href') || value(prop(root, 'url')),
+      employmentType: value(prop(root, 'employmentType')),
+      datePosted: value(prop(root, 'datePosted')),
+      validThrough: value(prop(root, 'validThrough'))
+    };
+  },
+
+  /**
+   * Reads a schema.org text value, which may be a string, number or { name } object
+   * @param {*} value - Raw schema value
+   * @returns {string} Trimmed text
+   */
+  _schemaText(value) {
+    if (value == null) return '';
+    if (typeof value === 'string' || typeof value === 'number') return String(value).trim();
+    if (Array.isArray(value)) return this._schemaText(value[0]);
+    return this._schemaText(value.name || value['@value'] || '');
+  },
+
+  /**
+   * Normalizes a schema.org date to ISO 8601, keeping the raw value if it can't be parsed
+   * @param {string} value - Raw date value
+   * @returns {string} ISO date string or empty string
+   */
+  _schemaDate(value) {
+    const text = this._schemaText(value);
+    if (!text) return '';
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? text : date.toISOString();
+  },
+
+  /**
+   * Converts HTML (JSON-LD descriptions are usually HTML) into plain text
+   * DOMParser documents are inert, so scripts and event handlers never run
+   * @param {string} html - HTML string
+   * @returns {string} Plain text
+   */
+  _htmlToText(html) {
+    if (!html || !/[<&]/.test(html)) return html || '';
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+    doc.querySelectorAll('p, li, h1, h2, h3, h4, h5, h6, div').forEach(block => block.append('\n'));
+    return (doc.body.textContent || '')
+      .split('\n')
+      .map(line => line.trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  },
+
+  /**
+   * Formats jobLocation / jobLocationType into a single location string
+   * @param {Object} posting - JobPosting object
+   * @returns {string} Location text
+   */
+  _formatSchemaLocation(posting) {
+    const locations = [].concat(posting.jobLocation || []).map(place => {
+      if (typeof place === 'string') return place.trim();
+      const address = place?.address;
+      if (typeof address === 'string') return address.trim();
+      if (!address) return this._schemaText(place);
+      return [address.addressLocality, address.addressRegion, this._schemaText(address.addressCountry)]
+        .map(part => this._schemaText(part))
+        .filter(Boolean)
+        .join(', ');
+    }).filter(Boolean);
+
+    if (this._schemaText(posting.jobLocationType).toUpperCase() === 'TELECOMMUTE') {
+      locations.unshift('Remote');
+    }
+
+    return [...new Set(locations)].join(' | ');
+  },
+
+  /**
+   * Normalizes a schema.org MonetaryAmount into a salary object
+   * @param {Object|string|number} baseSalary - Raw baseSalary value
+   * @returns {Object|null} { currency, minValue, maxValue, unitText, text } or null
+   */
+  _formatSchemaSalary(baseSalary) {
+    if (baseSalary == null || baseSalary === '') return null;
+
+    if (typeof baseSalary !== 'object') {
+      const text = String(baseSalary).trim();
+      return text ? { currency: '', minValue: null, maxValue: null, unitText: '', text } : null;
+    }
+
+    const amount = baseSalary.value;
+    const toNumber = (value) => {
+      const number = parseFloat(value);
+      return Number.isFinite(number) ? number : null;
+    };
+
+    let minValue;
+    let maxValue;
+    let unitText;
+    if (amount && typeof amount === 'object') {
+      minValue = toNumber(amount.minValue ?? amount.value);
+      maxValue = toNumber(amount.maxValue ?? amount.value);
+      unitText = this._schemaText(amount.unitText);
+    } else {
+      minValue = maxValue = toNumber(amount);
+      unitText = this._schemaText(baseSalary.unitText);
+    }
+
+    if (minValue == null && maxValue == null) return null;
+
+    const currency = this._schemaText(baseSalary.currency);
+    const format = (number) => number.toLocaleString('en-US');
+    const range = minValue != null && maxValue != null && minValue !== maxValue
+      ? `${format(minValue)} - ${format(maxValue)}`
+      : format(minValue ?? maxValue);
+    const unit = unitText ? ` per ${unitText.toLowerCase()}` : '';
+
+    return {
+      currency,
+      minValue,
+      maxValue,
+      unitText,
+      text: `${currency ? currency + ' ' : ''}${range}${unit}`
+    };
+  },
+
+  /**
+   * Formats schema.org employment types ("FULL_TIME") for display ("Full time")
+   * @param {string|Array<string>} employmentType - Raw employmentType value
+   * @returns {string} Comma-separated display text
+   */
+  _formatEmploymentType(employmentType) {
+    return [].concat(employmentType || [])
+      .map(type => this._schemaText(type).replace(/[_-]+/g, ' ').toLowerCase())
+      .filter(Boolean)
+      .map(type => type.charAt(0).toUpperCase() + type.slice(1))
+      .join(', ');
+  },
+
+  /**
+   * Readability-style extraction for pages no platform or markup covers
+   * Scores candidate blocks by text length, list/paragraph structure and job-posting
+   * vocabulary, penalizing link-heavy and navigation-like containers
+   * @returns {Object|null} Extracted job data or null if no plausible description was found
+   */
+  extractReadable() {
+    try {
+      console.log('Job Hunt Assistant: Starting readability extraction, URL:', window.location.href);
+
+      let best = null;
+      let bestScore = 0;
+
+      document.querySelectorAll('article, main, section, div, td').forEach(element => {
+        const score = this._scoreReadableBlock(element);
+        if (score > bestScore) {
+          best = element;
+          bestScore = score;
+        }
+      });
+
+      // Outer wrappers always score at least as well as the block they wrap, so
+      // step down while a single child still holds nearly all of the text
+      while (best) {
+        const bestLength = this._blockText(best).length;
+        const child = [...best.children].find(candidate =>
+          this._blockText(candidate).length >= bestLength * 0.8
+        );
+        if (!child || this._scoreReadableBlock(child) === 0) break;
+        best = child;
+      }
+
+      const description = best ? this._blockText(best) : '';
+      if (description.length < this.MIN_READABLE_LENGTH) {
+        console.warn('Job Hunt Assistant: No job description block found on this page');
+        return null;
+      }
+
+      const siteName = document.querySelector('meta[property="og:site_name"]')?.getAttribute('content')?.trim();
+      const jobData = this._buildJobData('generic', {
+        jobTitle: this._trySelectors(['h1'], 'job title') ||
+          document.querySelector('meta[property="og:title"]')?.getAttribute('content')?.trim() ||
+          document.title.trim(),
+        company: siteName || window.location.hostname.replace(/^(www|careers|jobs)\./, ''),
         description,
-        location,
-        techStack,
-        url: window.location.href,
-        extractedAt: new Date().toISOString()
-      };
+        location: ''
+      });
+      jobData.extractionMethod = 'readability';
+
+      return jobData;
     } catch (error) {
-      console.error('Error extracting Lever job data:', error);
+      console.error('Error extracting readable job data:', error);
       return null;
     }
   },
-  
+
+  /**
+   * Scores an element as a candidate job description block
+   * @param {Element} element - Candidate element
+   * @returns {number} Score (0 means not a candidate)
+   */
+  _scoreReadableBlock(element) {
+    const identity = `${element.tagName} ${element.id} ${element.className}`;
+    if (this._readableNoise.test(identity) || element.closest('nav, header, footer, aside')) {
+      return 0;
+    }
+
+    const text = element.innerText ?? element.textContent ?? '';
+    if (text.length < this.MIN_READABLE_LENGTH) return 0;
+
+    // Link-heavy blocks are navigation or listings, not a description
+    const linkText = [...element.querySelectorAll('a')].reduce((sum, link) => sum + link.textContent.length, 0);
+    const linkDensity = linkText / text.length;
+    if (linkDensity > 0.5) return 0;
+
+    const structure = element.querySelectorAll('p, li').length;
+    const hints = (text.match(this._readableHints) || []).length;
+
+    // The square root keeps sheer length from outweighing structure and vocabulary
+    return Math.sqrt(text.length) * (1 - linkDensity) + structure * 2 + hints * 25;
+  },
+
+  /**
+   * Returns an element's visible text with collapsed blank lines
+   * @param {Element} element - Element to read
+   * @returns {string} Text content
+   */
+  _blockText(element) {
+    return (element.innerText ?? element.textContent ?? '')
+      .split('\n')
+      .map(line => line.trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  },
+
+  /**
+   * Extracts job data from any page: platform selectors and schema.org markup first,
+   * readability-style extraction when they find no description
+   * Used by the popup's on-demand "Analyze This Page" action
+   * @returns {Object|null} Extracted job data or null if nothing usable was found
+   */
+  extractAny() {
+    const jobData = this.extract();
+    if (jobData?.description) return jobData;
+
+    const readable = this.extractReadable();
+    if (!readable) return jobData;
+    if (!jobData) return readable;
+
+    // Keep whatever the platform selectors did find and take the description from the page body
+    return {
+      ...readable,
+      ...Object.fromEntries(Object.entries(jobData).filter(([, value]) => value && (!Array.isArray(value) || value.length))),
+      description: readable.description,
+      techStack: readable.techStack,
+      extractionMethod: 'readability'
+    };
+  },
+
   /**
    * Extracts tech stack keywords from job description
    * Note: Returns standardized/canonical technology names (e.g., "Node.js")
@@ -244,29 +556,128 @@ const JobExtractor = {
   },
   
   /**
-   * Main extraction method - detects platform and extracts appropriate data
+   * Returns the search results definition when the page lists postings beside a detail pane
+   * @returns {Object|null} The platform's searchResults definition, or null on other pages
+   */
+  _getSearchResultsDefinition() {
+    const searchResults = window.JobPlatforms?.detect(window.location.href)?.searchResults;
+    return searchResults?.pages.test(window.location.pathname) ? searchResults : null;
+  },
+
+  /**
+   * Checks whether the page is a list of search results that can be analyzed in one go
+   * @returns {boolean} Whether the page is a supported results list
+   */
+  isSearchResultsPage() {
+    return Boolean(this._getSearchResultsDefinition());
+  },
+
+  /**
+   * Finds the result cards currently in the page's result list
+   * @returns {Array<{jobId: string, element: HTMLElement}>} Cards in page order, one per posting
+   */
+  getSearchResults() {
+    const searchResults = this._getSearchResultsDefinition();
+    if (!searchResults) return [];
+
+    for (const selector of searchResults.cards) {
+      const results = new Map();
+
+      document.querySelectorAll(selector).forEach(element => {
+        const jobId = searchResults.jobIdAttributes
+          .map(attribute => element.getAttribute(attribute))
+          .find(Boolean);
+        if (jobId && !results.has(jobId)) {
+          results.set(jobId, { jobId, element });
+        }
+      });
+
+      if (results.size > 0) {
+        console.log(`Job Hunt Assistant: Found ${results.size} search results using selector: ${selector}`);
+        return [...results.values()];
+      }
+    }
+
+    console.warn('Job Hunt Assistant: Could not find search results.');
+    return [];
+  },
+
+  /**
+   * Returns the job id of the result shown in the detail pane
+   * @returns {string|null} Job id, or null if none is selected
+   */
+  getSelectedSearchResult() {
+    const searchResults = this._getSearchResultsDefinition();
+    return searchResults?.selectedJobId(new URL(window.location.href)) || null;
+  },
+
+  /**
+   * Opens a result in the detail pane by clicking its title link
+   * Cards off screen may not be rendered yet, so callers should scroll to them first
+   * @param {Object} result - From getSearchResults()
+   * @returns {boolean} Whether a link was found and clicked
+   */
+  openSearchResult(result) {
+    const searchResults = this._getSearchResultsDefinition();
+    if (!searchResults || !result?.element?.isConnected) return false;
+
+    for (const selector of searchResults.links) {
+      const link = result.element.querySelector(selector);
+      if (link) {
+        link.click();
+        return true;
+      }
+    }
+
+    return false;
+  },
+
+  /**
+   * Main extraction method - reads schema.org JobPosting markup first, then fills
+   * any missing fields from the registered platform's selectors
+   * Markup for a different page than this one (left behind by single-page boards)
+   * is ignored by extractStructuredData, so it can't stand in for the posting on screen
    * @returns {Object|null} Extracted job data or null if extraction fails
    */
   extract() {
-    const platform = this.detectPlatform();
-    
-    if (!platform) {
+    const structured = this.extractStructuredData();
+    // Registered platforms are checked in order; the first whose URL patterns match wins
+    const platform = window.JobPlatforms?.detect(window.location.href);
+
+    if (!platform && !structured) {
       console.log('Job Hunt Assistant: Not on a supported job platform');
       return null;
     }
-    
-    console.log(`Job Hunt Assistant: Detected platform - ${platform}`);
-    
-    switch (platform) {
-      case 'linkedin':
-        return this.extractLinkedIn();
-      case 'greenhouse':
-        return this.extractGreenhouse();
-      case 'lever':
-        return this.extractLever();
-      default:
-        return null;
+
+    if (platform) {
+      console.log(`Job Hunt Assistant: Detected platform - ${platform.id}`);
+    }
+
+    const fields = ['jobTitle', 'company', 'location', 'description'];
+    const hasAllFields = structured && fields.every(field => structured[field]);
+
+    // Structured data is authoritative; selectors only run when it is missing or incomplete
+    const jobData = platform && !hasAllFields
+      ? this.extractPlatform(platform)
+      : this._buildJobData(platform ? platform.id : 'generic', {});
+
+    if (!jobData) return null;
+
+    // Label the result by where its fields actually came from
+    const fromSelectors = fields.some(field => jobData[field] && !structured?.[field]);
+    const fromMarkup = fields.some(field => structured?.[field]);
+    jobData.extractionMethod = [fromMarkup && 'structured-data', fromSelectors && 'selectors']
+      .filter(Boolean)
+      .join('+') || 'selectors';
+
+    if (structured) {
+      Object.entries(structured).forEach(([field, value]) => {
+        if (value) jobData[field] = value;
+      });
+      jobData.techStack = this.extractTechStack(jobData.description);
     }
+
+    return jobData;
   }
 };
 
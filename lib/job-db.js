@@ -0,0 +1,182 @@
+/**
+ * Job Database
+ * IndexedDB persistence for saved jobs, one record per job keyed by id
+ * Used through Storage - call sites should not need to touch this directly
+ */
+
+const JobDB = {
+
+  DB_NAME: 'job-hunt-assistant',
+  DB_VERSION: 1,
+  STORE_NAME: 'jobs',
+  INDEXES: ['company', 'platform', 'status', 'analyzedAt'],
+
+  // Shared connection, opened on first use
+  _dbPromise: null,
+
+  /**
+   * Opens (and on first run creates) the database
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (this._dbPromise) return this._dbPromise;
+
+    this._dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+          const store = db.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+          this.INDEXES.forEach(name => store.createIndex(name, name, { unique: false }));
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+
+        // Let a newer version of the extension upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          this._dbPromise = null;
+        };
+
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        this._dbPromise = null;
+        reject(request.error);
+      };
+
+      request.onblocked = () => {
+        console.warn('JobDB: Open blocked by another connection');
+      };
+    });
+
+    return this._dbPromise;
+  },
+
+  /**
+   * Runs work inside a transaction on the jobs store
+   * Resolves only once the transaction has committed, so callers never see unsaved data
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Called with the object store; may return an IDBRequest or a value
+   * @returns {Promise<*>} The request's result, or the returned value
+   */
+  async _transaction(mode, work) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.STORE_NAME, mode);
+      let result;
+
+      const returned = work(tx.objectStore(this.STORE_NAME));
+      if (returned instanceof IDBRequest) {
+        returned.onsuccess = () => { result = returned.result; };
+      } else {
+        result = returned;
+      }
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  },
+
+  /**
+   * Gets every job record
+   * @returns {Promise<Array<Object>>} Jobs in key order
+   */
+  getAll() {
+    return this._transaction('readonly', store => store.getAll());
+  },
+
+  /**
+   * Gets jobs whose indexed field equals a value
+   * @param {string} indexName - One of INDEXES
+   * @param {*} value - Value to match
+   * @returns {Promise<Array<Object>>} Matching jobs
+   */
+  getAllByIndex(indexName, value) {
+    return this._transaction('readonly', store => store.index(indexName).getAll(value));
+  },
+
+  /**
+   * Gets a single job
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|undefined>} Job, or undefined if missing
+   */
+  get(id) {
+    return this._transaction('readonly', store => store.get(id));
+  },
+
+  /**
+   * Counts saved jobs
+   * @returns {Promise<number>} Number of jobs
+   */
+  count() {
+    return this._transaction('readonly', store => store.count());
+  },
+
+  /**
+   * Writes many jobs in one transaction (insert or overwrite by id)
+   * @param {Array<Object>} jobs - Jobs to write
+   * @param {Object} [options] - { replace: true } clears the store first;
+   *   { remove: [ids] } deletes those jobs in the same transaction
+   * @returns {Promise<void>}
+   */
+  putAll(jobs, options = {}) {
+    return this._transaction('readwrite', store => {
+      if (options.replace) store.clear();
+      (options.remove || []).forEach(id => store.delete(id));
+      jobs.forEach(job => store.put(job));
+    });
+  },
+
+  /**
+   * Reads, changes and writes one job atomically
+   * @param {string} id - Job ID
+   * @param {Function} updater - Receives the current record (or undefined) and returns
+   *   the record to store, or null to leave it unchanged
+   * @returns {Promise<Object|null>} The stored record, or null if nothing was written
+   */
+  update(id, updater) {
+    let stored = null;
+
+    return this._transaction('readwrite', store => {
+      const request = store.get(id);
+
+      // Stay inside the request callback so the transaction is still active for put()
+      request.onsuccess = () => {
+        const next = updater(request.result);
+        if (next) {
+          store.put(next);
+          stored = next;
+        }
+      };
+    }).then(() => stored);
+  },
+
+  /**
+   * Deletes one job
+   * @param {string} id - Job ID
+   * @returns {Promise<void>}
+   */
+  delete(id) {
+    return this._transaction('readwrite', store => { store.delete(id); });
+  },
+
+  /**
+   * Deletes every job
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this._transaction('readwrite', store => { store.clear(); });
+  }
+};
+
+// For service worker
+if (typeof self !== 'undefined') {
+  self.JobDB = JobDB;
+}
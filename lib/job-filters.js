@@ -0,0 +1,215 @@
+/**
+ * Job Filters
+ * Search, filtering and sorting for the popup's job list
+ * Filter state is a plain object so it can be persisted with Storage.saveSettings
+ */
+
+const JobFilters = {
+
+  SORT_OPTIONS: [
+    { id: 'newest', label: 'Newest first' },
+    { id: 'oldest', label: 'Oldest first' },
+    { id: 'score', label: 'Match score' },
+    { id: 'company', label: 'Company A-Z' },
+    { id: 'title', label: 'Title A-Z' }
+  ],
+
+  ANALYSIS_OPTIONS: [
+    { id: 'all', label: 'Any analysis' },
+    { id: 'ok', label: 'Analyzed' },
+    { id: 'failed', label: 'Failed' },
+    { id: 'none', label: 'Not analyzed' }
+  ],
+
+  // Search text is built once per job object and reused while typing
+  _searchTextCache: new WeakMap(),
+
+  /**
+   * Returns filters that show every job in the default order
+   * @returns {Object} Default filter state
+   */
+  getDefaults() {
+    return {
+      search: '',
+      status: 'all',
+      platform: 'all',
+      tech: 'all',
+      dateFrom: '',
+      dateTo: '',
+      analysis: 'all',
+      minScore: 0,
+      sort: 'newest'
+    };
+  },
+
+  /**
+   * Fills in missing or mistyped fields, e.g. from older saved settings or an import
+   * @param {Object} filters - Possibly partial filter state
+   * @returns {Object} Complete filter state
+   */
+  normalize(filters) {
+    const defaults = this.getDefaults();
+    const source = filters && typeof filters === 'object' ? filters : {};
+    const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const score = Number(source.minScore);
+
+    return {
+      search: typeof source.search === 'string' ? source.search : defaults.search,
+      status: typeof source.status === 'string' ? source.status : defaults.status,
+      platform: typeof source.platform === 'string' ? source.platform : defaults.platform,
+      tech: typeof source.tech === 'string' ? source.tech : defaults.tech,
+      dateFrom: isDate(source.dateFrom) ? source.dateFrom : defaults.dateFrom,
+      dateTo: isDate(source.dateTo) ? source.dateTo : defaults.dateTo,
+      analysis: this.ANALYSIS_OPTIONS.some(option => option.id === source.analysis) ? source.analysis : defaults.analysis,
+      minScore: Number.isInteger(score) && score >= 0 && score <= 10 ? score : defaults.minScore,
+      sort: this.SORT_OPTIONS.some(option => option.id === source.sort) ? source.sort : defaults.sort
+    };
+  },
+
+  /**
+   * Checks whether any filter (other than sort order) narrows the list
+   * @param {Object} filters - Filter state
+   * @returns {boolean} Whether jobs may be hidden
+   */
+  isActive(filters) {
+    const defaults = this.getDefaults();
+    return Object.keys(defaults).some(key => key !== 'sort' && filters[key] !== defaults[key]);
+  },
+
+  /**
+   * Returns a job's analysis state
+   * @param {Object} job - Saved job
+   * @returns {string} 'ok', 'failed' or 'none'
+   */
+  getAnalysisState(job) {
+    if (job.analysis) return 'ok';
+    return job.analysisError ? 'failed' : 'none';
+  },
+
+  /**
+   * Returns every technology a job mentions, from extraction and analysis
+   * @param {Object} job - Saved job
+   * @returns {Array<string>} Technologies in their original casing
+   */
+  getTechStack(job) {
+    const analysisTech = Array.isArray(job.analysis?.techStack) ? job.analysis.techStack : [];
+    return [...(job.techStack || []), ...analysisTech];
+  },
+
+  /**
+   * Lists the distinct platforms and technologies across jobs, for filter dropdowns
+   * @param {Array<Object>} jobs - Saved jobs
+   * @returns {{platforms: Array<string>, techStack: Array<string>}} Sorted option values
+   */
+  getOptions(jobs) {
+    const platforms = new Set();
+    const tech = new Map(); // lowercase -> first-seen casing
+
+    jobs.forEach(job => {
+      if (job.platform) platforms.add(job.platform);
+      this.getTechStack(job).forEach(item => {
+        if (!tech.has(item.toLowerCase())) tech.set(item.toLowerCase(), item);
+      });
+    });
+
+    const byName = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' });
+    return {
+      platforms: [...platforms].sort(byName),
+      techStack: [...tech.values()].sort(byName)
+    };
+  },
+
+  /**
+   * Builds the lowercase text that search matches against
+   * @param {Object} job - Saved job
+   * @returns {string} Searchable text
+   */
+  getSearchText(job) {
+    let text = this._searchTextCache.get(job);
+    if (text !== undefined) return text;
+
+    const analysis = job.analysis;
+    let analysisText = '';
+    if (typeof analysis === 'string') {
+      analysisText = analysis;
+    } else if (analysis?.rawText) {
+      analysisText = analysis.rawText;
+    } else if (analysis) {
+      // Structured analysis: search the values, not the JSON keys
+      analysisText = JSON.stringify(analysis, (key, value) => (key === 'schemaVersion' || key === 'basis' ? undefined : value))
+        .replace(/"[a-zA-Z]+":/g, ' ');
+    }
+
+    text = [job.jobTitle, job.company, job.location, job.description, analysisText]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+    this._searchTextCache.set(job, text);
+    return text;
+  },
+
+  /**
+   * Checks a job against every filter
+   * @param {Object} job - Saved job
+   * @param {Object} filters - Normalized filter state
+   * @returns {boolean} Whether the job should be shown
+   */
+  matches(job, filters) {
+    if (filters.status !== 'all' && Storage.getJobStatus(job) !== filters.status) return false;
+    if (filters.platform !== 'all' && job.platform !== filters.platform) return false;
+    if (filters.analysis !== 'all' && this.getAnalysisState(job) !== filters.analysis) return false;
+
+    if (filters.tech !== 'all') {
+      const wanted = filters.tech.toLowerCase();
+      if (!this.getTechStack(job).some(item => item.toLowerCase() === wanted)) return false;
+    }
+
+    if (filters.minScore > 0 && !((job.analysis?.matchScore?.score || 0) >= filters.minScore)) return false;
+
+    if (filters.dateFrom || filters.dateTo) {
+      const time = new Date(job.analyzedAt || job.extractedAt || 0).getTime();
+      // Date inputs are local calendar days, so compare against local midnight
+      if (filters.dateFrom && time < new Date(`${filters.dateFrom}T00:00:00`).getTime()) return false;
+      if (filters.dateTo && time > new Date(`${filters.dateTo}T23:59:59.999`).getTime()) return false;
+    }
+
+    const terms = filters.search.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length > 0) {
+      const text = this.getSearchText(job);
+      if (!terms.every(term => text.includes(term))) return false;
+    }
+
+    return true;
+  },
+
+  /**
+   * Filters and sorts jobs
+   * @param {Array<Object>} jobs - Saved jobs, newest first
+   * @param {Object} filters - Normalized filter state
+   * @returns {Array<Object>} Matching jobs in the requested order
+   */
+  apply(jobs, filters) {
+    const result = jobs.filter(job => this.matches(job, filters));
+    const time = (job) => new Date(job.analyzedAt || job.extractedAt || 0).getTime() || 0;
+    const text = (value) => (value || '').toLowerCase();
+
+    switch (filters.sort) {
+      case 'oldest':
+        return result.sort((a, b) => time(a) - time(b));
+      case 'score':
+        // Unscored jobs sink to the bottom
+        return result.sort((a, b) => (b.analysis?.matchScore?.score || 0) - (a.analysis?.matchScore?.score || 0) || time(b) - time(a));
+      case 'company':
+        return result.sort((a, b) => text(a.company).localeCompare(text(b.company)) || time(b) - time(a));
+      case 'title':
+        return result.sort((a, b) => text(a.jobTitle).localeCompare(text(b.jobTitle)) || time(b) - time(a));
+      default:
+        return result.sort((a, b) => time(b) - time(a));
+    }
+  }
+};
+
+// Make available globally for the popup
+if (typeof window !== 'undefined') {
+  window.JobFilters = JobFilters;
+}
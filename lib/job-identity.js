@@ -0,0 +1,148 @@
+/**
+ * Job Identity
+ * Works out when two postings are the same job: canonical URLs for exact
+ * matches, and a fuzzy title + company + location comparison for the same
+ * role cross-posted on different boards (e.g. LinkedIn and Greenhouse)
+ * Uses JobPlatforms for platform-specific URL rules when it is loaded
+ */
+
+const JobIdentity = {
+
+  // Query parameters that only track where a click came from
+  TRACKING_PARAMS: [
+    'gclid', 'fbclid', 'msclkid', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi',
+    'ref', 'refid', 'referrer', 'src', 'source', 'trk', 'trackingid',
+    'gh_src', 'lever-source', 'lever-origin', 'from', 'tk', 'alid',
+    'eboostid', 'originalsubdomain', 'ebp'
+  ],
+  TRACKING_PARAM_PREFIXES: ['utm_', 'trk'],
+
+  TITLE_SIMILARITY_THRESHOLD: 0.75, // Jaccard index of title words; tolerates one extra word like "(Remote)" on a 3-word title
+
+  // Company suffixes that differ between boards for the same employer
+  COMPANY_SUFFIXES: /\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|plc|sa|ag|bv|pty)\b\.?/g,
+
+  /**
+   * Normalizes a posting URL so the same job maps to the same string
+   * @param {string} url - Posting URL
+   * @returns {string} Canonical URL, or the trimmed input if it can't be parsed
+   */
+  normalizeUrl(url) {
+    if (!url) return '';
+
+    let parsed;
+    try {
+      parsed = new URL(url.trim());
+    } catch (error) {
+      return url.trim();
+    }
+
+    const platform = typeof JobPlatforms !== 'undefined' ? JobPlatforms.detect(parsed.href) : null;
+    const platformUrl = platform?.canonicalUrl?.(parsed);
+    if (platformUrl) return platformUrl;
+
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => {
+        const lower = key.toLowerCase();
+        return !this.TRACKING_PARAMS.includes(lower) &&
+          !this.TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix));
+      })
+      .sort(([a], [b]) => a.localeCompare(b));
+
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '') || '/';
+    const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+    // Scheme and fragment never identify a different posting
+    return `https://${host}${path}${query}`;
+  },
+
+  /**
+   * Splits text into lowercase words, ignoring punctuation
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Words
+   */
+  tokenize(text) {
+    return (text || '').toLowerCase().split(/[^a-z0-9+#]+/).filter(Boolean);
+  },
+
+  /**
+   * Normalizes a company name for comparison ("Acme, Inc." -> "acme")
+   * @param {string} company - Company name
+   * @returns {string} Normalized name
+   */
+  normalizeCompany(company) {
+    return this.tokenize((company || '').toLowerCase().replace(this.COMPANY_SUFFIXES, ' ')).join(' ');
+  },
+
+  /**
+   * Scores how alike two job titles are by shared words (Jaccard index)
+   * @param {string} a - First title
+   * @param {string} b - Second title
+   * @returns {number} Similarity from 0 to 1
+   */
+  titleSimilarity(a, b) {
+    const wordsA = new Set(this.tokenize(a));
+    const wordsB = new Set(this.tokenize(b));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+  },
+
+  /**
+   * Checks whether two locations could describe the same place
+   * Boards format locations differently ("NYC, NY" vs "New York, New York, United States"),
+   * so a missing location or any shared word counts as compatible
+   * @param {string} a - First location
+   * @param {string} b - Second location
+   * @returns {boolean} Whether the locations are compatible
+   */
+  locationsCompatible(a, b) {
+    const wordsA = this.tokenize(a);
+    const wordsB = new Set(this.tokenize(b));
+    if (wordsA.length === 0 || wordsB.size === 0) return true;
+    return wordsA.some(word => wordsB.has(word));
+  },
+
+  /**
+   * Checks whether two postings look like the same job on different boards
+   * @param {Object} a - First job
+   * @param {Object} b - Second job
+   * @returns {boolean} Whether the postings are likely duplicates
+   */
+  isSimilar(a, b) {
+    const companyA = this.normalizeCompany(a.company);
+    if (!companyA || companyA !== this.normalizeCompany(b.company)) return false;
+
+    return this.titleSimilarity(a.jobTitle, b.jobTitle) >= this.TITLE_SIMILARITY_THRESHOLD &&
+      this.locationsCompatible(a.location, b.location);
+  },
+
+  /**
+   * Finds saved jobs that match a posting
+   * @param {Object} jobData - Posting being analyzed
+   * @param {Array<Object>} jobs - Saved jobs
+   * @returns {{exact: Object|null, similar: Array<Object>}} Same-URL job and fuzzy matches
+   */
+  findDuplicates(jobData, jobs) {
+    const url = this.normalizeUrl(jobData.url);
+    const sameUrl = (job) => url && [job.url, ...(job.alternateUrls || [])]
+      .some(other => this.normalizeUrl(other) === url);
+
+    const exact = jobs.find(sameUrl) || null;
+    const similar = exact ? [] : jobs.filter(job => this.isSimilar(jobData, job));
+
+    return { exact, similar };
+  }
+};
+
+// Make available globally for extension pages
+if (typeof window !== 'undefined') {
+  window.JobIdentity = JobIdentity;
+}
+
+// For service worker
+if (typeof self !== 'undefined') {
+  self.JobIdentity = JobIdentity;
+}
@@ -0,0 +1,482 @@
+/**
+ * Job Platform Registry
+ * Declares every supported job board in one place: the URLs it runs on,
+ * the selectors used to extract each field, and any post-processing.
+ *
+ * JobExtractor loops over these definitions, and the manifest's
+ * content_scripts / host_permissions lists are checked against them by
+ * scripts/check-manifest.js, so adding a platform only means adding a
+ * register() call below.
+ */
+
+const JobPlatforms = {
+
+  // Fields every platform must provide selectors for
+  FIELDS: ['jobTitle', 'company', 'location', 'description'],
+
+  _platforms: [],
+
+  /**
+   * Registers a platform definition
+   * @param {Object} platform - Platform definition
+   * @param {string} platform.id - Platform identifier stored on saved jobs (e.g. 'linkedin')
+   * @param {string} platform.name - Display name
+   * @param {Array<string>} platform.matches - Chrome match patterns the platform runs on
+   * @param {Object<string, Array<string>>} platform.selectors - CSS selector fallback lists keyed by field
+   * @param {Function} [platform.postProcess] - (jobData, location) => jobData, for fixes selectors can't express
+   * @param {Function} [platform.canonicalUrl] - (url: URL) => string|null, collapses the different URLs a
+   *   platform shows one posting under (search panes, tracking paths) into one; null falls back to generic cleanup
+   * @param {Object} [platform.searchResults] - For boards that list results beside a detail pane, used to
+   *   analyze a whole page of results: { pages: RegExp tested on the path, cards, links: selector lists,
+   *   jobIdAttributes: attributes holding a card's job id, selectedJobId: (url: URL) => string|null }
+   */
+  register(platform) {
+    if (!platform?.id || !Array.isArray(platform.matches) || platform.matches.length === 0) {
+      throw new Error('Platform definitions need an id and at least one match pattern');
+    }
+
+    const missingFields = this.FIELDS.filter(field => !Array.isArray(platform.selectors?.[field]));
+    if (missingFields.length > 0) {
+      throw new Error(`Platform "${platform.id}" is missing selectors for: ${missingFields.join(', ')}`);
+    }
+
+    if (this.get(platform.id)) {
+      throw new Error(`Platform "${platform.id}" is already registered`);
+    }
+
+    this._platforms.push({
+      ...platform,
+      _patterns: platform.matches.map(pattern => this.matchPatternToRegExp(pattern))
+    });
+  },
+
+  /**
+   * Returns all registered platforms in registration order
+   * @returns {Array<Object>} Platform definitions
+   */
+  getAll() {
+    return [...this._platforms];
+  },
+
+  /**
+   * Looks up a platform by id
+   * @param {string} id - Platform identifier
+   * @returns {Object|null} Platform definition or null
+   */
+  get(id) {
+    return this._platforms.find(platform => platform.id === id) || null;
+  },
+
+  /**
+   * Finds the first platform whose match patterns cover a URL
+   * @param {string} url - Page URL
+   * @returns {Object|null} Platform definition or null
+   */
+  detect(url) {
+    return this._platforms.find(platform =>
+      platform._patterns.some(pattern => pattern.test(url))
+    ) || null;
+  },
+
+  /**
+   * Returns every match pattern across all platforms, de-duplicated
+   * @returns {Array<string>} Chrome match patterns
+   */
+  getMatchPatterns() {
+    return [...new Set(this._platforms.flatMap(platform => platform.matches))];
+  },
+
+  /**
+   * Converts a Chrome extension match pattern into an equivalent RegExp
+   * Supports the subset used here: "*" or http(s) scheme, optional "*." host prefix, "*" in paths
+   * @param {string} pattern - Match pattern like "*://*.linkedin.com/jobs/*"
+   * @returns {RegExp} Regular expression matching the same URLs
+   */
+  matchPatternToRegExp(pattern) {
+    const parts = /^(\*|https?):\/\/([^/]+)(\/.*)$/.exec(pattern);
+    if (!parts) {
+      throw new Error(`Unsupported match pattern: ${pattern}`);
+    }
+
+    const [, scheme, host, path] = parts;
+    const escape = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+    const schemeRe = scheme === '*' ? 'https?' : scheme;
+    const hostRe = host.startsWith('*.')
+      ? `([^/]+\\.)?${escape(host.slice(2))}`
+      : escape(host);
+    const pathRe = path.split('*').map(escape).join('.*');
+
+    return new RegExp(`^${schemeRe}://${hostRe}${pathRe}$`, 'i');
+  },
+
+  /**
+   * Turns a URL slug like "acme-corp" into a display name like "Acme Corp"
+   * Used when a platform only exposes the company in its URL
+   * @param {string} slug - URL slug
+   * @returns {string} Display name
+   */
+  formatSlug(slug) {
+    if (!slug) return '';
+    return decodeURIComponent(slug)
+      .replace(/[-_]+/g, ' ')
+      .trim()
+      .replace(/\b\w/g, char => char.toUpperCase());
+  }
+};
+
+// LinkedIn frequently changes class names, so we try multiple selectors
+// Includes selectors for both direct job view and jobs collection sidebar
+JobPlatforms.register({
+  id: 'linkedin',
+  name: 'LinkedIn',
+  matches: ['*://*.linkedin.com/jobs/*'],
+  selectors: {
+    jobTitle: [
+      // Jobs collection/sidebar view
+      '.job-details-jobs-unified-top-card__job-title h1',
+      '.jobs-unified-top-card__job-title h1',
+      'h1.job-details-jobs-unified-top-card__job-title',
+      'h1.jobs-unified-top-card__job-title',
+      // Direct job view
+      'h1.top-card-layout__title',
+      'h1.topcard__title',
+      '.jobs-unified-top-card__job-title',
+      '.job-details-jobs-unified-top-card__job-title',
+      'h1.t-24.t-bold',
+      'h1[class*="job-title"]',
+      // Generic fallbacks
+      '.jobs-details h1',
+      'h1'  // Last resort
+    ],
+    company: [
+      // Jobs collection/sidebar view
+      '.job-details-jobs-unified-top-card__company-name a',
+      '.jobs-unified-top-card__company-name a',
+      'a.app-aware-link[href*="/company/"]',
+      // Direct job view
+      '.topcard__org-name-link',
+      '.topcard__flavor-row a',
+      '.jobs-unified-top-card__company-name',
+      '.job-details-jobs-unified-top-card__company-name',
+      'a[data-tracking-control-name="public_jobs_topcard-org-name"]',
+      '.jobs-unified-top-card__subtitle-primary-grouping a',
+      'a[class*="company-name"]'
+    ],
+    location: [
+      // Jobs collection/sidebar view
+      '.job-details-jobs-unified-top-card__primary-description-container span',
+      '.jobs-unified-top-card__workplace-type',
+      '.jobs-unified-top-card__bullet',
+      // Direct job view
+      '.topcard__flavor-row .topcard__flavor--bullet',
+      '.job-details-jobs-unified-top-card__primary-description-container',
+      '.jobs-unified-top-card__primary-description',
+      'span[class*="job-location"]'
+    ],
+    description: [
+      // Jobs collection/sidebar view
+      '.jobs-description-content__text',
+      '.jobs-box__html-content',
+      'div[class*="jobs-description"] .jobs-box__html-content',
+      // Common selectors
+      '.show-more-less-html__markup',
+      '.jobs-description__content',
+      '#job-details',
+      '.jobs-description',
+      '.description__text',
+      'article[class*="jobs-description"]',
+      'div[class*="job-description"]'
+    ]
+  },
+  // Search and collection pages show the selected posting via ?currentJobId=
+  canonicalUrl(url) {
+    const jobId = url.searchParams.get('currentJobId') || /\/jobs\/view\/(?:[^/]*-)?(\d+)/.exec(url.pathname)?.[1];
+    return jobId ? `https://www.linkedin.com/jobs/view/${jobId}` : null;
+  },
+  // Clicking a card in the result list opens it in the detail pane beside it
+  searchResults: {
+    pages: /^\/jobs\/(search|collections)\//,
+    cards: [
+      'li[data-occludable-job-id]',
+      '.job-card-container[data-job-id]',
+      '.jobs-search-results__list-item[data-job-id]'
+    ],
+    links: [
+      'a.job-card-list__title',
+      'a.job-card-container__link',
+      'a[href*="/jobs/view/"]'
+    ],
+    jobIdAttributes: ['data-occludable-job-id', 'data-job-id'],
+    selectedJobId: url => url.searchParams.get('currentJobId')
+  }
+});
+
+JobPlatforms.register({
+  id: 'greenhouse',
+  name: 'Greenhouse',
+  matches: ['*://boards.greenhouse.io/*'],
+  selectors: {
+    jobTitle: ['h1.app-title'],
+    company: ['.company-name'],
+    location: ['.location'],
+    description: ['#content', '.content']
+  }
+});
+
+JobPlatforms.register({
+  id: 'lever',
+  name: 'Lever',
+  matches: ['*://jobs.lever.co/*'],
+  selectors: {
+    jobTitle: ['.posting-headline h2'],
+    company: ['.main-header-text-item-1'],
+    location: ['.posting-categories .location', '.location'],
+    description: ['.content', '.section-wrapper']
+  }
+});
+
+// Covers the standalone /viewjob page and the right-hand pane on search results
+JobPlatforms.register({
+  id: 'indeed',
+  name: 'Indeed',
+  matches: [
+    '*://*.indeed.com/viewjob*',
+    '*://*.indeed.com/jobs*',
+    '*://*.indeed.com/rc/clk*'
+  ],
+  selectors: {
+    jobTitle: [
+      'h1[data-testid="jobsearch-JobInfoHeader-title"]',
+      '[data-testid="jobsearch-JobInfoHeader-title"]',
+      'h1.jobsearch-JobInfoHeader-title',
+      'h2.jobsearch-JobInfoHeader-title',
+      '.jobsearch-JobInfoHeader-title-container h1',
+      '.jobsearch-JobInfoHeader-title-container h2'
+    ],
+    company: [
+      '[data-testid="inlineHeader-companyName"] a',
+      '[data-testid="inlineHeader-companyName"]',
+      '[data-company-name="true"]',
+      '.jobsearch-CompanyInfoContainer a',
+      '.jobsearch-InlineCompanyRating div:first-child'
+    ],
+    location: [
+      '[data-testid="inlineHeader-companyLocation"]',
+      '[data-testid="job-location"]',
+      '[data-testid="jobsearch-JobInfoHeader-companyLocation"]',
+      '#jobLocationText',
+      '.jobsearch-JobInfoHeader-subtitle > div:last-child'
+    ],
+    description: [
+      '#jobDescriptionText',
+      '[data-testid="jobsearch-JobComponent-description"]',
+      '.jobsearch-jobDescriptionText',
+      '.jobsearch-JobComponent-description'
+    ]
+  },
+  // Search results show the selected posting via ?vjk=, the job page itself via ?jk=
+  canonicalUrl(url) {
+    const jobKey = url.searchParams.get('jk') || url.searchParams.get('vjk');
+    return jobKey ? `https://${url.hostname}/viewjob?jk=${encodeURIComponent(jobKey)}` : null;
+  }
+});
+
+// Glassdoor uses hashed CSS module class names, so prefer data-test attributes
+JobPlatforms.register({
+  id: 'glassdoor',
+  name: 'Glassdoor',
+  matches: [
+    '*://*.glassdoor.com/job-listing/*',
+    '*://*.glassdoor.com/Job/*'
+  ],
+  selectors: {
+    jobTitle: [
+      '[data-test="job-title"]',
+      '[data-test="jobTitle"]',
+      'h1[id^="jd-job-title"]',
+      'h1[class*="JobDetails_jobTitle"]',
+      'div[class*="JobDetails_jobDetailsHeader"] h1'
+    ],
+    company: [
+      '[data-test="employer-name"]',
+      '[data-test="employerName"]',
+      'div[class*="EmployerProfile_employerName"]',
+      'div[class*="EmployerProfile_profileContainer"] h4',
+      'div[class*="JobDetails_jobDetailsHeader"] a[href*="/Overview/"]'
+    ],
+    location: [
+      '[data-test="location"]',
+      '[data-test="emp-location"]',
+      'div[class*="JobDetails_location"]'
+    ],
+    description: [
+      '[data-test="jobDescriptionContent"]',
+      '[data-test="description"]',
+      'div[class*="JobDetails_jobDescription"]',
+      '.jobDescriptionContent',
+      '#JobDescriptionContainer'
+    ]
+  }
+});
+
+JobPlatforms.register({
+  id: 'ziprecruiter',
+  name: 'ZipRecruiter',
+  matches: [
+    '*://*.ziprecruiter.com/jobs/*',
+    '*://*.ziprecruiter.com/c/*',
+    '*://*.ziprecruiter.com/job/*'
+  ],
+  selectors: {
+    jobTitle: [
+      '[data-testid="job-details-title"]',
+      'h1.job_title',
+      'h1[class*="job_title"]',
+      '.job_header h1',
+      '.job_details h1'
+    ],
+    company: [
+      '[data-testid="job-details-company"]',
+      'a.hiring_company_text',
+      '.hiring_company_text',
+      '.hiring_company',
+      '.job_header .company'
+    ],
+    location: [
+      '[data-testid="job-details-location"]',
+      '.location_text',
+      '.hiring_location',
+      '.job_header .location'
+    ],
+    description: [
+      '[data-testid="job-details-description"]',
+      '.jobDescriptionSection',
+      '.job_description',
+      '.job_details_tab',
+      '.job_details'
+    ]
+  }
+});
+
+// Workday rarely renders the employer name, so fall back to the tenant subdomain
+JobPlatforms.register({
+  id: 'workday',
+  name: 'Workday',
+  matches: ['*://*.myworkdayjobs.com/*'],
+  selectors: {
+    jobTitle: [
+      '[data-automation-id="jobPostingHeader"]',
+      'h2[data-automation-id="jobPostingHeader"]',
+      '[data-automation-id="job-posting-details"] h2',
+      'h1'
+    ],
+    company: [
+      '[data-automation-id="company"] dd',
+      '[data-automation-id="company"]'
+    ],
+    location: [
+      '[data-automation-id="locations"] dd',
+      '[data-automation-id="locations"]',
+      '[data-automation-id="location"]'
+    ],
+    description: [
+      '[data-automation-id="jobPostingDescription"]',
+      '[data-automation-id="job-posting-details"]'
+    ]
+  },
+  postProcess(jobData, location) {
+    // e.g. acme.wd5.myworkdayjobs.com -> "Acme"
+    if (!jobData.company) {
+      jobData.company = JobPlatforms.formatSlug(location.hostname.split('.')[0]);
+    }
+    return jobData;
+  }
+});
+
+// Ashby job URLs look like jobs.ashbyhq.com/{company}/{jobId}
+JobPlatforms.register({
+  id: 'ashby',
+  name: 'Ashby',
+  matches: ['*://jobs.ashbyhq.com/*'],
+  selectors: {
+    jobTitle: [
+      'h1.ashby-job-posting-heading',
+      '.ashby-job-posting-header h1',
+      'h1[class*="_title_"]',
+      'h1'
+    ],
+    company: [
+      '.ashby-job-board-heading',
+      '.ashby-job-posting-company-name'
+    ],
+    location: [
+      '.ashby-job-posting-left-pane [class*="_location"]',
+      '[class*="_location_"]',
+      '.ashby-job-posting-left-pane div:first-child p'
+    ],
+    description: [
+      '.ashby-job-posting-description',
+      '[class*="_descriptionText"]',
+      '.ashby-job-posting-right-pane',
+      '#overview'
+    ]
+  },
+  postProcess(jobData, location) {
+    if (!jobData.company) {
+      jobData.company = JobPlatforms.formatSlug(location.pathname.split('/')[1]);
+    }
+    return jobData;
+  }
+});
+
+// SmartRecruiters marks up postings with schema.org itemprops, which are the most stable hooks
+JobPlatforms.register({
+  id: 'smartrecruiters',
+  name: 'SmartRecruiters',
+  matches: [
+    '*://jobs.smartrecruiters.com/*',
+    '*://careers.smartrecruiters.com/*'
+  ],
+  selectors: {
+    jobTitle: [
+      'h1[itemprop="title"]',
+      'h1.job-title',
+      '.job-header h1',
+      'h1'
+    ],
+    company: [
+      '[itemprop="hiringOrganization"] [itemprop="name"]',
+      '.header-company-name',
+      '.company-name'
+    ],
+    location: [
+      '[itemprop="jobLocation"] [itemprop="address"]',
+      '[itemprop="jobLocation"]',
+      'spl-job-location',
+      '.job-location'
+    ],
+    description: [
+      '[itemprop="description"]',
+      '.job-sections',
+      '#st-jobDescription',
+      '.job-description'
+    ]
+  },
+  postProcess(jobData, location) {
+    if (!jobData.company) {
+      jobData.company = JobPlatforms.formatSlug(location.pathname.split('/')[1]);
+    }
+    return jobData;
+  }
+});
+
+// Make available globally for the extractor and content script
+if (typeof window !== 'undefined') {
+  window.JobPlatforms = JobPlatforms;
+}
+
+// For service worker (canonical job URLs)
+if (typeof self !== 'undefined') {
+  self.JobPlatforms = JobPlatforms;
+}
@@ -0,0 +1,464 @@
+/**
+ * Side Panel
+ * Collapsible analysis panel injected into job pages by the content script
+ * Rendered inside a closed Shadow DOM so the host page's CSS can't restyle it
+ * (and ours can't leak out). Requires lib/storage.js, lib/ui-utils.js and
+ * lib/exporter.js for labels and analysis sections
+ */
+
+const SidePanel = {
+
+  HOST_ID: 'jh-side-panel-host',
+
+  EXPORT_FORMATS: [
+    { id: 'markdown', label: 'Markdown' },
+    { id: 'pdf', label: 'PDF' },
+    { id: 'json', label: 'JSON' }
+  ],
+
+  STYLES: `
+    :host {
+      all: initial;
+    }
+
+    * {
+      box-sizing: border-box;
+    }
+
+    .panel {
+      position: fixed;
+      top: 0;
+      right: 0;
+      z-index: 2147483000;
+      width: 380px;
+      max-width: 100vw;
+      height: 100vh;
+      display: flex;
+      flex-direction: column;
+      background: #fff;
+      color: #333;
+      box-shadow: -4px 0 20px rgba(0, 0, 0, 0.15);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      font-size: 13px;
+      line-height: 1.5;
+    }
+
+    .header {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: #fff;
+      padding: 14px 16px;
+      display: flex;
+      align-items: flex-start;
+      gap: 8px;
+    }
+
+    .title {
+      flex: 1;
+      min-width: 0;
+    }
+
+    .title h2 {
+      margin: 0;
+      font-size: 16px;
+      line-height: 1.3;
+      overflow-wrap: anywhere;
+    }
+
+    .title p {
+      margin: 2px 0 0;
+      opacity: 0.9;
+    }
+
+    .icon-btn {
+      border: none;
+      background: rgba(255, 255, 255, 0.2);
+      color: #fff;
+      width: 28px;
+      height: 28px;
+      border-radius: 6px;
+      font-size: 16px;
+      line-height: 1;
+      cursor: pointer;
+      flex-shrink: 0;
+    }
+
+    .icon-btn:hover {
+      background: rgba(255, 255, 255, 0.3);
+    }
+
+    .toolbar {
+      padding: 10px 16px;
+      border-bottom: 1px solid #eee;
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      align-items: center;
+    }
+
+    .export-row {
+      width: 100%;
+      display: flex;
+      gap: 6px;
+      align-items: center;
+    }
+
+    .toolbar span {
+      color: #888;
+      font-size: 12px;
+    }
+
+    .btn,
+    select {
+      font-family: inherit;
+      font-size: 12px;
+      padding: 5px 10px;
+      border-radius: 6px;
+      border: 1px solid #ddd;
+      background: #f5f5f5;
+      color: #333;
+      cursor: pointer;
+    }
+
+    .btn:hover {
+      background: #ebebeb;
+    }
+
+    .btn-primary {
+      border: none;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: #fff;
+    }
+
+    .btn-primary:hover {
+      background: linear-gradient(135deg, #5a6fd8 0%, #6a4292 100%);
+    }
+
+    .btn-danger {
+      border: none;
+      background: #ff4444;
+      color: #fff;
+    }
+
+    .btn-danger:hover {
+      background: #ff3333;
+    }
+
+    .body {
+      flex: 1;
+      overflow-y: auto;
+      padding: 12px 16px 20px;
+    }
+
+    .details {
+      display: grid;
+      grid-template-columns: auto 1fr;
+      gap: 2px 12px;
+      margin: 0 0 8px;
+    }
+
+    .details dt {
+      color: #888;
+    }
+
+    .details dd {
+      margin: 0;
+      overflow-wrap: anywhere;
+    }
+
+    h3 {
+      margin: 14px 0 4px;
+      font-size: 13px;
+      color: #667eea;
+    }
+
+    ul {
+      margin: 0;
+      padding-left: 18px;
+    }
+
+    p {
+      margin: 0;
+    }
+
+    .pre-text {
+      white-space: pre-wrap;
+    }
+
+    .muted {
+      color: #888;
+      font-style: italic;
+    }
+
+    .tab {
+      position: fixed;
+      top: 40%;
+      right: 0;
+      z-index: 2147483000;
+      border: none;
+      border-radius: 8px 0 0 8px;
+      padding: 12px 8px;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: #fff;
+      box-shadow: -2px 2px 10px rgba(0, 0, 0, 0.2);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      font-size: 13px;
+      font-weight: 600;
+      writing-mode: vertical-rl;
+      cursor: pointer;
+    }
+  `,
+
+  _host: null,
+  _root: null,
+  _job: null,
+  _collapsed: false,
+  _handlers: {},
+
+  /**
+   * Shows the panel for a saved job, creating it on first use
+   * @param {Object} job - Saved job
+   * @param {Object} handlers - Action callbacks, each called with the job:
+   *   onStatusChange(job, status, select), onReanalyze(job), onChat(job), onWrite(job),
+   *   onExport(job, format), onDelete(job)
+   * @param {Object} [options] - { collapsed: true } shows only the edge tab
+   */
+  show(job, handlers, options = {}) {
+    this._job = job;
+    this._handlers = handlers || {};
+    this._collapsed = Boolean(options.collapsed);
+
+    if (!this._host || !this._host.isConnected) {
+      this._host = document.createElement('div');
+      this._host.id = this.HOST_ID;
+      this._root = this._host.attachShadow({ mode: 'closed' });
+      document.body.appendChild(this._host);
+    }
+
+    this.render();
+  },
+
+  /**
+   * Re-renders with fresh job data, keeping the collapsed state
+   * @param {Object} job - Saved job
+   */
+  update(job) {
+    if (!this.isOpen()) return;
+    this._job = job;
+    this.render();
+  },
+
+  /**
+   * Shrinks the panel to a tab on the edge of the page, or expands it again
+   * @param {boolean} collapsed - Whether to collapse
+   */
+  setCollapsed(collapsed) {
+    if (!this.isOpen()) return;
+    this._collapsed = collapsed;
+    this.render();
+  },
+
+  /**
+   * Removes the panel from the page
+   */
+  close() {
+    this._host?.remove();
+    this._host = null;
+    this._root = null;
+    this._job = null;
+  },
+
+  /**
+   * Checks whether the panel is on the page (expanded or collapsed)
+   * @returns {boolean} Whether the panel is shown
+   */
+  isOpen() {
+    return Boolean(this._host?.isConnected && this._job);
+  },
+
+  /**
+   * Returns the job the panel is showing
+   * @returns {Object|null} Saved job
+   */
+  getJob() {
+    return this._job;
+  },
+
+  /**
+   * Creates an element with text content
+   * All values are inserted with textContent to prevent XSS
+   * @param {string} tag - Tag name
+   * @param {string} text - Text content
+   * @param {string} [className] - Optional class name
+   * @returns {HTMLElement} Element
+   */
+  textElement(tag, text, className = '') {
+    const element = document.createElement(tag);
+    element.textContent = text;
+    if (className) element.className = className;
+    return element;
+  },
+
+  /**
+   * Creates a button wired to a handler
+   * @param {string} label - Button text
+   * @param {string} className - Class names
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} Button
+   */
+  button(label, className, onClick) {
+    const button = this.textElement('button', label, className);
+    button.addEventListener('click', onClick);
+    return button;
+  },
+
+  /**
+   * Rebuilds the shadow root's contents for the current job and state
+   */
+  render() {
+    const root = this._root;
+    const job = this._job;
+    if (!root || !job) return;
+
+    root.innerHTML = '';
+    const style = document.createElement('style');
+    style.textContent = this.STYLES;
+    root.appendChild(style);
+
+    if (this._collapsed) {
+      const score = job.analysis?.matchScore?.score;
+      const tab = this.button(score ? `Job Analysis · ${score}/10` : 'Job Analysis', 'tab', () => this.setCollapsed(false));
+      tab.title = 'Show analysis';
+      root.appendChild(tab);
+      return;
+    }
+
+    const panel = document.createElement('aside');
+    panel.className = 'panel';
+    panel.appendChild(this.renderHeader(job));
+    panel.appendChild(this.renderToolbar(job));
+    panel.appendChild(this.renderBody(job));
+    root.appendChild(panel);
+  },
+
+  /**
+   * Renders the title bar with collapse and close buttons
+   * @param {Object} job - Saved job
+   * @returns {HTMLElement} Header
+   */
+  renderHeader(job) {
+    const header = document.createElement('div');
+    header.className = 'header';
+
+    const title = document.createElement('div');
+    title.className = 'title';
+    title.appendChild(this.textElement('h2', job.jobTitle || 'Untitled Job'));
+    title.appendChild(this.textElement('p', job.company || 'Unknown Company'));
+    header.appendChild(title);
+
+    const collapse = this.button('›', 'icon-btn', () => this.setCollapsed(true));
+    collapse.title = 'Collapse';
+    header.appendChild(collapse);
+
+    const close = this.button('×', 'icon-btn', () => this.close());
+    close.title = 'Close';
+    header.appendChild(close);
+
+    return header;
+  },
+
+  /**
+   * Renders the job actions offered in the popup: stage, re-analyze, follow-up chat, cover letter,
+   * export and delete
+   * @param {Object} job - Saved job
+   * @returns {HTMLElement} Toolbar
+   */
+  renderToolbar(job) {
+    const handlers = this._handlers;
+    const toolbar = document.createElement('div');
+    toolbar.className = 'toolbar';
+
+    const select = document.createElement('select');
+    select.title = 'Application stage';
+    Storage.APPLICATION_STATUSES.forEach(({ id, label }) => {
+      const option = this.textElement('option', label);
+      option.value = id;
+      select.appendChild(option);
+    });
+    select.value = Storage.getJobStatus(job);
+    select.addEventListener('change', () => handlers.onStatusChange?.(job, select.value, select));
+    toolbar.appendChild(select);
+
+    toolbar.appendChild(this.button('Re-analyze', 'btn btn-primary', () => handlers.onReanalyze?.(job)));
+    toolbar.appendChild(this.button('Ask a Follow-up', 'btn', () => handlers.onChat?.(job)));
+    toolbar.appendChild(this.button('Cover Letter', 'btn', () => handlers.onWrite?.(job)));
+    toolbar.appendChild(this.button('Delete', 'btn btn-danger', () => handlers.onDelete?.(job)));
+
+    const exportRow = document.createElement('div');
+    exportRow.className = 'export-row';
+    exportRow.appendChild(this.textElement('span', 'Export:'));
+    this.EXPORT_FORMATS.forEach(({ id, label }) => {
+      exportRow.appendChild(this.button(label, 'btn', () => handlers.onExport?.(job, id)));
+    });
+    toolbar.appendChild(exportRow);
+
+    return toolbar;
+  },
+
+  /**
+   * Renders posting details, stage history and the analysis
+   * @param {Object} job - Saved job
+   * @returns {HTMLElement} Scrollable body
+   */
+  renderBody(job) {
+    const body = document.createElement('div');
+    body.className = 'body';
+
+    const details = document.createElement('dl');
+    details.className = 'details';
+    // The URL is the page the panel is on, so it would only add noise
+    JobExporter.getJobDetails(job)
+      .filter(([label]) => label !== 'URL' && label !== 'Company')
+      .forEach(([label, value]) => {
+        details.appendChild(this.textElement('dt', label));
+        details.appendChild(this.textElement('dd', value));
+      });
+    body.appendChild(details);
+
+    const history = job.statusHistory || [];
+    if (history.length > 1) {
+      body.appendChild(this.textElement('h3', 'Application History'));
+      const list = document.createElement('ul');
+      [...history].reverse().forEach(entry => {
+        const notes = entry.notes ? ` - ${entry.notes}` : '';
+        list.appendChild(this.textElement('li', `${Storage.getStatusLabel(entry.to)}, ${formatDate(entry.at)}${notes}`));
+      });
+      body.appendChild(list);
+    }
+
+    const analysis = job.analysis;
+    if (!analysis) {
+      body.appendChild(this.textElement('p', job.analysisError ? `Analysis failed: ${job.analysisError}` : 'No analysis available', 'muted'));
+    } else if (typeof analysis === 'string' || analysis.rawText) {
+      // Older plain-text analyses, or a response Claude didn't structure
+      body.appendChild(this.textElement('p', typeof analysis === 'string' ? analysis : analysis.rawText, 'pre-text'));
+    } else {
+      JobExporter.getAnalysisSections(analysis).forEach(({ heading, content }) => {
+        body.appendChild(this.textElement('h3', heading));
+        if (Array.isArray(content)) {
+          const list = document.createElement('ul');
+          content.forEach(item => list.appendChild(this.textElement('li', item)));
+          body.appendChild(list);
+        } else {
+          body.appendChild(this.textElement('p', content));
+        }
+      });
+    }
+
+    return body;
+  }
+};
+
+// Make available globally for the content script
+if (typeof window !== 'undefined') {
+  window.SidePanel = SidePanel;
+}
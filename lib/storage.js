@@ -1,14 +1,58 @@
 /**
  * Storage Helper
- * Manages local storage for job data, settings, and API keys
+ * Manages job data (IndexedDB via JobDB) and settings, profile and API key (chrome.storage.local)
+ * Job reads and writes need lib/job-db.js, which only the service worker loads;
+ * extension pages go through background messages and use the pure helpers here
+ * Job IDs and URL matching use lib/job-identity.js (and lib/platforms.js when loaded)
  */
 
 const Storage = {
 
   // Constants for data size limits
-  MAX_DESCRIPTION_LENGTH: 20000, // characters - max job description length
+  MAX_DESCRIPTION_LENGTH: 100000, // characters - max job description length
   MAX_ANALYSIS_LENGTH: 30000, // characters - max analysis length
-  MAX_JOBS_COUNT: 100, // maximum number of jobs to keep
+  MAX_RESUME_LENGTH: 30000, // characters - max resume text length
+  MAX_STATUS_NOTES_LENGTH: 2000, // characters - max notes per status change
+  MAX_CHAT_MESSAGE_LENGTH: 20000, // characters - max length of one follow-up chat message
+  MAX_CHAT_MESSAGES: 200, // follow-up chat messages kept per job; the oldest are dropped first
+  MAX_DOCUMENT_LENGTH: 20000, // characters - max length of a generated cover letter or bullet list
+  MAX_DOCUMENTS_PER_JOB: 30, // saved cover letter and resume bullet versions per job; the oldest are dropped first
+
+  // Application lifecycle stages, in pipeline order
+  APPLICATION_STATUSES: [
+    { id: 'saved', label: 'Saved' },
+    { id: 'applied', label: 'Applied' },
+    { id: 'phone_screen', label: 'Phone Screen' },
+    { id: 'onsite', label: 'Onsite' },
+    { id: 'offer', label: 'Offer' },
+    { id: 'rejected', label: 'Rejected' },
+    { id: 'withdrawn', label: 'Withdrawn' }
+  ],
+  DEFAULT_STATUS: 'saved',
+
+  // chrome.storage.local key bumped after every job write, so any context can
+  // react to job changes with storage.onChanged (IndexedDB has no change events)
+  JOBS_CHANGED_KEY: 'jobsChangedAt',
+
+  AUTO_ANALYZE_USAGE_KEY: 'autoAnalyzeUsage', // { date: 'YYYY-MM-DD', count } of today's auto-analyses
+  MAX_AUTO_ANALYZE_DAILY_LIMIT: 100,
+  MAX_PROMPT_TEMPLATES: 20, // custom prompt templates a user can keep
+
+  // { days: { 'YYYY-MM-DD': totals }, months: { 'YYYY-MM': totals } } of API usage,
+  // where totals are { requests, inputTokens, outputTokens, cost }
+  USAGE_TOTALS_KEY: 'usageTotals',
+  USAGE_HISTORY_DAYS: 31, // daily totals kept
+  USAGE_HISTORY_MONTHS: 12, // monthly totals kept
+
+  // Serializes usage writes so concurrent analyses don't overwrite each other's totals
+  _usageWrite: Promise.resolve(),
+
+  // [{ jobId, attempts, nextAttemptAt, depth, manual, lastError }] of failed analyses the
+  // background worker will retry; nextAttemptAt is a timestamp in ms
+  ANALYSIS_QUEUE_KEY: 'analysisQueue',
+
+  // Resolves once jobs from the old chrome.storage "jobs" array are in IndexedDB
+  _migrationPromise: null,
 
   /**
    * Truncates text to a maximum length
@@ -22,6 +66,81 @@ const Storage = {
     return text.substring(0, maxLength) + '\n\n[Content truncated to fit storage limits]';
   },
 
+  /**
+   * Truncates an analysis to fit storage limits
+   * Handles both structured analyses and legacy plain-text ones
+   * @param {Object|string} analysis - Analysis to truncate
+   * @returns {Object|string} Truncated analysis
+   */
+  truncateAnalysis(analysis) {
+    if (typeof analysis === 'string') {
+      return this.truncateText(analysis, this.MAX_ANALYSIS_LENGTH);
+    }
+    if (analysis.rawText) {
+      return { ...analysis, rawText: this.truncateText(analysis.rawText, this.MAX_ANALYSIS_LENGTH) };
+    }
+    return analysis;
+  },
+
+  /**
+   * Moves jobs saved by older versions (one chrome.storage array) into IndexedDB
+   * Runs once per context; safe to race because records are written by id
+   * @returns {Promise<void>}
+   */
+  ensureMigrated() {
+    if (!this._migrationPromise) {
+      this._migrationPromise = (async () => {
+        const result = await chrome.storage.local.get('jobs');
+        if (!Array.isArray(result.jobs)) return;
+
+        // Give pre-tracking jobs an explicit status so they appear in the status index
+        const jobs = result.jobs
+          .filter(job => job && job.id)
+          .map(job => ({ ...job, status: this.getJobStatus(job) }));
+        await JobDB.putAll(jobs);
+        await chrome.storage.local.remove('jobs');
+        await this.notifyJobsChanged();
+
+        console.log('Migrated jobs to IndexedDB:', jobs.length);
+      })().catch(error => {
+        // Leave the old array in place and try again next time
+        this._migrationPromise = null;
+        throw error;
+      });
+    }
+    return this._migrationPromise;
+  },
+
+  /**
+   * Signals other contexts (badge, board, popup) that jobs changed
+   * @returns {Promise<void>}
+   */
+  async notifyJobsChanged() {
+    await chrome.storage.local.set({ [this.JOBS_CHANGED_KEY]: Date.now() });
+  },
+
+  /**
+   * Registers a callback for job changes made from any extension context
+   * @param {Function} callback - Called with no arguments after jobs change
+   */
+  onJobsChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'local' && changes[this.JOBS_CHANGED_KEY]) {
+        callback();
+      }
+    });
+  },
+
+  /**
+   * Orders jobs newest first by when they were analyzed (or extracted, for failed analyses)
+   * @param {Array<Object>} jobs - Jobs to sort in place
+   * @returns {Array<Object>} The same array
+   */
+  sortNewestFirst(jobs) {
+    const time = (job) => new Date(job.analyzedAt || job.extractedAt || 0).getTime() || 0;
+    return jobs.sort((a, b) => time(b) - time(a));
+  },
+
   /**
    * Saves analyzed job data to storage
    * @param {Object} jobData - Job data to save
@@ -29,35 +148,54 @@ const Storage = {
    */
   async saveJob(jobData) {
     try {
-      // Truncate large fields to prevent storage overflow
+      // Truncate large fields to keep records a sensible size
       if (jobData.description) {
         jobData.description = this.truncateText(jobData.description, this.MAX_DESCRIPTION_LENGTH);
       }
       if (jobData.analysis) {
-        jobData.analysis = this.truncateText(jobData.analysis, this.MAX_ANALYSIS_LENGTH);
+        jobData.analysis = this.truncateAnalysis(jobData.analysis);
       }
 
-      const jobs = await this.getAllJobs();
-      
       // Add unique ID if not present
-      if (!jobData.id) {
+      const isGeneratedId = !jobData.id;
+      if (isGeneratedId) {
         jobData.id = this.generateJobId(jobData);
       }
-      
-      // Check if job already exists (update if so)
-      const existingIndex = jobs.findIndex(job => job.id === jobData.id);
-      
-      if (existingIndex >= 0) {
-        jobs[existingIndex] = { ...jobs[existingIndex], ...jobData, updatedAt: new Date().toISOString() };
-      } else {
-        jobs.unshift(jobData); // Add to beginning of array
+
+      // Generated ids are a 32-bit hash of the URL, so a different posting can hold the same one
+      const canonicalUrl = JobIdentity.normalizeUrl(jobData.url);
+      const isOtherPosting = (job) => isGeneratedId && canonicalUrl &&
+        ![job.url, ...(job.alternateUrls || [])].some(url => JobIdentity.normalizeUrl(url) === canonicalUrl);
+
+      await this.ensureMigrated();
+      const merge = existing => {
+        if (existing && isOtherPosting(existing)) return null;
+
+        // Update in place if the job already exists
+        if (existing) {
+          return { ...existing, ...jobData, updatedAt: new Date().toISOString() };
+        }
+
+        // New jobs enter the pipeline as "saved"
+        if (!jobData.status) {
+          jobData.status = this.DEFAULT_STATUS;
+          jobData.statusHistory = [{
+            from: null,
+            to: this.DEFAULT_STATUS,
+            at: new Date().toISOString(),
+            notes: ''
+          }];
+        }
+        return jobData;
+      };
+
+      if (!(await JobDB.update(jobData.id, merge))) {
+        console.warn('Job ID already used by another posting, saving with a unique ID:', jobData.id);
+        jobData.id = `${jobData.id}_${Date.now()}`;
+        await JobDB.update(jobData.id, merge);
       }
+      await this.notifyJobsChanged();
 
-      // Keep only last N jobs to avoid storage limits
-      const trimmedJobs = jobs.slice(0, this.MAX_JOBS_COUNT);
-      
-      await chrome.storage.local.set({ jobs: trimmedJobs });
-      
       console.log('Job saved to storage:', jobData.id);
       return true;
     } catch (error) {
@@ -68,18 +206,32 @@ const Storage = {
   
   /**
    * Retrieves all saved jobs
-   * @returns {Promise<Array>} Array of job objects
+   * @returns {Promise<Array>} Array of job objects, newest first
    */
   async getAllJobs() {
     try {
-      const result = await chrome.storage.local.get('jobs');
-      return result.jobs || [];
+      await this.ensureMigrated();
+      return this.sortNewestFirst(await JobDB.getAll());
     } catch (error) {
       console.error('Error retrieving jobs from storage:', error);
       return [];
     }
   },
   
+  /**
+   * Counts saved jobs without loading them
+   * @returns {Promise<number>} Number of jobs
+   */
+  async countJobs() {
+    try {
+      await this.ensureMigrated();
+      return await JobDB.count();
+    } catch (error) {
+      console.error('Error counting jobs in storage:', error);
+      return 0;
+    }
+  },
+
   /**
    * Gets a specific job by ID
    * @param {string} jobId - Job ID to retrieve
@@ -87,14 +239,76 @@ const Storage = {
    */
   async getJob(jobId) {
     try {
-      const jobs = await this.getAllJobs();
-      return jobs.find(job => job.id === jobId) || null;
+      await this.ensureMigrated();
+      return (await JobDB.get(jobId)) || null;
     } catch (error) {
       console.error('Error retrieving job from storage:', error);
       return null;
     }
   },
   
+  /**
+   * Finds saved jobs that are the same posting (canonical URL) or look like a cross-post
+   * @param {Object} jobData - Posting about to be analyzed
+   * @returns {Promise<{exact: Object|null, similar: Array<Object>}>} Matches
+   */
+  async findDuplicates(jobData) {
+    return JobIdentity.findDuplicates(jobData, await this.getAllJobs());
+  },
+
+  /**
+   * Records another URL for a saved job, used when merging a cross-posted duplicate
+   * @param {string} jobId - Job ID to update
+   * @param {string} url - Additional posting URL
+   * @returns {Promise<Object|null>} Updated job, or null if not found
+   */
+  async addAlternateUrl(jobId, url) {
+    try {
+      await this.ensureMigrated();
+
+      const canonicalUrl = JobIdentity.normalizeUrl(url);
+      const updated = await JobDB.update(jobId, job => {
+        if (!job) return null;
+
+        const known = [job.url, ...(job.alternateUrls || [])].map(other => JobIdentity.normalizeUrl(other));
+        if (!canonicalUrl || known.includes(canonicalUrl)) return job;
+
+        return { ...job, alternateUrls: [...(job.alternateUrls || []), url], updatedAt: new Date().toISOString() };
+      });
+
+      if (updated) await this.notifyJobsChanged();
+      return updated;
+    } catch (error) {
+      console.error('Error adding alternate URL:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Changes fields on a saved job without ever creating one
+   * For background work that can finish after the user deleted the job, which
+   * saveJob would bring back as a bare record
+   * @param {string} jobId - Job ID to update
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} Updated job, or null if not found
+   */
+  async updateJob(jobId, changes) {
+    try {
+      await this.ensureMigrated();
+
+      const updated = await JobDB.update(jobId, job => {
+        if (!job) return null;
+        return { ...job, ...changes, id: job.id, updatedAt: new Date().toISOString() };
+      });
+
+      if (updated) await this.notifyJobsChanged();
+      return updated;
+    } catch (error) {
+      console.error('Error updating job:', error);
+      return null;
+    }
+  },
+
   /**
    * Deletes a job from storage
    * @param {string} jobId - Job ID to delete
@@ -102,20 +316,16 @@ const Storage = {
    */
   async deleteJob(jobId) {
     try {
-      const jobs = await this.getAllJobs();
+      await this.ensureMigrated();
 
       // Check if job exists before attempting delete
-      const initialCount = jobs.length;
-      const filteredJobs = jobs.filter(job => job.id !== jobId);
-
-      // If filter didn't remove any jobs, the job didn't exist
-      if (filteredJobs.length === initialCount) {
+      if (!(await JobDB.get(jobId))) {
         console.warn('Job not found for deletion:', jobId);
         return false;
       }
 
-      // Chrome storage API is reliable - trust the write operation
-      await chrome.storage.local.set({ jobs: filteredJobs });
+      await JobDB.delete(jobId);
+      await this.notifyJobsChanged();
 
       console.log('Job deleted from storage:', jobId);
       return true;
@@ -125,13 +335,280 @@ const Storage = {
     }
   },
   
+  /**
+   * Returns a job's application status, treating jobs saved before
+   * status tracking existed as "saved"
+   * @param {Object} job - Job object
+   * @returns {string} Status id
+   */
+  getJobStatus(job) {
+    return this.isValidStatus(job?.status) ? job.status : this.DEFAULT_STATUS;
+  },
+
+  /**
+   * Checks whether a status id is one of APPLICATION_STATUSES
+   * @param {string} status - Status id
+   * @returns {boolean} Whether the status is known
+   */
+  isValidStatus(status) {
+    return this.APPLICATION_STATUSES.some(stage => stage.id === status);
+  },
+
+  /**
+   * Returns the display label for a status id
+   * @param {string} status - Status id
+   * @returns {string} Display label
+   */
+  getStatusLabel(status) {
+    return this.APPLICATION_STATUSES.find(stage => stage.id === status)?.label || 'Saved';
+  },
+
+  /**
+   * Moves a job to a new application stage, recording the transition
+   * @param {string} jobId - Job ID to update
+   * @param {string} status - New status id from APPLICATION_STATUSES
+   * @param {string} [notes] - Optional notes for this transition
+   * @returns {Promise<Object|null>} Updated job or null if not found / invalid
+   */
+  async updateJobStatus(jobId, status, notes = '') {
+    try {
+      if (!this.isValidStatus(status)) {
+        console.warn('Invalid application status:', status);
+        return null;
+      }
+
+      await this.ensureMigrated();
+
+      let transition = null;
+      const updated = await JobDB.update(jobId, job => {
+        if (!job) return null;
+
+        const now = new Date().toISOString();
+        transition = {
+          from: this.getJobStatus(job),
+          to: status,
+          at: now,
+          notes: this.truncateText(String(notes || '').trim(), this.MAX_STATUS_NOTES_LENGTH)
+        };
+
+        return {
+          ...job,
+          status,
+          statusUpdatedAt: now,
+          statusHistory: [...(job.statusHistory || []), transition]
+        };
+      });
+
+      if (!updated) {
+        console.warn('Job not found for status update:', jobId);
+        return null;
+      }
+
+      await this.notifyJobsChanged();
+
+      console.log('Job status updated:', jobId, transition.from, '->', status);
+      return updated;
+    } catch (error) {
+      console.error('Error updating job status:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Cleans up a follow-up chat message for storage
+   * @param {Object} message - { role: 'user'|'assistant', content, at, usage }
+   * @returns {Object|null} Stored message, or null if it isn't a valid message
+   */
+  normalizeChatMessage(message) {
+    if (!message || (message.role !== 'user' && message.role !== 'assistant') || typeof message.content !== 'string') {
+      return null;
+    }
+
+    const at = new Date(message.at).getTime();
+    return {
+      role: message.role,
+      content: this.truncateText(message.content, this.MAX_CHAT_MESSAGE_LENGTH),
+      at: isNaN(at) ? new Date().toISOString() : new Date(at).toISOString(),
+      ...(message.usage && typeof message.usage === 'object' && { usage: message.usage })
+    };
+  },
+
+  /**
+   * Appends messages to a job's follow-up chat, keeping the newest MAX_CHAT_MESSAGES
+   * @param {string} jobId - Job ID to update
+   * @param {Array<Object>} messages - Messages to add, oldest first (see normalizeChatMessage)
+   * @returns {Promise<Object|null>} Updated job, or null if not found
+   */
+  async addChatMessages(jobId, messages) {
+    try {
+      await this.ensureMigrated();
+
+      const added = messages.map(message => this.normalizeChatMessage(message)).filter(Boolean);
+      const updated = await JobDB.update(jobId, job => {
+        if (!job) return null;
+        return { ...job, chat: [...(job.chat || []), ...added].slice(-this.MAX_CHAT_MESSAGES) };
+      });
+
+      if (updated) await this.notifyJobsChanged();
+      return updated;
+    } catch (error) {
+      console.error('Error saving chat messages:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Deletes a job's follow-up chat
+   * @param {string} jobId - Job ID to update
+   * @returns {Promise<Object|null>} Updated job, or null if not found
+   */
+  async clearChat(jobId) {
+    try {
+      await this.ensureMigrated();
+
+      const updated = await JobDB.update(jobId, job => {
+        if (!job) return null;
+        const { chat, ...rest } = job;
+        return rest;
+      });
+
+      if (updated) await this.notifyJobsChanged();
+      return updated;
+    } catch (error) {
+      console.error('Error clearing chat:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Cleans up a generated document (cover letter or resume bullets) for storage
+   * @param {Object} document - { id, type, tone, length, content, model, usage, createdAt, updatedAt }
+   * @returns {Object|null} Stored document, or null if it isn't a valid document
+   */
+  normalizeJobDocument(document) {
+    if (!document || typeof document.id !== 'string' || !document.id || typeof document.type !== 'string' ||
+      typeof document.content !== 'string') {
+      return null;
+    }
+
+    const toDate = (value) => {
+      const time = new Date(value).getTime();
+      return isNaN(time) ? new Date().toISOString() : new Date(time).toISOString();
+    };
+    const createdAt = toDate(document.createdAt);
+
+    return {
+      id: document.id.slice(0, 100),
+      type: document.type,
+      tone: typeof document.tone === 'string' ? document.tone : '',
+      length: typeof document.length === 'string' ? document.length : '',
+      content: this.truncateText(document.content, this.MAX_DOCUMENT_LENGTH),
+      createdAt,
+      updatedAt: document.updatedAt ? toDate(document.updatedAt) : createdAt,
+      ...(typeof document.model === 'string' && { model: document.model }),
+      ...(document.usage && typeof document.usage === 'object' && { usage: document.usage })
+    };
+  },
+
+  /**
+   * Saves a new version of a generated document, keeping the newest MAX_DOCUMENTS_PER_JOB
+   * @param {string} jobId - Job ID to update
+   * @param {Object} document - Document without an id (see normalizeJobDocument)
+   * @returns {Promise<{job: Object, document: Object}|null>} Updated job and the saved document, or null if not found
+   */
+  async addJobDocument(jobId, document) {
+    try {
+      await this.ensureMigrated();
+
+      const now = new Date().toISOString();
+      const saved = this.normalizeJobDocument({
+        ...document,
+        id: `doc_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+        createdAt: now,
+        updatedAt: now
+      });
+      if (!saved) return null;
+
+      const updated = await JobDB.update(jobId, job => {
+        if (!job) return null;
+        return { ...job, documents: [...(job.documents || []), saved].slice(-this.MAX_DOCUMENTS_PER_JOB) };
+      });
+
+      if (!updated) return null;
+      await this.notifyJobsChanged();
+      return { job: updated, document: saved };
+    } catch (error) {
+      console.error('Error saving document:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Replaces the text of a saved document with the user's edits
+   * @param {string} jobId - Job ID to update
+   * @param {string} documentId - Document ID
+   * @param {string} content - Edited text
+   * @returns {Promise<Object|null>} Updated job, or null if the job or document wasn't found
+   */
+  async updateJobDocument(jobId, documentId, content) {
+    try {
+      await this.ensureMigrated();
+
+      const updated = await JobDB.update(jobId, job => {
+        if (!job || !(job.documents || []).some(document => document.id === documentId)) return null;
+
+        return {
+          ...job,
+          documents: job.documents.map(document => document.id === documentId
+            ? {
+              ...document,
+              content: this.truncateText(String(content || ''), this.MAX_DOCUMENT_LENGTH),
+              updatedAt: new Date().toISOString()
+            }
+            : document)
+        };
+      });
+
+      if (updated) await this.notifyJobsChanged();
+      return updated;
+    } catch (error) {
+      console.error('Error updating document:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Deletes a saved document version
+   * @param {string} jobId - Job ID to update
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} Updated job, or null if the job wasn't found
+   */
+  async deleteJobDocument(jobId, documentId) {
+    try {
+      await this.ensureMigrated();
+
+      const updated = await JobDB.update(jobId, job => {
+        if (!job) return null;
+        return { ...job, documents: (job.documents || []).filter(document => document.id !== documentId) };
+      });
+
+      if (updated) await this.notifyJobsChanged();
+      return updated;
+    } catch (error) {
+      console.error('Error deleting document:', error);
+      return null;
+    }
+  },
+
   /**
    * Clears all saved jobs
    * @returns {Promise<boolean>} Success status
    */
   async clearAllJobs() {
     try {
-      await chrome.storage.local.set({ jobs: [] });
+      await this.ensureMigrated();
+      await JobDB.clear();
+      await this.notifyJobsChanged();
       console.log('All jobs cleared from storage');
       return true;
     } catch (error) {
@@ -189,6 +666,167 @@ const Storage = {
     }
   },
   
+  /**
+   * Returns the default extension settings
+   * @returns {Object} Default settings
+   */
+  getDefaultSettings() {
+    return {
+      autoAnalyze: false,
+      autoAnalyzeDailyLimit: 10, // auto-analyses started per day, across all tabs
+      autoAnalyzePlatforms: [], // platform ids to auto-analyze on; opt-in since every analysis costs API credits
+      showNotifications: true,
+      analysisDepth: 'detailed',
+      analysisModels: {}, // per-depth { model, maxTokens }; missing values use ClaudeClient's defaults
+      temperature: 1,
+      monthlyBudget: 0, // estimated USD per calendar month; 0 means no budget
+      budgetAction: 'warn', // once the budget is reached: 'warn' asks before each analysis, 'block' refuses
+      promptTemplates: [], // custom analysis prompts: [{ id, name, template }]
+      activePromptTemplate: '', // id of the template used for analyses; empty uses the built-in prompt
+      jobFilters: {} // Jobs tab filters; missing fields fall back to JobFilters.getDefaults()
+    };
+  },
+
+  /**
+   * Returns today's date as a local YYYY-MM-DD string, so daily limits reset at local midnight
+   * @returns {string} Date key
+   */
+  getLocalDateKey() {
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  },
+
+  /**
+   * Counts the auto-analyses started today
+   * @returns {Promise<number>} Today's count
+   */
+  async getAutoAnalyzeCount() {
+    try {
+      const result = await chrome.storage.local.get(this.AUTO_ANALYZE_USAGE_KEY);
+      const usage = result[this.AUTO_ANALYZE_USAGE_KEY];
+      return usage?.date === this.getLocalDateKey() ? usage.count || 0 : 0;
+    } catch (error) {
+      console.error('Error retrieving auto-analyze usage:', error);
+      return 0;
+    }
+  },
+
+  /**
+   * Records that an auto-analysis was started today
+   * @returns {Promise<number>} Today's count including this one
+   */
+  async recordAutoAnalysis() {
+    const count = (await this.getAutoAnalyzeCount()) + 1;
+    await chrome.storage.local.set({
+      [this.AUTO_ANALYZE_USAGE_KEY]: { date: this.getLocalDateKey(), count }
+    });
+    return count;
+  },
+
+  /**
+   * Returns the current local month as a YYYY-MM string
+   * @returns {string} Month key
+   */
+  getLocalMonthKey() {
+    return this.getLocalDateKey().slice(0, 7);
+  },
+
+  /**
+   * Returns empty usage totals
+   * @returns {Object} { requests, inputTokens, outputTokens, cost }
+   */
+  getEmptyUsageTotals() {
+    return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+  },
+
+  /**
+   * Retrieves API usage totals for today and this month, plus the kept history
+   * @returns {Promise<Object>} { today, month, days, months }
+   */
+  async getUsageTotals() {
+    try {
+      const result = await chrome.storage.local.get(this.USAGE_TOTALS_KEY);
+      const { days = {}, months = {} } = result[this.USAGE_TOTALS_KEY] || {};
+      return {
+        today: days[this.getLocalDateKey()] || this.getEmptyUsageTotals(),
+        month: months[this.getLocalMonthKey()] || this.getEmptyUsageTotals(),
+        days,
+        months
+      };
+    } catch (error) {
+      console.error('Error retrieving usage totals:', error);
+      return { today: this.getEmptyUsageTotals(), month: this.getEmptyUsageTotals(), days: {}, months: {} };
+    }
+  },
+
+  /**
+   * Adds one API request to today's and this month's usage totals
+   * Days and months beyond the kept history are dropped
+   * @param {Object} usage - { inputTokens, outputTokens, cost } from ClaudeClient.buildUsage()
+   * @returns {Promise<void>}
+   */
+  recordUsage(usage) {
+    const write = this._usageWrite.then(async () => {
+      const { days, months } = await this.getUsageTotals();
+      const add = (totals = this.getEmptyUsageTotals()) => ({
+        requests: totals.requests + 1,
+        inputTokens: totals.inputTokens + (Number(usage?.inputTokens) || 0),
+        outputTokens: totals.outputTokens + (Number(usage?.outputTokens) || 0),
+        cost: totals.cost + (Number(usage?.cost) || 0)
+      });
+      // Date keys sort chronologically, so the newest entries are the last ones
+      const keepLatest = (entries, count) => Object.fromEntries(Object.entries(entries).sort(([a], [b]) => a.localeCompare(b)).slice(-count));
+
+      const dayKey = this.getLocalDateKey();
+      const monthKey = this.getLocalMonthKey();
+      await chrome.storage.local.set({
+        [this.USAGE_TOTALS_KEY]: {
+          days: keepLatest({ ...days, [dayKey]: add(days[dayKey]) }, this.USAGE_HISTORY_DAYS),
+          months: keepLatest({ ...months, [monthKey]: add(months[monthKey]) }, this.USAGE_HISTORY_MONTHS)
+        }
+      });
+    });
+
+    this._usageWrite = write.catch(() => {});
+    return write;
+  },
+
+  /**
+   * Retrieves the analyses waiting to be retried
+   * @returns {Promise<Array<Object>>} Queue entries
+   */
+  async getAnalysisQueue() {
+    try {
+      const result = await chrome.storage.local.get(this.ANALYSIS_QUEUE_KEY);
+      return Array.isArray(result[this.ANALYSIS_QUEUE_KEY]) ? result[this.ANALYSIS_QUEUE_KEY] : [];
+    } catch (error) {
+      console.error('Error retrieving analysis queue:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Calls back whenever the retry queue changes, in any context
+   * @param {Function} callback - Called with no arguments
+   */
+  onAnalysisQueueChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'local' && changes[this.ANALYSIS_QUEUE_KEY]) {
+        callback();
+      }
+    });
+  },
+
+  /**
+   * Replaces the analyses waiting to be retried
+   * @param {Array<Object>} queue - Queue entries
+   * @returns {Promise<void>}
+   */
+  async saveAnalysisQueue(queue) {
+    await chrome.storage.local.set({ [this.ANALYSIS_QUEUE_KEY]: queue });
+  },
+
   /**
    * Retrieves extension settings
    * @returns {Promise<Object>} Settings object
@@ -196,11 +834,8 @@ const Storage = {
   async getSettings() {
     try {
       const result = await chrome.storage.local.get('settings');
-      return result.settings || {
-        autoAnalyze: false,
-        showNotifications: true,
-        analysisDepth: 'detailed'
-      };
+      // Merge so settings added in later versions get their defaults
+      return { ...this.getDefaultSettings(), ...(result.settings || {}) };
     } catch (error) {
       console.error('Error retrieving settings:', error);
       return {};
@@ -208,14 +843,281 @@ const Storage = {
   },
   
   /**
-   * Generates a unique ID for a job based on URL and timestamp
+   * Returns an empty profile with every field present
+   * @returns {Object} Default profile
+   */
+  getDefaultProfile() {
+    return {
+      resumeText: '',
+      targetRoles: [],
+      yearsOfExperience: null,
+      preferredStack: [],
+      dealbreakers: [],
+      updatedAt: null
+    };
+  },
+
+  /**
+   * Saves the user's profile (resume and job preferences)
+   * @param {Object} profile - Profile fields to save
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveProfile(profile) {
+    try {
+      const toList = (value) => (Array.isArray(value) ? value : [])
+        .map(item => String(item).trim())
+        .filter(Boolean);
+      const years = Number(profile.yearsOfExperience);
+
+      const normalized = {
+        resumeText: this.truncateText(String(profile.resumeText || '').trim(), this.MAX_RESUME_LENGTH),
+        targetRoles: toList(profile.targetRoles),
+        yearsOfExperience: profile.yearsOfExperience !== '' && profile.yearsOfExperience != null && Number.isFinite(years) && years >= 0
+          ? years
+          : null,
+        preferredStack: toList(profile.preferredStack),
+        dealbreakers: toList(profile.dealbreakers),
+        updatedAt: new Date().toISOString()
+      };
+
+      await chrome.storage.local.set({ profile: normalized });
+      console.log('Profile saved');
+      return true;
+    } catch (error) {
+      console.error('Error saving profile:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Retrieves the user's profile
+   * @returns {Promise<Object>} Profile object (empty defaults if none saved)
+   */
+  async getProfile() {
+    try {
+      const result = await chrome.storage.local.get('profile');
+      return { ...this.getDefaultProfile(), ...(result.profile || {}) };
+    } catch (error) {
+      console.error('Error retrieving profile:', error);
+      return this.getDefaultProfile();
+    }
+  },
+
+  /**
+   * Checks whether a profile has enough content to personalize analysis
+   * @param {Object} profile - Profile object
+   * @returns {boolean} Whether any profile field is filled in
+   */
+  hasProfile(profile) {
+    if (!profile) return false;
+    return Boolean(
+      profile.resumeText ||
+      profile.targetRoles?.length ||
+      profile.yearsOfExperience != null ||
+      profile.preferredStack?.length ||
+      profile.dealbreakers?.length
+    );
+  },
+
+  /**
+   * Returns when a job was last changed, for picking the newer copy on import
+   * @param {Object} job - Job object
+   * @returns {number} Timestamp in ms (0 if unknown)
+   */
+  getLastModified(job) {
+    const times = [job.updatedAt, job.statusUpdatedAt, job.analyzedAt, job.extractedAt]
+      .map(value => new Date(value || 0).getTime())
+      .filter(Number.isFinite);
+    return Math.max(0, ...times);
+  },
+
+  /**
+   * Coerces an imported analysis object into the schema Claude's responses are held to
+   * Runs it through ClaudeClient.normalizeAnalysis (so imports only happen where the
+   * client is loaded), then restores the metadata added after parsing
+   * @param {Object} analysis - Analysis object from an export bundle
+   * @returns {Object} Normalized analysis
+   */
+  normalizeImportedAnalysis(analysis) {
+    const normalized = ClaudeClient.normalizeAnalysis(analysis);
+
+    if (analysis.matchScore?.basis === 'profile') {
+      normalized.matchScore.basis = 'profile';
+    }
+
+    ['depth', 'model', 'promptTemplate', 'rawText', 'parseError'].forEach(key => {
+      if (typeof analysis[key] === 'string') normalized[key] = analysis[key];
+    });
+
+    const usage = analysis.usage;
+    if (usage && typeof usage === 'object') {
+      normalized.usage = {
+        model: typeof usage.model === 'string' ? usage.model : normalized.model || '',
+        inputTokens: Number(usage.inputTokens) || 0,
+        outputTokens: Number(usage.outputTokens) || 0,
+        cost: Number(usage.cost) || 0
+      };
+    }
+
+    return normalized;
+  },
+
+  /**
+   * Brings an imported job in line with what saveJob would have stored
+   * @param {Object} job - Job record that passed JobExporter.validateJob
+   * @returns {Object} Normalized job
+   */
+  normalizeImportedJob(job) {
+    const normalized = { ...job };
+
+    normalized.description = this.truncateText(job.description || '', this.MAX_DESCRIPTION_LENGTH);
+    if (job.analysis && typeof job.analysis === 'object') {
+      normalized.analysis = this.truncateAnalysis(this.normalizeImportedAnalysis(job.analysis));
+    } else if (job.analysis) {
+      normalized.analysis = this.truncateAnalysis(job.analysis);
+    }
+
+    normalized.status = this.getJobStatus(job);
+    const history = (job.statusHistory || []).filter(entry =>
+      entry && this.isValidStatus(entry.to) && !isNaN(new Date(entry.at).getTime())
+    );
+    normalized.statusHistory = history.length > 0
+      ? history.map(entry => ({
+        from: this.isValidStatus(entry.from) ? entry.from : null,
+        to: entry.to,
+        at: entry.at,
+        notes: this.truncateText(String(entry.notes || ''), this.MAX_STATUS_NOTES_LENGTH)
+      }))
+      : [{ from: null, to: normalized.status, at: job.analyzedAt || new Date().toISOString(), notes: '' }];
+
+    if (Array.isArray(job.chat)) {
+      normalized.chat = job.chat
+        .map(message => this.normalizeChatMessage(message))
+        .filter(Boolean)
+        .slice(-this.MAX_CHAT_MESSAGES);
+    } else {
+      delete normalized.chat;
+    }
+
+    if (Array.isArray(job.documents)) {
+      normalized.documents = job.documents
+        .map(document => this.normalizeJobDocument(document))
+        .filter(Boolean)
+        .slice(-this.MAX_DOCUMENTS_PER_JOB);
+    } else {
+      delete normalized.documents;
+    }
+
+    return normalized;
+  },
+
+  /**
+   * Finds imported jobs that collide with saved ones, by id first and then by canonical URL
+   * @param {Array<Object>} importedJobs - Jobs from an export bundle
+   * @param {Array<Object>} existingJobs - Currently saved jobs
+   * @returns {Array<{job: Object, existing: Object, matchedBy: string}>} Conflicts
+   */
+  findImportConflicts(importedJobs, existingJobs) {
+    const byId = new Map(existingJobs.map(job => [job.id, job]));
+    const byUrl = new Map(existingJobs.filter(job => job.url).map(job => [JobIdentity.normalizeUrl(job.url), job]));
+
+    return importedJobs.reduce((conflicts, job) => {
+      const url = JobIdentity.normalizeUrl(job.url);
+      if (byId.has(job.id)) {
+        conflicts.push({ job, existing: byId.get(job.id), matchedBy: 'id' });
+      } else if (url && byUrl.has(url)) {
+        conflicts.push({ job, existing: byUrl.get(url), matchedBy: 'url' });
+      }
+      return conflicts;
+    }, []);
+  },
+
+  /**
+   * Restores jobs, settings and profile from a parsed export bundle
+   * "replace" discards current data; "merge" keeps it, letting the more
+   * recently modified copy win when a job conflicts by id or URL
+   * @param {Object} bundle - Result of JobExporter.parseBundle
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Promise<Object>} Counts of added, updated and kept jobs
+   */
+  async importData(bundle, mode) {
+    if (mode !== 'merge' && mode !== 'replace') {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const imported = bundle.jobs.map(job => this.normalizeImportedJob(job));
+    const summary = { added: 0, updated: 0, kept: 0, settings: false, profile: false };
+
+    await this.ensureMigrated();
+
+    if (mode === 'replace') {
+      await JobDB.putAll(imported, { replace: true });
+      summary.added = imported.length;
+    } else {
+      const existingJobs = await JobDB.getAll();
+      const conflicts = new Map(this.findImportConflicts(imported, existingJobs).map(c => [c.job.id, c.existing]));
+      const toWrite = [];
+      const toRemove = new Set();
+
+      imported.forEach(job => {
+        const existing = conflicts.get(job.id);
+        if (!existing) {
+          toWrite.push(job);
+          summary.added++;
+        } else if (this.getLastModified(job) > this.getLastModified(existing) && !toRemove.has(existing.id)) {
+          // A URL match has a different id, so the saved copy must go; the toRemove
+          // check guards against two imported jobs sharing one saved job's URL
+          if (existing.id !== job.id) toRemove.add(existing.id);
+          toWrite.push(job);
+          summary.updated++;
+        } else {
+          summary.kept++;
+        }
+      });
+
+      await JobDB.putAll(toWrite, { remove: [...toRemove] });
+    }
+
+    await this.notifyJobsChanged();
+
+    if (bundle.settings) {
+      // Only restore known settings with the expected type
+      const defaults = this.getDefaultSettings();
+      const settings = Object.fromEntries(
+        Object.entries(bundle.settings).filter(([key, value]) => key in defaults && typeof value === typeof defaults[key])
+      );
+
+      if (mode === 'replace') {
+        await chrome.storage.local.set({ settings: { ...defaults, ...settings } });
+      } else {
+        await this.saveSettings(settings);
+      }
+      summary.settings = true;
+    }
+
+    // Merging never overwrites a profile the user already has on this machine
+    if (bundle.profile && (mode === 'replace' || !this.hasProfile(await this.getProfile()))) {
+      await this.saveProfile(bundle.profile);
+      summary.profile = true;
+    }
+
+    console.log('Import complete:', mode, summary);
+    return summary;
+  },
+
+  /**
+   * Generates an ID for a job from its canonical URL, so the same posting
+   * always gets the same ID; jobs without a URL get a timestamped one
+   * The hash is only 32 bits, so saveJob checks the URL before reusing a record
    * @param {Object} jobData - Job data object
    * @returns {string} Generated job ID
    */
   generateJobId(jobData) {
-    const urlHash = this.simpleHash(jobData.url || '');
-    const timestamp = Date.now();
-    return `job_${urlHash}_${timestamp}`;
+    const canonicalUrl = JobIdentity.normalizeUrl(jobData.url);
+    if (!canonicalUrl) {
+      return `job_${this.simpleHash('')}_${Date.now()}`;
+    }
+    return `job_${this.simpleHash(canonicalUrl)}`;
   },
   
   /**
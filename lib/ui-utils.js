@@ -0,0 +1,90 @@
+/**
+ * UI Utilities
+ * HTML escaping, URL validation and date formatting shared by the popup and extension pages
+ */
+
+/**
+ * Escapes HTML special characters to prevent XSS
+ * @param {string} unsafe - Unsafe string that may contain HTML
+ * @returns {string} - HTML-safe string
+ */
+function escapeHtml(unsafe) {
+  if (!unsafe) return '';
+  return unsafe
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+/**
+ * Validates URL to prevent javascript: and data: URLs
+ * @param {string} url - URL to validate
+ * @returns {boolean} - Whether URL is safe
+ */
+function isSafeUrl(url) {
+  if (!url) return false;
+  const lower = url.toLowerCase().trim();
+  return lower.startsWith('http://') || lower.startsWith('https://');
+}
+
+/**
+ * Formats an experience level identifier for display
+ * @param {string} level - Experience level (e.g. 'senior')
+ * @returns {string} Display label, or empty string when unknown
+ */
+function formatExperienceLevel(level) {
+  if (!level || level === 'unknown') return '';
+  return level.charAt(0).toUpperCase() + level.slice(1);
+}
+
+/**
+ * Format date for display
+ */
+function formatDate(dateString) {
+  if (!dateString) return 'Unknown date';
+
+  const date = new Date(dateString);
+
+  // Validate date
+  if (isNaN(date.getTime())) {
+    return 'Invalid date';
+  }
+
+  const now = new Date();
+  const diffMs = now - date;
+
+  // Handle future dates
+  if (diffMs < 0) {
+    return date.toLocaleDateString();
+  }
+
+  const diffMins = Math.floor(diffMs / 60000);
+  const diffHours = Math.floor(diffMs / 3600000);
+  const diffDays = Math.floor(diffMs / 86400000);
+
+  if (diffMins < 1) return 'Just now';
+  if (diffMins < 60) return diffMins + 'm ago';
+  if (diffHours < 24) return diffHours + 'h ago';
+  if (diffDays < 7) return diffDays + 'd ago';
+
+  return date.toLocaleDateString();
+}
+
+/**
+ * Format an estimated API cost in US dollars
+ * Amounts under a cent keep more decimals so single analyses don't all show $0.00
+ */
+function formatCost(usd) {
+  const amount = Number(usd) || 0;
+  if (amount > 0 && amount < 0.01) return '$' + amount.toFixed(4);
+  return '$' + amount.toFixed(2);
+}
+
+/**
+ * Format a token count with thousands separators
+ */
+function formatTokens(count) {
+  return (Number(count) || 0).toLocaleString();
+}
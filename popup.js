@@ -6,39 +6,36 @@
 // Constants
 const STATUS_MESSAGE_DURATION = 5000; // ms - how long status messages stay visible
 const MAX_MODAL_CONTENT_LENGTH = 10000; // characters - max length before truncation
-
-/**
- * Escapes HTML special characters to prevent XSS
- * @param {string} unsafe - Unsafe string that may contain HTML
- * @returns {string} - HTML-safe string
- */
-function escapeHtml(unsafe) {
-  if (!unsafe) return '';
-  return unsafe
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;");
-}
-
-/**
- * Validates URL to prevent javascript: and data: URLs
- * @param {string} url - URL to validate
- * @returns {boolean} - Whether URL is safe
- */
-function isSafeUrl(url) {
-  if (!url) return false;
-  const lower = url.toLowerCase().trim();
-  return lower.startsWith('http://') || lower.startsWith('https://');
-}
+const EXTRACTOR_SCRIPTS = ['lib/platforms.js', 'lib/job-identity.js', 'lib/extractor.js']; // injected for on-demand analysis
+const MIN_COMPARE_JOBS = 2;
+const USAGE_JOBS_SHOWN = 10; // most expensive analyses listed under Usage & Costs
+// Filter fields and the controls that edit them (search is handled separately)
+const FILTER_CONTROLS = {
+  status: 'status-filter',
+  platform: 'platform-filter',
+  tech: 'tech-filter',
+  analysis: 'analysis-filter',
+  minScore: 'score-filter',
+  sort: 'sort-select',
+  dateFrom: 'date-from',
+  dateTo: 'date-to'
+};
 
 document.addEventListener('DOMContentLoaded', async () => {
   console.log('Popup loaded');
 
   // Initialize
+  populateFilterOptions();
+  await loadJobFilters();
   await loadJobs();
   await loadApiKey();
+  await loadProfile();
+  await loadAnalysisDepth();
+  await loadModelSettings();
+  await loadPromptTemplates();
+  await loadStructuredDataSites();
+  await loadAutoAnalyzeSettings();
+  await loadUsage();
   setupEventListeners();
 });
 
@@ -54,6 +51,35 @@ function setupEventListeners() {
     });
   });
 
+  // Search, filter and sort the job list
+  document.getElementById('job-search').addEventListener('input', (e) => {
+    jobFilters.search = e.target.value;
+    renderJobs();
+  });
+  document.getElementById('toggle-filters').addEventListener('click', () => {
+    const panel = document.getElementById('filter-panel');
+    panel.style.display = panel.style.display === 'none' ? 'grid' : 'none';
+  });
+  Object.entries(FILTER_CONTROLS).forEach(([key, id]) => {
+    document.getElementById(id).addEventListener('change', (e) => {
+      jobFilters[key] = key === 'minScore' ? Number(e.target.value) : e.target.value;
+      saveJobFilters();
+      renderJobs();
+    });
+  });
+  document.getElementById('clear-filters').addEventListener('click', clearJobFilters);
+
+  // Analyze the current tab on demand (works on unsupported sites via activeTab)
+  document.getElementById('analyze-page').addEventListener('click', analyzeCurrentPage);
+
+  // Open the side-by-side comparison for the selected jobs
+  document.getElementById('compare-selected').addEventListener('click', openComparison);
+
+  // Open the full-page kanban board
+  document.getElementById('open-board').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+  });
+
   // Save API key
   document.getElementById('save-api-key').addEventListener('click', saveApiKey);
 
@@ -63,6 +89,10 @@ function setupEventListeners() {
   // Clear all jobs
   document.getElementById('clear-jobs').addEventListener('click', clearAllJobs);
 
+  // Profile
+  document.getElementById('save-profile').addEventListener('click', saveProfile);
+  document.getElementById('profile-resume-file').addEventListener('change', handleResumeUpload);
+
   // Event delegation for job card buttons (prevents memory leaks)
   document.getElementById('jobs-list').addEventListener('click', (e) => {
     const target = e.target;
@@ -78,15 +108,103 @@ function setupEventListeners() {
     if (!job) return;
 
     // Handle different button clicks
-    if (target.classList.contains('view-analysis')) {
+    if (target.classList.contains('view-analysis') || target.classList.contains('view-history')) {
       showAnalysis(job);
     } else if (target.classList.contains('open-job')) {
       openJob(job);
     } else if (target.classList.contains('delete-job')) {
       deleteJob(job.id);
+    } else if (target.classList.contains('retry-analysis')) {
+      target.disabled = true;
+      retryAnalyses([job.id]);
+    }
+  });
+
+  // Bulk retry of failed analyses
+  document.getElementById('retry-failed').addEventListener('click', () => {
+    retryAnalyses(getRetryableJobs().map(job => job.id));
+  });
+
+  // Queued retries finish in the background worker - refresh as they do
+  Storage.onAnalysisQueueChanged(() => loadJobs());
+
+  // Status changes on job cards (select elements fire change, not click)
+  document.getElementById('jobs-list').addEventListener('change', (e) => {
+    if (e.target.classList.contains('compare-checkbox')) {
+      toggleCompareSelection(e.target.closest('.job-card').dataset.jobId, e.target.checked);
+      return;
+    }
+
+    if (!e.target.classList.contains('status-select')) return;
+
+    const jobCard = e.target.closest('.job-card');
+    const job = jobCard && currentJobs.find(j => j.id === jobCard.dataset.jobId);
+    if (job) {
+      changeJobStatus(job, e.target.value, e.target);
+    }
+  });
+
+  // Export the job shown in the modal
+  document.querySelectorAll('.export-job').forEach(button => {
+    button.addEventListener('click', () => {
+      if (modalJob) exportJobs([modalJob], button.dataset.format);
+    });
+  });
+
+  // Follow-up questions about the job shown in the modal open in their own tab
+  document.getElementById('chat-job').addEventListener('click', () => {
+    if (modalJob) {
+      chrome.tabs.create({ url: chrome.runtime.getURL(`chat.html?id=${encodeURIComponent(modalJob.id)}`) });
+    }
+  });
+
+  // Cover letters and resume bullets are written in their own tab too
+  document.getElementById('write-job').addEventListener('click', () => {
+    if (modalJob) {
+      chrome.tabs.create({ url: chrome.runtime.getURL(`writer.html?id=${encodeURIComponent(modalJob.id)}`) });
     }
   });
 
+  // Export every saved job
+  document.querySelectorAll('.export-all').forEach(button => {
+    button.addEventListener('click', () => exportAllJobs(button.dataset.format));
+  });
+
+  // Analysis depth preset
+  document.getElementById('analysis-depth').addEventListener('change', saveAnalysisDepth);
+
+  // Model and request parameters
+  document.getElementById('save-model-settings').addEventListener('click', saveModelSettings);
+
+  // Monthly budget
+  document.getElementById('save-budget').addEventListener('click', saveBudget);
+
+  // Prompt template editor
+  document.getElementById('prompt-template').addEventListener('change', (e) => {
+    editingTemplateId = e.target.value;
+    renderTemplateEditor();
+  });
+  document.getElementById('new-template').addEventListener('click', createPromptTemplate);
+  document.getElementById('delete-template').addEventListener('click', deletePromptTemplate);
+  document.getElementById('save-template').addEventListener('click', savePromptTemplate);
+  document.getElementById('reset-template').addEventListener('click', () => {
+    document.getElementById('template-text').value = ClaudeClient.DEFAULT_PROMPT_TEMPLATE;
+    updateTemplatePreview();
+  });
+  document.getElementById('template-active').addEventListener('change', setActivePromptTemplate);
+  document.getElementById('template-text').addEventListener('input', updateTemplatePreview);
+  document.getElementById('template-preview-job').addEventListener('change', updateTemplatePreview);
+  document.getElementById('analysis-depth').addEventListener('change', updateTemplatePreview);
+
+  // Auto-analysis settings
+  document.getElementById('structured-data-sites').addEventListener('change', toggleStructuredDataSites);
+  document.getElementById('save-auto-analyze').addEventListener('click', saveAutoAnalyzeSettings);
+
+  // Restore from a JSON export
+  document.getElementById('import-file').addEventListener('change', previewImport);
+  document.getElementById('import-merge').addEventListener('click', () => runImport('merge'));
+  document.getElementById('import-replace').addEventListener('click', () => runImport('replace'));
+
   // Close modal
   document.querySelector('.close-btn').addEventListener('click', closeModal);
 
@@ -115,6 +233,11 @@ function switchTab(tabName) {
     content.classList.remove('active');
   });
   document.getElementById(tabName + '-tab').classList.add('active');
+
+  // Analyses may have finished in other tabs since the popup opened
+  if (tabName === 'settings') {
+    loadUsage();
+  }
 }
 
 /**
@@ -126,19 +249,255 @@ async function loadJobs() {
   try {
     const response = await chrome.runtime.sendMessage({ action: 'getJobs' });
 
-    if (response.success && response.jobs.length > 0) {
-      displayJobs(response.jobs);
-    } else {
-      showEmptyState();
-    }
+    allJobs = response.success ? response.jobs : [];
+    analysisQueue = await Storage.getAnalysisQueue();
+    renderJobs();
   } catch (error) {
     console.error('Error loading jobs:', error);
     jobsList.innerHTML = '<p class="status-error">Error loading jobs</p>';
   }
 }
 
-// Store jobs globally for event delegation
+// All saved jobs, and the filtered subset currently shown (used for event delegation)
+let allJobs = [];
 let currentJobs = [];
+let jobFilters = JobFilters.getDefaults();
+// Job IDs ticked for comparison (kept across re-renders and filter changes)
+const compareSelection = new Set();
+// Failed analyses the background worker is waiting to retry
+let analysisQueue = [];
+// Job currently shown in the analysis modal (target of the modal's export buttons)
+let modalJob = null;
+// Contents of the export file chosen for import, kept until Merge/Replace is clicked
+let pendingImportText = null;
+// Custom prompt templates from settings, the one in use for analyses ('' = built-in),
+// the one open in the editor, and the profile used to preview them
+let promptTemplates = [];
+let activePromptTemplate = '';
+let editingTemplateId = '';
+let previewProfile = null;
+
+/**
+ * Applies search, filters and sort to the loaded jobs and renders the result
+ */
+function renderJobs() {
+  updateCompareButton();
+  updateRetryButton();
+  updateFilterControls();
+
+  const summary = document.getElementById('filter-summary');
+
+  if (allJobs.length === 0) {
+    currentJobs = [];
+    summary.textContent = '';
+    showEmptyState();
+    return;
+  }
+
+  const jobs = JobFilters.apply(allJobs, jobFilters);
+  summary.textContent = JobFilters.isActive(jobFilters)
+    ? `Showing ${jobs.length} of ${allJobs.length} jobs`
+    : '';
+
+  if (jobs.length === 0) {
+    currentJobs = [];
+    document.getElementById('jobs-list').innerHTML = `
+      <div class="empty-state">
+        <h3>No matching jobs</h3>
+        <p>Try a different search, or clear the filters.</p>
+      </div>
+    `;
+    return;
+  }
+
+  displayJobs(jobs);
+}
+
+/**
+ * Loads the saved filters (search text is not persisted)
+ */
+async function loadJobFilters() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    if (response.success) {
+      jobFilters = JobFilters.normalize({ ...response.settings.jobFilters, search: '' });
+    }
+  } catch (error) {
+    console.error('Error loading job filters:', error);
+  }
+}
+
+/**
+ * Persists the current filters so they survive closing the popup
+ */
+async function saveJobFilters() {
+  const { search, ...filters } = jobFilters;
+
+  try {
+    await chrome.runtime.sendMessage({ action: 'saveSettings', settings: { jobFilters: filters } });
+  } catch (error) {
+    console.error('Error saving job filters:', error);
+  }
+}
+
+/**
+ * Resets search and filters to show every job (keeps the sort order)
+ */
+function clearJobFilters() {
+  jobFilters = { ...JobFilters.getDefaults(), sort: jobFilters.sort };
+  document.getElementById('job-search').value = '';
+  saveJobFilters();
+  renderJobs();
+}
+
+/**
+ * Syncs the filter controls with jobFilters, rebuilding the platform and
+ * tech dropdowns from the loaded jobs
+ */
+function updateFilterControls() {
+  const { platforms, techStack } = JobFilters.getOptions(allJobs);
+
+  // Keep a saved selection listed even if no loaded job has it any more
+  const rebuild = (id, allLabel, values, selected) => {
+    const select = document.getElementById(id);
+    const options = selected !== 'all' && !values.includes(selected) ? [...values, selected] : values;
+    select.innerHTML = '';
+    select.appendChild(new Option(allLabel, 'all'));
+    options.forEach(value => select.appendChild(new Option(value, value)));
+  };
+  rebuild('platform-filter', 'All platforms', platforms, jobFilters.platform);
+  rebuild('tech-filter', 'Any tech', techStack, jobFilters.tech);
+
+  Object.entries(FILTER_CONTROLS).forEach(([key, id]) => {
+    document.getElementById(id).value = String(jobFilters[key]);
+  });
+
+  const activeCount = Object.keys(FILTER_CONTROLS)
+    .filter(key => key !== 'sort' && jobFilters[key] !== JobFilters.getDefaults()[key]).length;
+  document.getElementById('toggle-filters').textContent = activeCount > 0 ? `Filters (${activeCount})` : 'Filters';
+}
+
+/**
+ * Adds or removes a job from the comparison selection
+ * @param {string} jobId - Job ID
+ * @param {boolean} selected - Whether the job is selected
+ */
+function toggleCompareSelection(jobId, selected) {
+  if (selected) {
+    compareSelection.add(jobId);
+  } else {
+    compareSelection.delete(jobId);
+  }
+
+  // Re-render so checkboxes beyond the limit are disabled
+  renderJobs();
+}
+
+/**
+ * Updates the compare button label and state from the current selection
+ */
+function updateCompareButton() {
+  // Drop selections for jobs that were deleted
+  [...compareSelection].forEach(id => {
+    if (!allJobs.some(job => job.id === id)) compareSelection.delete(id);
+  });
+
+  const button = document.getElementById('compare-selected');
+  const count = compareSelection.size;
+
+  button.disabled = count < MIN_COMPARE_JOBS;
+  button.textContent = count < MIN_COMPARE_JOBS
+    ? `Select ${MIN_COMPARE_JOBS}-${ClaudeClient.MAX_COMPARE_JOBS} jobs to compare`
+    : `Compare ${count} Jobs`;
+}
+
+/**
+ * Returns the queued retry for a job, if the background worker has one waiting
+ * @param {string} jobId - Job ID
+ * @returns {Object|undefined} Queue entry
+ */
+function getQueuedRetry(jobId) {
+  return analysisQueue.find(item => item.jobId === jobId);
+}
+
+/**
+ * Describes when a queued retry will run
+ * @param {number} timestamp - nextAttemptAt in ms
+ * @returns {string} e.g. "now", "in 4m", "at 3:45 PM"
+ */
+function formatRetryTime(timestamp) {
+  const minutes = Math.ceil((timestamp - Date.now()) / 60000);
+  if (minutes <= 0) return 'now';
+  if (minutes < 60) return `in ${minutes}m`;
+  return `at ${new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+}
+
+/**
+ * Lists saved jobs whose analysis failed and isn't already waiting to be retried
+ * @returns {Array<Object>} Failed jobs
+ */
+function getRetryableJobs() {
+  return allJobs.filter(job => job.analysisError && !job.analysis && !getQueuedRetry(job.id));
+}
+
+/**
+ * Shows the bulk retry button while there are failed analyses to retry
+ */
+function updateRetryButton() {
+  const button = document.getElementById('retry-failed');
+  const count = getRetryableJobs().length;
+
+  button.style.display = count > 0 ? '' : 'none';
+  button.textContent = `Retry ${count} Failed ${count === 1 ? 'Analysis' : 'Analyses'}`;
+}
+
+/**
+ * Asks the background worker to retry failed analyses
+ * They run one at a time in the background; the list updates as each finishes
+ * @param {Array<string>} jobIds - IDs of jobs whose analysis failed
+ */
+async function retryAnalyses(jobIds) {
+  const statusDiv = document.getElementById('page-status');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'retryAnalyses', jobIds });
+
+    if (response.success) {
+      showStatus(statusDiv, `Retrying ${response.queued} ${response.queued === 1 ? 'analysis' : 'analyses'} in the background...`, 'info');
+      await loadJobs();
+    } else {
+      showStatus(statusDiv, response.error || 'Failed to retry', 'error');
+    }
+  } catch (error) {
+    console.error('Error retrying analyses:', error);
+    showStatus(statusDiv, 'Error retrying analyses', 'error');
+  }
+}
+
+/**
+ * Opens the comparison page for the selected jobs
+ */
+function openComparison() {
+  if (compareSelection.size < MIN_COMPARE_JOBS) return;
+
+  // Job IDs are internal identifiers - safe to pass in the query string
+  const ids = encodeURIComponent([...compareSelection].join(','));
+  chrome.tabs.create({ url: chrome.runtime.getURL(`compare.html?ids=${ids}`) });
+}
+
+/**
+ * Fills the fixed filter dropdowns (stage, analysis state, sort order)
+ */
+function populateFilterOptions() {
+  const fill = (id, options) => {
+    const select = document.getElementById(id);
+    options.forEach(({ id: value, label }) => select.appendChild(new Option(label, value)));
+  };
+
+  fill('status-filter', Storage.APPLICATION_STATUSES);
+  fill('analysis-filter', JobFilters.ANALYSIS_OPTIONS);
+  fill('sort-select', JobFilters.SORT_OPTIONS);
+}
 
 /**
  * Display jobs in the list
@@ -159,6 +518,15 @@ function displayJobs(jobs) {
     const jobId = job.id;
     const hasAnalysis = job.analysis;
     const hasError = job.analysisError;
+    const score = job.analysis?.matchScore?.score;
+    const scoreHtml = score ? ` • Match ${score}/10` : '';
+    const status = Storage.getJobStatus(job);
+    // Status ids come from the fixed APPLICATION_STATUSES list, labels are escaped anyway
+    const statusOptions = Storage.APPLICATION_STATUSES.map(stage =>
+      `<option value="${stage.id}"${stage.id === status ? ' selected' : ''}>${escapeHtml(stage.label)}</option>`
+    ).join('');
+    const compareDisabled = !compareSelection.has(jobId) && compareSelection.size >= ClaudeClient.MAX_COMPARE_JOBS ? ' disabled' : '';
+    const statusSince = job.statusUpdatedAt ? ` ${escapeHtml(formatDate(job.statusUpdatedAt))}` : '';
 
     let statusHtml;
     if (hasAnalysis) {
@@ -166,16 +534,32 @@ function displayJobs(jobs) {
     } else if (hasError) {
       // Escape error message for XSS protection and use consistent template literals
       const errorMsg = escapeHtml(job.analysisError || '');
-      statusHtml = `<span style="font-size: 12px; color: #ff4d4f;" title="${errorMsg}">Analysis failed</span>`;
+      const retry = getQueuedRetry(jobId);
+      statusHtml = retry
+        ? `<span style="font-size: 12px; color: #888;" title="${errorMsg}">Retrying ${escapeHtml(formatRetryTime(retry.nextAttemptAt))}</span>`
+        : `<span style="font-size: 12px; color: #ff4d4f;" title="${errorMsg}">Analysis failed</span>
+          <button class="btn btn-primary retry-analysis">Retry</button>`;
+    } else if (job.statusHistory?.length > 1) {
+      statusHtml = '<button class="btn btn-secondary view-history">View History</button>';
     } else {
       statusHtml = '<span style="font-size: 12px; color: #888;">No analysis available</span>';
     }
 
     return `
       <div class="job-card" data-job-id="${jobId}">
-        <h4>${title}</h4>
+        <div class="card-header">
+          <h4>${title}</h4>
+          <label class="compare-toggle">
+            <input type="checkbox" class="compare-checkbox"${compareSelection.has(jobId) ? ' checked' : ''}${compareDisabled}>
+            Compare
+          </label>
+        </div>
         <div class="company">${company}</div>
-        <div class="meta">${platform} • ${date}</div>
+        <div class="meta">${platform} • ${date}${scoreHtml}</div>
+        <div class="status-row">
+          <span class="status-badge status-${status}">${escapeHtml(Storage.getStatusLabel(status))}${statusSince}</span>
+          <select class="status-select" title="Move to stage">${statusOptions}</select>
+        </div>
         <div class="actions">
           ${statusHtml}
           <button class="btn btn-secondary open-job">Open Job</button>
@@ -191,6 +575,243 @@ function displayJobs(jobs) {
   // No need to add listeners here - prevents memory leaks
 }
 
+/**
+ * Extracts the job on the active tab and sends it for analysis
+ * Injects the extractor with chrome.scripting when the page has no content script,
+ * so any career site can be analyzed from the popup
+ */
+async function analyzeCurrentPage() {
+  const button = document.getElementById('analyze-page');
+  const statusDiv = document.getElementById('page-status');
+
+  button.disabled = true;
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    if (!tab?.id || !isSafeUrl(tab.url)) {
+      showStatus(statusDiv, 'This page can\'t be analyzed. Open a job posting first.', 'error');
+      return;
+    }
+
+    const target = { tabId: tab.id };
+
+    // Supported sites (and, with access to all sites granted, pages publishing a JobPosting)
+    // already have the extractor from the content script; injecting it again would
+    // redeclare its globals in the same isolated world
+    const [{ result: isLoaded }] = await chrome.scripting.executeScript({
+      target,
+      func: () => typeof window.JobExtractor !== 'undefined'
+    });
+
+    if (!isLoaded) {
+      await chrome.scripting.executeScript({ target, files: EXTRACTOR_SCRIPTS });
+    }
+
+    const [{ result: jobData }] = await chrome.scripting.executeScript({
+      target,
+      func: () => window.JobExtractor.extractAny()
+    });
+
+    if (!jobData?.description) {
+      showStatus(statusDiv, 'Could not find a job description on this page.', 'error');
+      return;
+    }
+
+    showStatus(statusDiv, `Analyzing "${jobData.jobTitle || 'this page'}"...`, 'info');
+
+    let options = {};
+    let response = await streamAnalysis(jobData, options);
+
+    // Already saved - let the user choose instead of creating a duplicate
+    if (response?.duplicate) {
+      const duplicateAction = await askAboutDuplicate(statusDiv, response.duplicate);
+
+      if (!duplicateAction) {
+        const job = allJobs.find(j => j.id === response.duplicate.job.id);
+        if (job) showAnalysis(job);
+        return;
+      }
+
+      showStatus(statusDiv, `Analyzing "${jobData.jobTitle || 'this page'}"...`, 'info');
+      options = {
+        duplicateAction,
+        duplicateOf: response.duplicate.job.id
+      };
+      response = await streamAnalysis(jobData, options);
+    }
+
+    // Past the monthly budget (in warn mode) - only spend more if the user says so
+    if (response?.overBudget) {
+      if (!(await askAboutBudget(statusDiv, response.overBudget))) {
+        showStatus(statusDiv, 'Analysis cancelled.', 'info');
+        return;
+      }
+
+      showStatus(statusDiv, `Analyzing "${jobData.jobTitle || 'this page'}"...`, 'info');
+      response = await streamAnalysis(jobData, { ...options, budgetAcknowledged: true });
+    }
+
+    if (response?.cancelled) {
+      showStatus(statusDiv, 'Analysis cancelled.', 'info');
+      return;
+    }
+
+    await loadJobs();
+
+    if (response?.success) {
+      showStatus(statusDiv, response.merged ? 'Linked to your saved job.' : 'Job analyzed successfully!', 'success');
+      const job = currentJobs.find(j => j.id === response.jobId);
+      if (job) showAnalysis(job);
+    } else if (response?.queued) {
+      showStatus(statusDiv, `${response.error} The job is saved and will be analyzed again automatically.`, 'info');
+    } else {
+      showStatus(statusDiv, response?.error || 'Analysis failed', 'error');
+    }
+  } catch (error) {
+    console.error('Error analyzing current page:', error);
+    showStatus(statusDiv, 'Could not read this page. Some browser pages block extensions.', 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Runs an analysis in the background script, showing Claude's response as it streams in
+ * Closing the popup doesn't stop the analysis - it is still saved when it finishes
+ * @param {Object} jobData - Extracted job data
+ * @param {Object} [options] - { duplicateAction, duplicateOf, budgetAcknowledged }
+ * @returns {Promise<Object>} Response from background script
+ */
+async function streamAnalysis(jobData, options = {}) {
+  const container = document.getElementById('page-stream');
+  let output = null;
+
+  const stream = AnalysisStream.start(jobData, options, (text) => {
+    if (!output) {
+      output = showStreamBox(container, () => stream.cancel());
+    }
+
+    const atBottom = output.scrollHeight - output.scrollTop - output.clientHeight < 20;
+    output.textContent += text; // textContent prevents XSS
+    if (atBottom) output.scrollTop = output.scrollHeight;
+  });
+
+  try {
+    return await stream.promise;
+  } finally {
+    container.innerHTML = '';
+  }
+}
+
+/**
+ * Shows the live analysis box with a Cancel button
+ * @param {HTMLElement} container - Element to show the box in
+ * @param {Function} onCancel - Called when the user clicks Cancel
+ * @returns {HTMLElement} Element that receives the response text
+ */
+function showStreamBox(container, onCancel) {
+  const box = document.createElement('div');
+  box.className = 'status-message status-info';
+
+  const header = document.createElement('div');
+  header.className = 'stream-header';
+
+  const title = document.createElement('span');
+  title.textContent = 'Claude is analyzing this job...';
+  header.appendChild(title);
+
+  const cancelButton = document.createElement('button');
+  cancelButton.className = 'btn btn-secondary';
+  cancelButton.textContent = 'Cancel';
+  cancelButton.addEventListener('click', () => {
+    cancelButton.disabled = true;
+    cancelButton.textContent = 'Cancelling...';
+    onCancel();
+  });
+  header.appendChild(cancelButton);
+  box.appendChild(header);
+
+  const output = document.createElement('div');
+  output.className = 'stream-output';
+  box.appendChild(output);
+
+  container.innerHTML = '';
+  container.appendChild(box);
+  return output;
+}
+
+/**
+ * Asks what to do with a page that matches a saved job
+ * @param {HTMLElement} container - Element to show the question in
+ * @param {Object} duplicate - { matchType: 'exact'|'similar', job } from the background script
+ * @returns {Promise<string|null>} 'reanalyze', 'merge', 'separate', or null to view the saved job
+ */
+function askAboutDuplicate(container, duplicate) {
+  const { job, matchType } = duplicate;
+  const name = `${job.jobTitle || 'Untitled Job'} at ${job.company || 'Unknown Company'}`;
+  const when = job.analyzedAt ? ` ${formatDate(job.analyzedAt)}` : '';
+  const message = matchType === 'exact'
+    ? `You already analyzed this job${when}.`
+    : `This looks like "${name}"${job.platform ? ` from ${job.platform}` : ''}, saved${when}.`;
+
+  const choices = matchType === 'exact'
+    ? [['reanalyze', 'Re-analyze'], [null, 'View saved']]
+    : [['merge', 'Link to saved'], ['reanalyze', 'Re-analyze saved'], ['separate', 'Different job'], [null, 'View saved']];
+
+  return askChoice(container, message, choices);
+}
+
+/**
+ * Asks whether to analyze past the monthly budget
+ * @param {HTMLElement} container - Element to show the question in
+ * @param {Object} overBudget - { spent, budget } from the background script
+ * @returns {Promise<boolean>} Whether to go ahead
+ */
+async function askAboutBudget(container, overBudget) {
+  const message = `You've spent about ${formatCost(overBudget.spent)} of your ${formatCost(overBudget.budget)} monthly API budget.`;
+  return Boolean(await askChoice(container, message, [['continue', 'Analyze anyway'], [null, 'Cancel']]));
+}
+
+/**
+ * Shows a question with a button per choice and waits for a click
+ * The message is inserted with textContent to prevent XSS
+ * @param {HTMLElement} container - Element to show the question in
+ * @param {string} text - Question
+ * @param {Array<[string|null, string]>} choices - [value, label] pairs; null values get secondary buttons
+ * @returns {Promise<string|null>} Value of the clicked choice
+ */
+function askChoice(container, text, choices) {
+  return new Promise(resolve => {
+    const box = document.createElement('div');
+    box.className = 'status-message status-info';
+
+    const message = document.createElement('p');
+    message.style.marginBottom = '8px';
+    message.textContent = text;
+    box.appendChild(message);
+
+    const actions = document.createElement('div');
+    actions.className = 'export-actions';
+    actions.style.marginBottom = '0';
+    actions.style.flexWrap = 'wrap';
+    choices.forEach(([action, label]) => {
+      const button = document.createElement('button');
+      button.className = action ? 'btn btn-primary' : 'btn btn-secondary';
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        container.innerHTML = '';
+        resolve(action);
+      });
+      actions.appendChild(button);
+    });
+    box.appendChild(actions);
+
+    container.innerHTML = '';
+    container.appendChild(box);
+  });
+}
+
 /**
  * Show empty state
  */
@@ -202,7 +823,7 @@ function showEmptyState() {
         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 13.255A23.931 23.931 0 0112 15c-3.183 0-6.22-.62-9-1.745M16 6V4a2 2 0 00-2-2h-4a2 2 0 00-2 2v2m4 6h.01M5 20h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
       </svg>
       <h3>No jobs analyzed yet</h3>
-      <p>Visit a job posting on LinkedIn, Greenhouse, or Lever and click "Analyze with Claude"</p>
+      <p>Visit a job posting on LinkedIn, Indeed, Greenhouse, Lever or another supported site and click "Analyze with Claude"</p>
     </div>
   `;
 }
@@ -215,18 +836,147 @@ function showAnalysis(job) {
   const title = document.getElementById('modal-title');
   const body = document.getElementById('modal-body');
 
+  modalJob = job;
   title.textContent = job.jobTitle || 'Job Analysis';
+  body.innerHTML = '';
+
+  renderPostingDetails(body, job);
+  renderStatusHistory(body, job);
+
+  const analysis = job.analysis;
+
+  if (!analysis) {
+    body.textContent = 'No analysis available';
+  } else if (typeof analysis === 'string') {
+    // Analyses saved before structured output was introduced
+    renderTextAnalysis(body, analysis);
+  } else if (analysis.rawText) {
+    // Claude returned malformed JSON - show what it said instead
+    const notice = document.createElement('p');
+    notice.className = 'analysis-notice';
+    notice.textContent = 'Claude did not return a structured analysis. Showing the raw response.';
+    body.appendChild(notice);
+    renderTextAnalysis(body, analysis.rawText);
+  } else {
+    renderStructuredAnalysis(body, analysis);
+  }
+
+  modal.classList.add('active');
+}
+
+/**
+ * Renders the application stage history, newest first
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} job - Saved job
+ */
+function renderStatusHistory(container, job) {
+  // A lone "saved" entry carries no information worth showing
+  const history = job.statusHistory || [];
+  if (history.length <= 1 && !history[0]?.notes) return;
+
+  const section = document.createElement('div');
+  section.className = 'analysis-section';
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Application History';
+  section.appendChild(heading);
+
+  const list = document.createElement('ul');
+  list.className = 'status-history';
+
+  [...history].reverse().forEach(entry => {
+    const item = document.createElement('li');
+    const when = new Date(entry.at).toLocaleString();
+    item.textContent = `${Storage.getStatusLabel(entry.to)} - ${when}`;
+
+    if (entry.notes) {
+      const notes = document.createElement('div');
+      notes.className = 'history-notes';
+      notes.textContent = entry.notes;
+      item.appendChild(notes);
+    }
+
+    list.appendChild(item);
+  });
+
+  section.appendChild(list);
+  container.appendChild(section);
+}
+
+/**
+ * Renders posting details read from schema.org markup (salary, dates, etc.)
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} job - Saved job
+ */
+function renderPostingDetails(container, job) {
+  const details = [
+    ['Salary', job.salary?.text],
+    ['Employment type', job.employmentType],
+    ['Posted', job.datePosted && formatDate(job.datePosted)],
+    ['Apply by', job.validThrough && new Date(job.validThrough).toLocaleDateString()]
+  ].filter(([, value]) => value);
+
+  if (details.length === 0) return;
+
+  const list = document.createElement('dl');
+  list.className = 'posting-details';
+  details.forEach(([label, value]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    list.appendChild(dt);
+    list.appendChild(dd);
+  });
+
+  container.appendChild(list);
+}
+
+/**
+ * Renders a structured analysis object into the modal body
+ * All values are inserted with textContent to prevent XSS
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} analysis - Normalized analysis object
+ */
+function renderStructuredAnalysis(container, analysis) {
+  JobExporter.getAnalysisSections(analysis).forEach(({ heading, content }) => {
+    const section = document.createElement('div');
+    section.className = 'analysis-section';
+
+    const h3 = document.createElement('h3');
+    h3.textContent = heading;
+    section.appendChild(h3);
+
+    if (Array.isArray(content)) {
+      const ul = document.createElement('ul');
+      content.forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = item;
+        ul.appendChild(li);
+      });
+      section.appendChild(ul);
+    } else {
+      const p = document.createElement('p');
+      p.textContent = content;
+      section.appendChild(p);
+    }
 
-  const analysisText = job.analysis || 'No analysis available';
+    container.appendChild(section);
+  });
+}
 
+/**
+ * Renders plain-text analysis into the modal body
+ * Very long text is truncated behind a "Show More" toggle
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} analysisText - Analysis text
+ */
+function renderTextAnalysis(container, analysisText) {
   // Truncate very long content to prevent UI performance issues
   if (analysisText.length > MAX_MODAL_CONTENT_LENGTH) {
     const truncated = analysisText.substring(0, MAX_MODAL_CONTENT_LENGTH);
     const remaining = analysisText.substring(MAX_MODAL_CONTENT_LENGTH);
 
-    // Clear body and create truncated view with "show more" button
-    body.innerHTML = '';
-
     const truncatedPara = document.createElement('p');
     truncatedPara.textContent = truncated + '...';
     truncatedPara.style.whiteSpace = 'pre-wrap';
@@ -253,14 +1003,15 @@ function showAnalysis(job) {
       }
     });
 
-    body.appendChild(truncatedPara);
-    body.appendChild(hiddenContent);
-    body.appendChild(showMoreBtn);
+    container.appendChild(truncatedPara);
+    container.appendChild(hiddenContent);
+    container.appendChild(showMoreBtn);
   } else {
-    body.textContent = analysisText;
+    const para = document.createElement('p');
+    para.textContent = analysisText;
+    para.style.whiteSpace = 'pre-wrap';
+    container.appendChild(para);
   }
-
-  modal.classList.add('active');
 }
 
 /**
@@ -268,21 +1019,209 @@ function showAnalysis(job) {
  */
 function closeModal() {
   document.getElementById('analysis-modal').classList.remove('active');
+  modalJob = null;
 }
 
 /**
- * Open job in new tab
+ * Export jobs as Markdown or JSON downloads, or open the printable page for PDF
+ * @param {Array<Object>} jobs - Jobs to export
+ * @param {string} format - 'markdown', 'json' or 'pdf'
  */
-function openJob(job) {
-  // Validate URL to prevent XSS via javascript: or data: URLs
-  if (job.url && isSafeUrl(job.url)) {
-    chrome.tabs.create({ url: job.url });
-  } else if (job.url) {
-    console.error('Blocked unsafe URL:', job.url);
+function exportJobs(jobs, format) {
+  if (format === 'pdf') {
+    // The print page loads the jobs itself so it always prints fresh data
+    const ids = jobs.map(job => encodeURIComponent(job.id)).join(',');
+    chrome.tabs.create({ url: chrome.runtime.getURL(`print.html?ids=${ids}`) });
+  } else if (format === 'markdown') {
+    JobExporter.download(JobExporter.toMarkdown(jobs), JobExporter.getFileName(jobs, 'md'), 'text/markdown');
+  } else if (format === 'json') {
+    JobExporter.download(JobExporter.toJson(jobs), JobExporter.getFileName(jobs, 'json'), 'application/json');
+  } else {
+    console.error('Unknown export format:', format);
+  }
+}
+
+/**
+ * Export every saved job
+ * @param {string} format - 'markdown', 'json' or 'pdf'
+ */
+async function exportAllJobs(format) {
+  const statusDiv = document.getElementById('export-status');
+
+  // Reload so the export reflects changes made in other tabs since the popup opened
+  await loadJobs();
+
+  if (allJobs.length === 0) {
+    showStatus(statusDiv, 'No jobs to export', 'info');
+    return;
+  }
+
+  if (format === 'pdf') {
+    // Without ids the print page prints every saved job
+    chrome.tabs.create({ url: chrome.runtime.getURL('print.html') });
+  } else if (format === 'json') {
+    // Whole-store JSON doubles as a backup, so include settings and profile
+    const [settingsResponse, profileResponse] = await Promise.all([
+      chrome.runtime.sendMessage({ action: 'getSettings' }),
+      chrome.runtime.sendMessage({ action: 'getProfile' })
+    ]);
+    const extras = {
+      settings: settingsResponse.success ? settingsResponse.settings : null,
+      profile: profileResponse.success && Storage.hasProfile(profileResponse.profile) ? profileResponse.profile : null
+    };
+    JobExporter.download(JobExporter.toJson(allJobs, extras), JobExporter.getFileName(allJobs, 'json'), 'application/json');
+  } else {
+    exportJobs(allJobs, format);
+  }
+}
+
+/**
+ * Read the chosen export file, validate it and show what importing it would do
+ * @param {Event} event - File input change event
+ */
+async function previewImport(event) {
+  const preview = document.getElementById('import-preview');
+  const actions = document.getElementById('import-actions');
+  const file = event.target.files[0];
+
+  pendingImportText = null;
+  preview.innerHTML = '';
+  actions.style.display = 'none';
+
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    const bundle = JobExporter.parseBundle(text);
+
+    await loadJobs();
+    const conflicts = Storage.findImportConflicts(bundle.jobs, allJobs);
+
+    const contents = [`${bundle.jobs.length} job${bundle.jobs.length === 1 ? '' : 's'}`];
+    if (bundle.settings) contents.push('settings');
+    if (bundle.profile) contents.push('profile');
+
+    const summary = document.createElement('p');
+    summary.textContent = `Contains ${contents.join(', ')}`
+      + (bundle.exportedAt ? ` (exported ${new Date(bundle.exportedAt).toLocaleString()})` : '')
+      + (bundle.skipped.length > 0 ? `. ${bundle.skipped.length} invalid job${bundle.skipped.length === 1 ? '' : 's'} will be skipped` : '')
+      + '.';
+    preview.appendChild(summary);
+
+    if (conflicts.length > 0) {
+      const heading = document.createElement('p');
+      heading.textContent = `${conflicts.length} job${conflicts.length === 1 ? '' : 's'} already saved:`;
+      preview.appendChild(heading);
+
+      const list = document.createElement('ul');
+      conflicts.forEach(({ job, matchedBy }) => {
+        const item = document.createElement('li');
+        item.textContent = `${job.jobTitle || 'Untitled Job'} at ${job.company || 'Unknown Company'} (same ${matchedBy === 'id' ? 'id' : 'URL'})`;
+        list.appendChild(item);
+      });
+      preview.appendChild(list);
+    }
+
+    pendingImportText = text;
+    actions.style.display = 'flex';
+  } catch (error) {
+    console.error('Error reading import file:', error);
+    showStatus(document.getElementById('import-status'), error.message || 'Could not read file', 'error');
+  }
+}
+
+/**
+ * Import the previewed file
+ * @param {string} mode - 'merge' or 'replace'
+ */
+async function runImport(mode) {
+  const statusDiv = document.getElementById('import-status');
+
+  if (!pendingImportText) return;
+
+  if (mode === 'replace' && !confirm('Replace all saved jobs with the imported ones? This cannot be undone.')) {
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'importData', text: pendingImportText, mode });
+
+    if (!response.success) {
+      showStatus(statusDiv, response.error || 'Import failed', 'error');
+      return;
+    }
+
+    const { added, updated, kept, skipped } = response.summary;
+    const parts = [`${added} added`, `${updated} updated`];
+    if (kept) parts.push(`${kept} kept (saved copy was newer)`);
+    if (skipped) parts.push(`${skipped} invalid skipped`);
+    showStatus(statusDiv, `Import complete: ${parts.join(', ')}`, 'success');
+
+    // Reset the form and refresh everything the import may have changed
+    pendingImportText = null;
+    document.getElementById('import-file').value = '';
+    document.getElementById('import-preview').innerHTML = '';
+    document.getElementById('import-actions').style.display = 'none';
+    await loadJobs();
+    await loadProfile();
+  } catch (error) {
+    console.error('Error importing data:', error);
+    showStatus(statusDiv, 'Error communicating with extension. Please try again.', 'error');
+  }
+}
+
+/**
+ * Open job in new tab
+ */
+function openJob(job) {
+  // Validate URL to prevent XSS via javascript: or data: URLs
+  if (job.url && isSafeUrl(job.url)) {
+    chrome.tabs.create({ url: job.url });
+  } else if (job.url) {
+    console.error('Blocked unsafe URL:', job.url);
     alert('Cannot open job: invalid or unsafe URL');
   }
 }
 
+/**
+ * Moves a job to another application stage, asking for optional notes
+ * @param {Object} job - Job being moved
+ * @param {string} status - New status id
+ * @param {HTMLSelectElement} select - The card's stage dropdown (reset on cancel/failure)
+ */
+async function changeJobStatus(job, status, select) {
+  const previousStatus = Storage.getJobStatus(job);
+  if (status === previousStatus) return;
+
+  const notes = prompt(`Notes for moving to "${Storage.getStatusLabel(status)}" (optional):`, '');
+
+  // Cancel leaves the job where it was
+  if (notes === null) {
+    select.value = previousStatus;
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'updateJobStatus',
+      jobId: job.id,
+      status,
+      notes
+    });
+
+    if (response.success) {
+      await loadJobs();
+    } else {
+      select.value = previousStatus;
+      alert(response.error || 'Failed to update job status');
+    }
+  } catch (error) {
+    console.error('Error updating job status:', error);
+    select.value = previousStatus;
+    alert('Error updating job status');
+  }
+}
+
 /**
  * Delete a job
  */
@@ -385,6 +1324,663 @@ async function testApiKey() {
   }
 }
 
+/**
+ * Load profile into the Profile tab
+ */
+async function loadProfile() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getProfile' });
+
+    if (response.success && response.profile) {
+      const profile = response.profile;
+      document.getElementById('profile-resume').value = profile.resumeText || '';
+      document.getElementById('profile-roles').value = (profile.targetRoles || []).join(', ');
+      document.getElementById('profile-years').value = profile.yearsOfExperience ?? '';
+      document.getElementById('profile-stack').value = (profile.preferredStack || []).join(', ');
+      document.getElementById('profile-dealbreakers').value = (profile.dealbreakers || []).join('\n');
+    }
+  } catch (error) {
+    console.error('Error loading profile:', error);
+  }
+}
+
+/**
+ * Save profile from the Profile tab
+ */
+async function saveProfile() {
+  const statusDiv = document.getElementById('profile-status');
+  const splitList = (value, separator) => value.split(separator).map(item => item.trim()).filter(Boolean);
+
+  const profile = {
+    resumeText: document.getElementById('profile-resume').value,
+    targetRoles: splitList(document.getElementById('profile-roles').value, ','),
+    yearsOfExperience: document.getElementById('profile-years').value,
+    preferredStack: splitList(document.getElementById('profile-stack').value, ','),
+    dealbreakers: splitList(document.getElementById('profile-dealbreakers').value, '\n')
+  };
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'saveProfile',
+      profile
+    });
+
+    if (response.success) {
+      showStatus(statusDiv, 'Profile saved! New analyses will be personalized.', 'success');
+    } else {
+      showStatus(statusDiv, response.error || 'Failed to save profile', 'error');
+    }
+  } catch (error) {
+    console.error('Error saving profile:', error);
+    showStatus(statusDiv, 'Error saving profile', 'error');
+  }
+}
+
+/**
+ * Load the analysis depth preset into the Settings tab
+ */
+async function loadAnalysisDepth() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    if (response.success) {
+      document.getElementById('analysis-depth').value = response.settings.analysisDepth;
+    }
+  } catch (error) {
+    console.error('Error loading analysis depth:', error);
+  }
+}
+
+/**
+ * Save the analysis depth preset as soon as it changes
+ */
+async function saveAnalysisDepth(e) {
+  const statusDiv = document.getElementById('analysis-status');
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'saveSettings',
+      settings: { analysisDepth: e.target.value }
+    });
+
+    if (response.success) {
+      showStatus(statusDiv, 'Analysis depth saved!', 'success');
+    } else {
+      showStatus(statusDiv, response.error || 'Failed to save analysis depth', 'error');
+    }
+  } catch (error) {
+    console.error('Error saving analysis depth:', error);
+    showStatus(statusDiv, 'Error saving analysis depth', 'error');
+  }
+}
+
+/**
+ * Load the model, max tokens and temperature settings into the Settings tab
+ * One row per analysis depth; a saved model that's no longer offered is kept as an option
+ */
+async function loadModelSettings() {
+  let settings = {};
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    if (response.success) settings = response.settings;
+  } catch (error) {
+    console.error('Error loading model settings:', error);
+  }
+
+  const container = document.getElementById('model-settings');
+  container.innerHTML = '';
+
+  Object.entries(ClaudeClient.ANALYSIS_DEPTHS).forEach(([depth, preset]) => {
+    const saved = settings.analysisModels?.[depth] || {};
+    const { model } = ClaudeClient.getRequestParameters(settings, depth);
+
+    const label = document.createElement('label');
+    label.htmlFor = `model-${depth}`;
+    label.textContent = preset.label;
+
+    // Option text is set with textContent; model ids come from storage
+    const select = document.createElement('select');
+    select.id = `model-${depth}`;
+    select.dataset.depth = depth;
+    const models = ClaudeClient.MODELS.some(item => item.id === model)
+      ? ClaudeClient.MODELS
+      : [...ClaudeClient.MODELS, { id: model, label: model }];
+    models.forEach(item => {
+      const option = document.createElement('option');
+      option.value = item.id;
+      option.textContent = item.label;
+      select.appendChild(option);
+    });
+    select.value = model;
+
+    const maxTokens = document.createElement('input');
+    maxTokens.type = 'number';
+    maxTokens.id = `max-tokens-${depth}`;
+    maxTokens.min = ClaudeClient.MIN_MAX_TOKENS;
+    maxTokens.max = ClaudeClient.getMaxOutputTokens(model);
+    maxTokens.step = 256;
+    maxTokens.placeholder = preset.maxTokens;
+    maxTokens.title = 'Max tokens';
+    maxTokens.value = saved.maxTokens || '';
+
+    // Each model has its own output limit
+    select.addEventListener('change', () => {
+      maxTokens.max = ClaudeClient.getMaxOutputTokens(select.value);
+    });
+
+    container.append(label, select, maxTokens);
+  });
+
+  const header = ['', 'Model', 'Max tokens'].map(text => {
+    const span = document.createElement('span');
+    span.textContent = text;
+    return span;
+  });
+  container.prepend(...header);
+
+  document.getElementById('temperature').value = ClaudeClient.getRequestParameters(settings).temperature;
+}
+
+/**
+ * Save the model settings after checking the API key can use each chosen model
+ */
+async function saveModelSettings() {
+  const statusDiv = document.getElementById('model-status');
+  const analysisModels = {};
+
+  for (const [depth, preset] of Object.entries(ClaudeClient.ANALYSIS_DEPTHS)) {
+    const model = document.getElementById(`model-${depth}`).value;
+    const maxTokensValue = document.getElementById(`max-tokens-${depth}`).value.trim();
+    const maxTokens = Number(maxTokensValue);
+
+    if (maxTokensValue && !ClaudeClient.isValidMaxTokens(maxTokens, model)) {
+      showStatus(statusDiv, `${preset.label}: max tokens must be a whole number from ${ClaudeClient.MIN_MAX_TOKENS} to ${ClaudeClient.getMaxOutputTokens(model)}`, 'error');
+      return;
+    }
+
+    analysisModels[depth] = maxTokensValue ? { model, maxTokens } : { model };
+  }
+
+  const temperatureValue = document.getElementById('temperature').value.trim();
+  const temperature = temperatureValue ? Number(temperatureValue) : ClaudeClient.DEFAULT_TEMPERATURE;
+  if (!Number.isFinite(temperature) || temperature < 0 || temperature > 1) {
+    showStatus(statusDiv, 'Temperature must be between 0 and 1', 'error');
+    return;
+  }
+
+  try {
+    const keyResponse = await chrome.runtime.sendMessage({ action: 'getApiKey' });
+    if (!keyResponse.success || !keyResponse.apiKey) {
+      showStatus(statusDiv, 'Save your API key first so the models can be checked', 'error');
+      return;
+    }
+
+    // One round trip per distinct model, so a model the key can't use is caught now rather than mid-analysis
+    const models = [...new Set(Object.values(analysisModels).map(item => item.model))];
+    showStatus(statusDiv, `Checking ${models.length === 1 ? 'model' : 'models'}...`, 'info');
+
+    for (const model of models) {
+      const test = await chrome.runtime.sendMessage({ action: 'testApiKey', apiKey: keyResponse.apiKey, model });
+      if (!test.success || !test.isValid) {
+        showStatus(statusDiv, `${model}: ${test.details || test.error || 'Model is not available'}`, 'error');
+        return;
+      }
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'saveSettings',
+      settings: { analysisModels, temperature }
+    });
+
+    if (response.success) {
+      showStatus(statusDiv, 'Model settings saved!', 'success');
+    } else {
+      showStatus(statusDiv, response.error || 'Failed to save model settings', 'error');
+    }
+  } catch (error) {
+    console.error('Error saving model settings:', error);
+    showStatus(statusDiv, 'Error saving model settings', 'error');
+  }
+}
+
+/**
+ * Load custom prompt templates and the data used to preview them
+ */
+async function loadPromptTemplates() {
+  try {
+    const [settingsResponse, profileResponse] = await Promise.all([
+      chrome.runtime.sendMessage({ action: 'getSettings' }),
+      chrome.runtime.sendMessage({ action: 'getProfile' })
+    ]);
+
+    if (settingsResponse.success) {
+      const { settings } = settingsResponse;
+      promptTemplates = Array.isArray(settings.promptTemplates) ? settings.promptTemplates : [];
+      activePromptTemplate = promptTemplates.some(item => item.id === settings.activePromptTemplate)
+        ? settings.activePromptTemplate
+        : '';
+      editingTemplateId = activePromptTemplate;
+    }
+
+    if (profileResponse.success && Storage.hasProfile(profileResponse.profile)) {
+      previewProfile = profileResponse.profile;
+    }
+  } catch (error) {
+    console.error('Error loading prompt templates:', error);
+  }
+
+  // Variable reference, inserted with textContent to prevent XSS
+  const variables = document.getElementById('template-variables');
+  variables.innerHTML = '';
+  ClaudeClient.PROMPT_VARIABLES.forEach(({ name, description }) => {
+    const item = document.createElement('li');
+    const code = document.createElement('code');
+    code.textContent = `{{${name}}}`;
+    item.appendChild(code);
+    item.appendChild(document.createTextNode(` - ${description}`));
+    variables.appendChild(item);
+  });
+
+  // Preview against saved jobs, newest first
+  const previewSelect = document.getElementById('template-preview-job');
+  previewSelect.innerHTML = '';
+  allJobs.forEach(job => {
+    const option = document.createElement('option');
+    option.value = job.id;
+    option.textContent = `${job.jobTitle || 'Untitled Job'} - ${job.company || 'Unknown Company'}`;
+    previewSelect.appendChild(option);
+  });
+
+  renderTemplateEditor();
+}
+
+/**
+ * Shows the selected template in the editor
+ * The built-in template is read-only; "New" copies it into an editable template
+ */
+function renderTemplateEditor() {
+  const select = document.getElementById('prompt-template');
+  const template = promptTemplates.find(item => item.id === editingTemplateId) || null;
+  if (!template) editingTemplateId = '';
+
+  select.innerHTML = '';
+  [{ id: '', name: 'Built-in default' }, ...promptTemplates].forEach(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = id === activePromptTemplate ? `${name} (in use)` : name;
+    select.appendChild(option);
+  });
+  select.value = editingTemplateId;
+
+  const nameInput = document.getElementById('template-name');
+  const textArea = document.getElementById('template-text');
+  nameInput.value = template ? template.name : 'Built-in default';
+  textArea.value = template ? template.template : ClaudeClient.DEFAULT_PROMPT_TEMPLATE;
+  nameInput.readOnly = !template;
+  textArea.readOnly = !template;
+
+  ['delete-template', 'save-template', 'reset-template'].forEach(id => {
+    document.getElementById(id).disabled = !template;
+  });
+
+  const activeCheckbox = document.getElementById('template-active');
+  activeCheckbox.checked = editingTemplateId === activePromptTemplate;
+  // Unticking a custom template falls back to the built-in one, so the built-in one can't be unticked
+  activeCheckbox.disabled = !template && activePromptTemplate === '';
+
+  updateTemplatePreview();
+}
+
+/**
+ * Renders the prompt in the editor against the chosen saved job
+ */
+function updateTemplatePreview() {
+  const preview = document.getElementById('template-preview');
+  const job = allJobs.find(item => item.id === document.getElementById('template-preview-job').value);
+
+  if (!job) {
+    preview.textContent = 'Analyze a job to preview templates against it.';
+    return;
+  }
+
+  // Same rendering (and sanitizing) the background script uses for real analyses
+  preview.textContent = ClaudeClient.buildAnalysisPrompt(
+    job,
+    previewProfile,
+    document.getElementById('analysis-depth').value,
+    document.getElementById('template-text').value
+  );
+}
+
+/**
+ * Persists the template list and the template in use
+ * @param {string} successMessage - Status shown once saved
+ */
+async function persistPromptTemplates(successMessage) {
+  const statusDiv = document.getElementById('template-status');
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'saveSettings',
+      settings: { promptTemplates, activePromptTemplate }
+    });
+
+    if (response.success) {
+      showStatus(statusDiv, successMessage, 'success');
+    } else {
+      showStatus(statusDiv, response.error || 'Failed to save templates', 'error');
+    }
+  } catch (error) {
+    console.error('Error saving prompt templates:', error);
+    showStatus(statusDiv, 'Error saving templates', 'error');
+  }
+}
+
+/**
+ * Create a template from the one in the editor
+ */
+async function createPromptTemplate() {
+  if (promptTemplates.length >= Storage.MAX_PROMPT_TEMPLATES) {
+    showStatus(document.getElementById('template-status'), `You can keep up to ${Storage.MAX_PROMPT_TEMPLATES} templates`, 'error');
+    return;
+  }
+
+  const template = {
+    id: `tpl_${Date.now().toString(36)}`,
+    name: `Custom template ${promptTemplates.length + 1}`,
+    template: document.getElementById('template-text').value || ClaudeClient.DEFAULT_PROMPT_TEMPLATE
+  };
+
+  promptTemplates = [...promptTemplates, template];
+  editingTemplateId = template.id;
+  renderTemplateEditor();
+  await persistPromptTemplates('Template created. Edit it and click Save.');
+}
+
+/**
+ * Save the template open in the editor
+ */
+async function savePromptTemplate() {
+  const statusDiv = document.getElementById('template-status');
+  const name = document.getElementById('template-name').value.trim();
+  const text = document.getElementById('template-text').value;
+
+  if (!name) {
+    showStatus(statusDiv, 'Give the template a name', 'error');
+    return;
+  }
+
+  if (!text.trim()) {
+    showStatus(statusDiv, 'The prompt is empty', 'error');
+    return;
+  }
+
+  if (text.length > ClaudeClient.MAX_PROMPT_TEMPLATE_LENGTH) {
+    showStatus(statusDiv, `Prompts can be up to ${ClaudeClient.MAX_PROMPT_TEMPLATE_LENGTH} characters`, 'error');
+    return;
+  }
+
+  if (!/\{\{\s*description\s*\}\}/.test(text)) {
+    showStatus(statusDiv, 'Include {{description}} so Claude sees the job posting', 'error');
+    return;
+  }
+
+  promptTemplates = promptTemplates.map(item => (item.id === editingTemplateId ? { ...item, name, template: text } : item));
+  renderTemplateEditor();
+  await persistPromptTemplates('Template saved!');
+}
+
+/**
+ * Delete the template open in the editor
+ */
+async function deletePromptTemplate() {
+  const template = promptTemplates.find(item => item.id === editingTemplateId);
+  if (!template || !confirm(`Delete the "${template.name}" template?`)) {
+    return;
+  }
+
+  promptTemplates = promptTemplates.filter(item => item.id !== template.id);
+  if (activePromptTemplate === template.id) activePromptTemplate = '';
+  editingTemplateId = activePromptTemplate;
+  renderTemplateEditor();
+  await persistPromptTemplates('Template deleted');
+}
+
+/**
+ * Use (or stop using) the template open in the editor for analyses
+ */
+async function setActivePromptTemplate(e) {
+  activePromptTemplate = e.target.checked ? editingTemplateId : '';
+  renderTemplateEditor();
+  await persistPromptTemplates(activePromptTemplate ? 'New analyses will use this template' : 'New analyses will use the built-in prompt');
+}
+
+/**
+ * Load auto-analysis settings and today's usage into the Settings tab
+ */
+async function loadAutoAnalyzeSettings() {
+  const container = document.getElementById('auto-analyze-platforms');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    if (!response.success) return;
+
+    const { autoAnalyze, autoAnalyzeDailyLimit, autoAnalyzePlatforms } = response.settings;
+    document.getElementById('auto-analyze').checked = Boolean(autoAnalyze);
+    document.getElementById('auto-analyze-limit').value = autoAnalyzeDailyLimit;
+
+    // Platform names come from our own registry, but use textContent anyway
+    container.innerHTML = '';
+    JobPlatforms.getAll().forEach(platform => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = platform.id;
+      checkbox.checked = (autoAnalyzePlatforms || []).includes(platform.id);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${platform.name}`));
+
+      container.appendChild(label);
+    });
+
+    const usedToday = await Storage.getAutoAnalyzeCount();
+    document.getElementById('auto-analyze-usage').textContent = `${usedToday} used today`;
+  } catch (error) {
+    console.error('Error loading auto-analyze settings:', error);
+  }
+}
+
+/**
+ * Shows whether the optional access to all sites (for the schema.org button) is granted
+ */
+async function loadStructuredDataSites() {
+  try {
+    const origins = chrome.runtime.getManifest().optional_host_permissions;
+    document.getElementById('structured-data-sites').checked = await chrome.permissions.contains({ origins });
+  } catch (error) {
+    console.error('Error loading site access:', error);
+  }
+}
+
+/**
+ * Asks for, or gives up, access to all sites
+ * The background script registers or removes the content script when the permission changes
+ * @param {Event} event - Checkbox change event
+ */
+async function toggleStructuredDataSites(event) {
+  const checkbox = event.target;
+  const statusDiv = document.getElementById('structured-data-status');
+  const origins = chrome.runtime.getManifest().optional_host_permissions;
+
+  try {
+    if (checkbox.checked) {
+      checkbox.checked = await chrome.permissions.request({ origins });
+      if (checkbox.checked) {
+        showStatus(statusDiv, 'Reload open career pages to see the button.', 'success');
+      } else {
+        showStatus(statusDiv, 'Access was not granted. Analyze This Page still works on any site.', 'info');
+      }
+    } else {
+      await chrome.permissions.remove({ origins });
+      showStatus(statusDiv, 'The button now only appears on the supported job boards.', 'info');
+    }
+  } catch (error) {
+    console.error('Error changing site access:', error);
+    await loadStructuredDataSites();
+    showStatus(statusDiv, 'Could not change site access. Please try again.', 'error');
+  }
+}
+
+/**
+ * Load API usage totals, per-job costs and the monthly budget into the Settings tab
+ */
+async function loadUsage() {
+  try {
+    const [totals, settingsResponse] = await Promise.all([
+      Storage.getUsageTotals(),
+      chrome.runtime.sendMessage({ action: 'getSettings' })
+    ]);
+    const settings = settingsResponse.success ? settingsResponse.settings : {};
+
+    // Totals are numbers we computed, but use textContent anyway
+    const tbody = document.getElementById('usage-totals');
+    tbody.innerHTML = '';
+    [['Today', totals.today], ['This month', totals.month]].forEach(([label, row]) => {
+      const tr = document.createElement('tr');
+      [label, formatTokens(row.requests), formatTokens(row.inputTokens), formatTokens(row.outputTokens), formatCost(row.cost)]
+        .forEach(value => {
+          const td = document.createElement('td');
+          td.textContent = value;
+          tr.appendChild(td);
+        });
+      tbody.appendChild(tr);
+    });
+
+    // Each job keeps the usage of its latest analysis; older jobs have none recorded
+    const costedJobs = allJobs
+      .filter(job => job.analysis?.usage)
+      .sort((a, b) => (b.analysis.usage.cost || 0) - (a.analysis.usage.cost || 0));
+    const jobsTotal = costedJobs.reduce((sum, job) => sum + (Number(job.analysis.usage.cost) || 0), 0);
+
+    document.getElementById('usage-jobs-total').textContent = costedJobs.length > 0
+      ? `${formatCost(jobsTotal)} across ${costedJobs.length} saved ${costedJobs.length === 1 ? 'analysis' : 'analyses'}${costedJobs.length > USAGE_JOBS_SHOWN ? `; the ${USAGE_JOBS_SHOWN} most expensive:` : ''}`
+      : 'No saved analyses with usage recorded yet.';
+
+    const list = document.getElementById('usage-jobs');
+    list.innerHTML = '';
+    costedJobs.slice(0, USAGE_JOBS_SHOWN).forEach(job => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = `${job.jobTitle || 'Untitled Job'} - ${job.company || 'Unknown Company'}`;
+      name.title = job.analysis.usage.model || '';
+      const cost = document.createElement('span');
+      cost.textContent = formatCost(job.analysis.usage.cost);
+      item.append(name, cost);
+      list.appendChild(item);
+    });
+
+    const budget = Number(settings.monthlyBudget) || 0;
+    document.getElementById('monthly-budget').value = budget > 0 ? budget : '';
+    document.getElementById('budget-action').value = settings.budgetAction === 'block' ? 'block' : 'warn';
+    document.getElementById('budget-progress').textContent = budget > 0
+      ? `${formatCost(totals.month.cost)} of ${formatCost(budget)} used this month (${Math.round((totals.month.cost / budget) * 100)}%)`
+      : '';
+  } catch (error) {
+    console.error('Error loading usage:', error);
+  }
+}
+
+/**
+ * Save the monthly budget and what happens once it is reached
+ */
+async function saveBudget() {
+  const statusDiv = document.getElementById('budget-status');
+  const value = document.getElementById('monthly-budget').value.trim();
+  const monthlyBudget = value ? Number(value) : 0;
+
+  if (!Number.isFinite(monthlyBudget) || monthlyBudget < 0) {
+    showStatus(statusDiv, 'Enter a budget of 0 or more, or leave it blank for no budget', 'error');
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'saveSettings',
+      settings: { monthlyBudget, budgetAction: document.getElementById('budget-action').value }
+    });
+
+    if (response.success) {
+      showStatus(statusDiv, monthlyBudget > 0 ? 'Budget saved!' : 'Budget removed', 'success');
+      await loadUsage();
+    } else {
+      showStatus(statusDiv, response.error || 'Failed to save budget', 'error');
+    }
+  } catch (error) {
+    console.error('Error saving budget:', error);
+    showStatus(statusDiv, 'Error saving budget', 'error');
+  }
+}
+
+/**
+ * Save auto-analysis settings
+ */
+async function saveAutoAnalyzeSettings() {
+  const statusDiv = document.getElementById('auto-analyze-status');
+  const limit = Number(document.getElementById('auto-analyze-limit').value);
+
+  if (!Number.isInteger(limit) || limit < 0 || limit > Storage.MAX_AUTO_ANALYZE_DAILY_LIMIT) {
+    showStatus(statusDiv, `Daily limit must be a whole number from 0 to ${Storage.MAX_AUTO_ANALYZE_DAILY_LIMIT}`, 'error');
+    return;
+  }
+
+  const settings = {
+    autoAnalyze: document.getElementById('auto-analyze').checked,
+    autoAnalyzeDailyLimit: limit,
+    autoAnalyzePlatforms: [...document.querySelectorAll('#auto-analyze-platforms input:checked')].map(input => input.value)
+  };
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'saveSettings', settings });
+
+    if (!response.success) {
+      showStatus(statusDiv, response.error || 'Failed to save settings', 'error');
+    } else if (settings.autoAnalyze && settings.autoAnalyzePlatforms.length === 0) {
+      showStatus(statusDiv, 'Saved. Pick at least one site for auto-analysis to run.', 'info');
+    } else {
+      showStatus(statusDiv, 'Auto-analyze settings saved!', 'success');
+    }
+  } catch (error) {
+    console.error('Error saving auto-analyze settings:', error);
+    showStatus(statusDiv, 'Error saving settings', 'error');
+  }
+}
+
+/**
+ * Reads an uploaded plain-text resume into the resume field
+ */
+async function handleResumeUpload(event) {
+  const file = event.target.files?.[0];
+  const statusDiv = document.getElementById('profile-status');
+  if (!file) return;
+
+  // Only plain text formats can be read without a parser
+  if (!/\.(txt|md)$/i.test(file.name) && !file.type.startsWith('text/')) {
+    showStatus(statusDiv, 'Please upload a .txt or .md file, or paste your resume text', 'error');
+    event.target.value = '';
+    return;
+  }
+
+  try {
+    const text = await file.text();
+    document.getElementById('profile-resume').value = text;
+    showStatus(statusDiv, `Loaded ${file.name}. Click Save Profile to keep it.`, 'success');
+  } catch (error) {
+    console.error('Error reading resume file:', error);
+    showStatus(statusDiv, 'Could not read that file', 'error');
+  }
+}
+
 /**
  * Clear all jobs
  */
@@ -394,7 +1990,10 @@ async function clearAllJobs() {
   }
 
   try {
-    await Storage.clearAllJobs();
+    const response = await chrome.runtime.sendMessage({ action: 'clearJobs' });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to clear jobs');
+    }
     await loadJobs();
   } catch (error) {
     console.error('Error clearing jobs:', error);
@@ -425,36 +2024,3 @@ function showStatus(element, message, type) {
     element.innerHTML = '';
   }, STATUS_MESSAGE_DURATION);
 }
-
-/**
- * Format date for display
- */
-function formatDate(dateString) {
-  if (!dateString) return 'Unknown date';
-
-  const date = new Date(dateString);
-
-  // Validate date
-  if (isNaN(date.getTime())) {
-    return 'Invalid date';
-  }
-
-  const now = new Date();
-  const diffMs = now - date;
-
-  // Handle future dates
-  if (diffMs < 0) {
-    return date.toLocaleDateString();
-  }
-
-  const diffMins = Math.floor(diffMs / 60000);
-  const diffHours = Math.floor(diffMs / 3600000);
-  const diffDays = Math.floor(diffMs / 86400000);
-
-  if (diffMins < 1) return 'Just now';
-  if (diffMins < 60) return diffMins + 'm ago';
-  if (diffHours < 24) return diffHours + 'h ago';
-  if (diffDays < 7) return diffDays + 'd ago';
-
-  return date.toLocaleDateString();
-}
@@ -0,0 +1,128 @@
+/**
+ * Print Script
+ * Printable view of saved jobs, used for PDF export via the browser's print dialog
+ * Opened from the popup as print.html?ids=<jobId>,<jobId>,... (no ids prints every job)
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log('Print page loaded');
+
+  document.getElementById('print-page').addEventListener('click', () => window.print());
+
+  if (await loadPrintJobs()) {
+    window.print();
+  }
+});
+
+/**
+ * Load the requested jobs and render them
+ * @returns {Promise<boolean>} Whether anything was rendered
+ */
+async function loadPrintJobs() {
+  const container = document.getElementById('jobs');
+  const summary = document.getElementById('print-summary');
+  const ids = (new URLSearchParams(window.location.search).get('ids') || '').split(',').filter(Boolean);
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getJobs' });
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load jobs');
+    }
+
+    const jobs = ids.length > 0
+      ? ids.map(id => response.jobs.find(job => job.id === id)).filter(Boolean)
+      : response.jobs;
+
+    if (jobs.length === 0) {
+      summary.textContent = 'Nothing to print';
+      container.innerHTML = '<div class="page-message">No saved jobs found.</div>';
+      return false;
+    }
+
+    summary.textContent = `${jobs.length} job${jobs.length === 1 ? '' : 's'} - choose "Save as PDF" as the destination to export`;
+    document.title = jobs.length === 1
+      ? `${jobs[0].jobTitle || 'Untitled Job'} - ${jobs[0].company || 'Unknown Company'}`
+      : `Job Hunt Assistant Export (${jobs.length} jobs)`;
+
+    jobs.forEach(job => container.appendChild(renderPrintJob(job)));
+    return true;
+  } catch (error) {
+    console.error('Error loading jobs for printing:', error);
+    container.innerHTML = '<div class="page-message">Error loading jobs</div>';
+    return false;
+  }
+}
+
+/**
+ * Create an element with text content
+ * All values are inserted with textContent to prevent XSS
+ * @param {string} tag - Tag name
+ * @param {string} text - Text content
+ * @param {string} [className] - Optional class name
+ * @returns {HTMLElement} Element
+ */
+function textElement(tag, text, className = '') {
+  const element = document.createElement(tag);
+  element.textContent = text;
+  if (className) element.className = className;
+  return element;
+}
+
+/**
+ * Render one job as a printable article
+ * @param {Object} job - Saved job
+ * @returns {HTMLElement} Article element
+ */
+function renderPrintJob(job) {
+  const article = document.createElement('article');
+  article.className = 'job';
+
+  article.appendChild(textElement('h1', job.jobTitle || 'Untitled Job'));
+  article.appendChild(textElement('div', job.company || 'Unknown Company', 'company'));
+
+  const details = document.createElement('dl');
+  details.className = 'details';
+  JobExporter.getJobDetails(job).forEach(([label, value]) => {
+    details.appendChild(textElement('dt', label));
+    details.appendChild(textElement('dd', value));
+  });
+  article.appendChild(details);
+
+  const history = job.statusHistory || [];
+  if (history.length > 1) {
+    article.appendChild(textElement('h2', 'Application History'));
+    const list = document.createElement('ul');
+    history.forEach(entry => {
+      const notes = entry.notes ? ` - ${entry.notes}` : '';
+      list.appendChild(textElement('li', `${new Date(entry.at).toLocaleString()}: ${Storage.getStatusLabel(entry.to)}${notes}`));
+    });
+    article.appendChild(list);
+  }
+
+  article.appendChild(textElement('h2', 'Analysis'));
+  const analysis = job.analysis;
+  if (!analysis) {
+    article.appendChild(textElement('p', job.analysisError ? `Analysis failed: ${job.analysisError}` : 'No analysis available', 'muted'));
+  } else if (typeof analysis === 'string' || analysis.rawText) {
+    article.appendChild(textElement('p', typeof analysis === 'string' ? analysis : analysis.rawText, 'pre-text'));
+  } else {
+    JobExporter.getAnalysisSections(analysis).forEach(({ heading, content }) => {
+      article.appendChild(textElement('h3', heading));
+      if (Array.isArray(content)) {
+        const list = document.createElement('ul');
+        content.forEach(item => list.appendChild(textElement('li', item)));
+        article.appendChild(list);
+      } else {
+        article.appendChild(textElement('p', content));
+      }
+    });
+  }
+
+  article.appendChild(textElement('h2', 'Original Description'));
+  article.appendChild(job.description
+    ? textElement('p', job.description, 'pre-text')
+    : textElement('p', 'No description captured', 'muted'));
+
+  return article;
+}
@@ -0,0 +1,79 @@
+/**
+ * Manifest Check
+ * Verifies that manifest.json's content_scripts matches and host_permissions
+ * cover exactly the URL patterns declared in lib/platforms.js.
+ *
+ * Usage:
+ *   node scripts/check-manifest.js         # report drift, exit 1 if any
+ *   node scripts/check-manifest.js --fix   # rewrite manifest.json from the registry
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT, 'manifest.json');
+const PLATFORMS_PATH = path.join(ROOT, 'lib', 'platforms.js');
+
+// Host permissions that aren't job platforms and must be preserved as-is
+const NON_PLATFORM_HOSTS = ['https://api.anthropic.com/*'];
+
+/**
+ * Loads the platform registry the same way the browser does (as a plain script)
+ * @returns {Object} JobPlatforms registry
+ */
+function loadRegistry() {
+  const sandbox = { window: {}, console };
+  vm.runInNewContext(fs.readFileSync(PLATFORMS_PATH, 'utf8'), sandbox, { filename: PLATFORMS_PATH });
+  return sandbox.window.JobPlatforms;
+}
+
+/**
+ * Lists the differences between an expected and actual pattern list
+ * @param {string} label - Manifest field name for messages
+ * @param {Array<string>} expected - Patterns from the registry
+ * @param {Array<string>} actual - Patterns in the manifest
+ * @returns {Array<string>} Human-readable problems
+ */
+function diffPatterns(label, expected, actual) {
+  const problems = [];
+  expected.filter(pattern => !actual.includes(pattern))
+    .forEach(pattern => problems.push(`${label} is missing ${pattern}`));
+  actual.filter(pattern => !expected.includes(pattern))
+    .forEach(pattern => problems.push(`${label} has ${pattern}, which no registered platform declares`));
+  return problems;
+}
+
+function main() {
+  const fix = process.argv.includes('--fix');
+  const registry = loadRegistry();
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+
+  const expectedMatches = registry.getMatchPatterns();
+  const contentScript = manifest.content_scripts[0];
+  const platformHosts = manifest.host_permissions.filter(host => !NON_PLATFORM_HOSTS.includes(host));
+
+  const problems = [
+    ...diffPatterns('content_scripts[0].matches', expectedMatches, contentScript.matches),
+    ...diffPatterns('host_permissions', expectedMatches, platformHosts)
+  ];
+
+  if (problems.length === 0) {
+    console.log(`manifest.json is in sync with ${registry.getAll().length} registered platforms`);
+    return;
+  }
+
+  if (!fix) {
+    problems.forEach(problem => console.error(`- ${problem}`));
+    console.error('\nRun `node scripts/check-manifest.js --fix` to regenerate the lists from lib/platforms.js');
+    process.exit(1);
+  }
+
+  contentScript.matches = expectedMatches;
+  manifest.host_permissions = [...expectedMatches, ...NON_PLATFORM_HOSTS];
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`Updated manifest.json (${problems.length} change${problems.length === 1 ? '' : 's'})`);
+}
+
+main();
@@ -0,0 +1,385 @@
+/**
+ * Writer Script
+ * Cover letters and tailored resume bullets for one saved job, written by Claude
+ * from the posting, its analysis and the user's profile. Every draft is saved with
+ * the job as a version that can be edited, copied or exported as Markdown
+ * Opened from the popup or the on-page panel as writer.html?id=<jobId>
+ */
+
+const jobId = new URLSearchParams(window.location.search).get('id');
+
+// The saved job, refreshed after every change
+let writerJob = null;
+let selectedDocumentId = null;
+let hasUnsavedEdits = false;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log('Writer page loaded');
+
+  populateOptions();
+
+  document.getElementById('document-type').addEventListener('change', updateBulletsField);
+  document.getElementById('generate-document').addEventListener('click', generateDocument);
+  document.getElementById('document-editor').addEventListener('input', () => {
+    hasUnsavedEdits = true;
+    updateEditorActions();
+  });
+  document.getElementById('save-document').addEventListener('click', saveEdits);
+  document.getElementById('copy-document').addEventListener('click', copyDocument);
+  document.getElementById('export-document').addEventListener('click', exportDocument);
+
+  // Versions list: select or delete (event delegation)
+  document.getElementById('document-versions').addEventListener('click', (e) => {
+    const item = e.target.closest('li[data-document-id]');
+    if (!item) return;
+
+    if (e.target.closest('.delete-version')) {
+      deleteVersion(item.dataset.documentId);
+    } else {
+      selectVersion(item.dataset.documentId);
+    }
+  });
+
+  window.addEventListener('beforeunload', (e) => {
+    if (hasUnsavedEdits) e.preventDefault();
+  });
+
+  // Drafts written for this job in another tab show up here too
+  Storage.onJobsChanged(loadJob);
+
+  await loadJob();
+});
+
+/**
+ * Fills the type, tone and length dropdowns from ClaudeClient's options
+ */
+function populateOptions() {
+  const fill = (id, options, selected) => {
+    const select = document.getElementById(id);
+    Object.entries(options).forEach(([value, { label }]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = selected;
+  };
+
+  fill('document-type', ClaudeClient.DOCUMENT_TYPES, 'coverLetter');
+  fill('document-tone', ClaudeClient.DOCUMENT_TONES, ClaudeClient.DEFAULT_DOCUMENT_TONE);
+  fill('document-length', ClaudeClient.DOCUMENT_LENGTHS, ClaudeClient.DEFAULT_DOCUMENT_LENGTH);
+  updateBulletsField();
+}
+
+/**
+ * Shows the bullets box only when rewriting resume bullets
+ */
+function updateBulletsField() {
+  document.getElementById('bullets-field').hidden = document.getElementById('document-type').value !== 'resumeBullets';
+}
+
+/**
+ * Loads the job and renders its saved versions
+ */
+async function loadJob() {
+  try {
+    const response = jobId ? await chrome.runtime.sendMessage({ action: 'getJob', jobId }) : null;
+
+    if (response && !response.success) {
+      throw new Error(response.error || 'Failed to load job');
+    }
+
+    if (!response?.job) {
+      writerJob = null;
+      hasUnsavedEdits = false;
+      document.getElementById('writer-subtitle').textContent = 'Job not found';
+      document.getElementById('writer-content').innerHTML =
+        '<div class="page-message">This job is no longer saved. Open a job from the popup to write for it.</div>';
+      return;
+    }
+
+    writerJob = response.job;
+    document.title = `Cover Letter & Resume: ${writerJob.jobTitle || 'Untitled Job'} - Job Hunt Assistant`;
+    document.getElementById('writer-title').textContent = writerJob.jobTitle || 'Untitled Job';
+    document.getElementById('writer-subtitle').textContent = `${writerJob.company || 'Unknown Company'} • Cover letter and resume bullets`;
+
+    const documents = writerJob.documents || [];
+    if (!documents.some(item => item.id === selectedDocumentId)) {
+      // Open the newest version on first load, or after the open one was deleted elsewhere
+      hasUnsavedEdits = false;
+      selectedDocumentId = documents[documents.length - 1]?.id || null;
+      showSelectedDocument();
+    } else if (!hasUnsavedEdits && getSelectedDocument().content !== document.getElementById('document-editor').value) {
+      // Edited in another tab
+      showSelectedDocument();
+    }
+
+    renderVersions();
+  } catch (error) {
+    console.error('Error loading job:', error);
+    document.getElementById('writer-content').innerHTML = '<div class="page-message">Error loading job</div>';
+  }
+}
+
+/**
+ * Returns the version open in the editor
+ * @returns {Object|null} Saved document
+ */
+function getSelectedDocument() {
+  return (writerJob?.documents || []).find(item => item.id === selectedDocumentId) || null;
+}
+
+/**
+ * Describes a saved version, e.g. "Cover letter • Friendly, Short"
+ * @param {Object} item - Saved document
+ * @returns {string} Label
+ */
+function describeDocument(item) {
+  const type = ClaudeClient.DOCUMENT_TYPES[item.type]?.label || 'Draft';
+  const options = [ClaudeClient.DOCUMENT_TONES[item.tone]?.label, ClaudeClient.DOCUMENT_LENGTHS[item.length]?.label]
+    .filter(Boolean)
+    .join(', ');
+  return options ? `${type} • ${options}` : type;
+}
+
+/**
+ * Renders the saved versions, newest first
+ * All values are inserted with textContent to prevent XSS
+ */
+function renderVersions() {
+  const list = document.getElementById('document-versions');
+  const documents = [...(writerJob?.documents || [])].reverse();
+  list.innerHTML = '';
+
+  if (documents.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'muted';
+    empty.textContent = 'Nothing written yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  documents.forEach(item => {
+    const entry = document.createElement('li');
+    entry.dataset.documentId = item.id;
+    entry.classList.toggle('selected', item.id === selectedDocumentId);
+
+    const label = document.createElement('span');
+    label.className = 'version-label';
+    label.textContent = describeDocument(item);
+    const meta = document.createElement('span');
+    meta.className = 'version-meta';
+    const edited = item.updatedAt && item.updatedAt !== item.createdAt ? ' (edited)' : '';
+    meta.textContent = `${formatDate(item.createdAt)}${edited}`;
+    label.appendChild(meta);
+    entry.appendChild(label);
+
+    const remove = document.createElement('button');
+    remove.className = 'delete-version';
+    remove.title = 'Delete this version';
+    remove.textContent = '×';
+    entry.appendChild(remove);
+
+    list.appendChild(entry);
+  });
+}
+
+/**
+ * Puts the selected version in the editor
+ */
+function showSelectedDocument() {
+  const item = getSelectedDocument();
+  const editor = document.getElementById('document-editor');
+
+  editor.value = item?.content || '';
+  editor.disabled = !item;
+  document.getElementById('editor-title').textContent = item ? describeDocument(item) : 'Draft';
+  document.getElementById('editor-status').textContent = '';
+  updateEditorActions();
+}
+
+/**
+ * Enables the editor buttons that apply to its current state
+ */
+function updateEditorActions() {
+  const hasDocument = Boolean(getSelectedDocument());
+  document.getElementById('save-document').disabled = !hasDocument || !hasUnsavedEdits;
+  document.getElementById('copy-document').disabled = !hasDocument;
+  document.getElementById('export-document').disabled = !hasDocument;
+  if (hasUnsavedEdits) {
+    document.getElementById('editor-status').textContent = 'Unsaved changes';
+  }
+}
+
+/**
+ * Opens another saved version, checking first if edits would be lost
+ * @param {string} documentId - Document ID
+ */
+function selectVersion(documentId) {
+  if (documentId === selectedDocumentId) return;
+  if (hasUnsavedEdits && !confirm('Discard your unsaved changes to this draft?')) return;
+
+  hasUnsavedEdits = false;
+  selectedDocumentId = documentId;
+  showSelectedDocument();
+  renderVersions();
+}
+
+/**
+ * Asks Claude for a new draft with the chosen options and opens it
+ */
+async function generateDocument() {
+  const button = document.getElementById('generate-document');
+  const status = document.getElementById('generate-status');
+
+  if (!writerJob) return;
+  if (hasUnsavedEdits && !confirm('Discard your unsaved changes to the open draft?')) return;
+
+  const options = {
+    type: document.getElementById('document-type').value,
+    tone: document.getElementById('document-tone').value,
+    length: document.getElementById('document-length').value
+  };
+  if (options.type === 'resumeBullets') {
+    options.bullets = document.getElementById('source-bullets').value;
+  }
+
+  button.disabled = true;
+  button.textContent = 'Writing...';
+  status.innerHTML = '';
+
+  try {
+    const request = { action: 'generateDocument', jobId: writerJob.id, options };
+    let response = await chrome.runtime.sendMessage(request);
+
+    // Past the monthly budget (in warn mode) - only spend more if the user says so
+    if (response.overBudget) {
+      const { spent, budget } = response.overBudget;
+      if (!confirm(`You've spent about ${formatCost(spent)} of your ${formatCost(budget)} monthly API budget. Generate anyway?`)) {
+        return;
+      }
+      response = await chrome.runtime.sendMessage({ ...request, budgetAcknowledged: true });
+    }
+
+    if (response.success) {
+      writerJob = response.job;
+      selectedDocumentId = response.document.id;
+      hasUnsavedEdits = false;
+      showSelectedDocument();
+      renderVersions();
+    } else {
+      showError(status, response.error || 'Could not write a draft. Please try again.');
+    }
+  } catch (error) {
+    console.error('Error generating document:', error);
+    showError(status, 'Error communicating with extension. Please try again.');
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Generate';
+  }
+}
+
+/**
+ * Saves the editor's text over the selected version
+ */
+async function saveEdits() {
+  const item = getSelectedDocument();
+  if (!item) return;
+
+  const status = document.getElementById('editor-status');
+  const content = document.getElementById('document-editor').value;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'updateJobDocument',
+      jobId: writerJob.id,
+      documentId: item.id,
+      content
+    });
+
+    if (response.success) {
+      writerJob = response.job;
+      hasUnsavedEdits = false;
+      updateEditorActions();
+      renderVersions();
+      status.textContent = 'Saved';
+    } else {
+      status.textContent = response.error || 'Could not save your changes';
+    }
+  } catch (error) {
+    console.error('Error saving document:', error);
+    status.textContent = 'Error communicating with extension. Please try again.';
+  }
+}
+
+/**
+ * Copies the editor's text, including unsaved edits, to the clipboard
+ */
+async function copyDocument() {
+  const status = document.getElementById('editor-status');
+
+  try {
+    await navigator.clipboard.writeText(document.getElementById('document-editor').value);
+    status.textContent = 'Copied to clipboard';
+  } catch (error) {
+    console.error('Error copying document:', error);
+    status.textContent = 'Could not copy. Select the text and copy it instead.';
+  }
+}
+
+/**
+ * Downloads the editor's text, including unsaved edits, as Markdown
+ */
+function exportDocument() {
+  const item = getSelectedDocument();
+  if (!item) return;
+
+  const title = ClaudeClient.DOCUMENT_TYPES[item.type]?.label || 'Draft';
+  const edited = { ...item, content: document.getElementById('document-editor').value };
+  const fileName = JobExporter.getFileName([writerJob], 'md').replace(/\.md$/, `-${item.type === 'resumeBullets' ? 'resume-bullets' : 'cover-letter'}.md`);
+
+  JobExporter.download(JobExporter.documentToMarkdown(writerJob, edited, title), fileName, 'text/markdown');
+}
+
+/**
+ * Deletes a saved version after confirmation
+ * @param {string} documentId - Document ID
+ */
+async function deleteVersion(documentId) {
+  if (!confirm('Delete this version?')) return;
+
+  const status = document.getElementById('generate-status');
+  status.innerHTML = '';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'deleteJobDocument', jobId: writerJob.id, documentId });
+
+    if (response.success) {
+      writerJob = response.job;
+      if (documentId === selectedDocumentId) {
+        hasUnsavedEdits = false;
+        const documents = writerJob.documents || [];
+        selectedDocumentId = documents[documents.length - 1]?.id || null;
+        showSelectedDocument();
+      }
+      renderVersions();
+    } else {
+      showError(status, response.error || 'Could not delete the version');
+    }
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    showError(status, 'Error communicating with extension. Please try again.');
+  }
+}
+
+/**
+ * Show an error message
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} message - Error message
+ */
+function showError(container, message) {
+  const div = document.createElement('div');
+  div.className = 'status-error';
+  div.textContent = message; // Use textContent to prevent XSS
+  container.appendChild(div);
+}